@@ -44,6 +44,14 @@
         personalityUpdateInterval: 50,
         moodDecayInterval: 100,
         socialUpdateInterval: 30,
+        rideTrackingInterval: 40,
+        rideTargetRefreshTicks: 1000,
+        schedulerRosterInterval: 200,
+        maxGuestStalenessTicks: 2400,
+        
+        // Ride category overrides, keyed by 'ride:<id>', 'type:<ride type>' or object identifier,
+        // e.g. { 'ride:3': 'dark', 'type:52': 'family', 'rct2.ride.mgr1': 'gentle' }
+        rideCategoryOverrides: {},
         
         // Adaptive Performance
         adaptivePerformance: true,
@@ -54,9 +62,23 @@
         // Personality Settings
         personalityPersistence: true,
         personalityVariation: 0.3,
+        // Population-wide trait correlations [traitA, traitB, r]; archetype pairs override these.
+        // Can also be edited as 'GuestPersonalityExpander.traitCorrelations' in plugin.store.json.
+        traitCorrelations: [
+            ['thrillSeeker', 'nervous', -0.5],
+            ['thrillSeeker', 'adventurous', 0.4],
+            ['foodie', 'hungry', 0.5],
+            ['romantic', 'social', 0.3],
+            ['energetic', 'thrillSeeker', 0.3],
+            ['frugal', 'collector', -0.3]
+        ],
         moodInfluenceStrength: 0.5,
         socialInfluenceRadius: 5,
         groupFormationChance: 0.15,
+        moodContagionEnabled: true,
+        moodContagionStrength: 0.8,
+        contagionEmittersPerPass: 10,
+        groupStragglerDistance: 6,
         
         // Behavior Settings
         weatherReactionsEnabled: true,
@@ -65,15 +87,78 @@
         shoppingBehaviorEnabled: true,
         socialBehaviorEnabled: true,
         memorySystemEnabled: true,
+        queueAbandonScore: 0.2,
+        queuePatienceEnabled: true,
+        queuePatienceBaseTicks: 3000,
+        
+        // Departure Model (pressures add up; a guest heads home at departureThreshold)
+        departureEnabled: true,
+        departureThreshold: 1.0,
+        departureSatisfactionSmoothing: 0.05,
+        departureSatisfactionFloor: 60,
+        departureCashReserve: 200,
+        departureFatigueEnergy: 40,
+        departureExpectedStayTicks: 40000,
+        
+        // Needs Simulation (personality hunger/thirst/energy rates applied to guest stats)
+        needsSimulationEnabled: true,
+        needsSimulationStrength: 1.0,
+        needsUpdateInterval: 200,
+        
+        // Crowding (smoothed guest density per path tile)
+        crowdingEnabled: true,
+        crowdingUpdateInterval: 100,
+        crowdingSmoothing: 0.2,
+        crowdingHotspotDensity: 8,
+        crowdingChronicTicks: 3000,
+        crowdingSteerRadius: 4,
+        
+        // Park Appeal (entry demographics follow the park's rides, gardens and food stalls)
+        parkAppealEnabled: true,
+        parkAppealStrength: 1.0,
+        parkAppealScanInterval: 50,
+        parkAppealRowsPerScan: 4,
         
         // Mood Thresholds
         happyMoodThreshold: 180,
         neutralMoodThreshold: 120,
         sadMoodThreshold: 60,
+        // Need rules override happiness; the matching rule with the lowest priority wins.
+        // Intensity is base + scale * how far the stat is past the threshold.
+        moodNeedRules: [
+            { stat: 'hunger', compare: 'below', threshold: 50, mood: 'hungryMood', priority: 1, base: 50, scale: 1, enabled: true },
+            { stat: 'thirst', compare: 'below', threshold: 50, mood: 'thirstyMood', priority: 2, base: 50, scale: 1, enabled: true },
+            { stat: 'toilet', compare: 'above', threshold: 200, mood: 'annoyed', priority: 3, base: 100, scale: 0.5, enabled: true },
+            { stat: 'energy', compare: 'below', threshold: 40, mood: 'tired', priority: 4, base: 40, scale: 1, enabled: true },
+            { stat: 'nausea', compare: 'above', threshold: 150, mood: 'sick', priority: 5, base: 150, scale: 1, enabled: true }
+        ],
+        // Happiness bands match when happiness > threshold + offset, where threshold is 'happy',
+        // 'neutral', 'sad' (the values above), a number, or null to always match.
+        // Intensity is base + scale * happiness.
+        moodBands: [
+            { mood: 'ecstatic', threshold: 'happy', offset: 50, priority: 1, base: 0, scale: 1 },
+            { mood: 'happy', threshold: 'happy', offset: 0, priority: 2, base: 0, scale: 1 },
+            { mood: 'content', threshold: 'neutral', offset: 0, priority: 3, base: 0, scale: 1 },
+            { mood: 'neutral', threshold: 'sad', offset: 0, priority: 4, base: 0, scale: 1 },
+            { mood: 'sad', threshold: 30, offset: 0, priority: 5, base: 128, scale: -1 },
+            { mood: 'angry', threshold: null, offset: 0, priority: 6, base: 200, scale: -1 }
+        ],
+        
+        // Transient Emotions
+        emotionDecayAmount: 10,
+        emotionOverrideThreshold: 80,
+        boredomTicks: 8000,
+        
+        // Multiplayer Sync
+        syncInterval: 40,
+        syncMaxOpsPerAction: 100,
+        syncSnapshotChunkSize: 50,
+        syncSnapshotCooldown: 400,
         
         // Statistics
         statisticsEnabled: true,
-        statisticsRetentionTicks: 10000
+        statisticsRetentionTicks: 10000,
+        historySamples: 120
     };
 
     // ===========================================
@@ -95,6 +180,79 @@
         PHOTOGRAPHER: 'photographer'          // High = takes photos
     };
 
+    var TRAIT_DISPLAY_NAMES = {
+        thrillSeeker: 'Thrill Seeker',
+        social: 'Social',
+        patient: 'Patient',
+        frugal: 'Frugal',
+        hungry: 'Hungry',
+        adventurous: 'Adventurous',
+        nervous: 'Nervous',
+        energetic: 'Energetic',
+        romantic: 'Romantic',
+        foodie: 'Foodie',
+        collector: 'Collector',
+        photographer: 'Photographer'
+    };
+
+    // Trait standard deviation at the default personalityVariation of 0.3
+    var BASE_TRAIT_STDDEV = 40;
+    var BASE_PERSONALITY_VARIATION = 0.3;
+
+    // Guest archetypes: trait means (default 128), spread multipliers on the
+    // standard deviation (default 1.0) and pairwise trait correlations.
+    var GUEST_ARCHETYPES = {
+        casual: {
+            name: 'Casual Visitor',
+            defaultWeight: 4,
+            means: {},
+            spread: {},
+            correlations: []
+        },
+        thrillJunkie: {
+            name: 'Thrill Junkie',
+            defaultWeight: 1,
+            means: { thrillSeeker: 215, adventurous: 185, nervous: 45, energetic: 175, romantic: 80, patient: 90 },
+            spread: { thrillSeeker: 0.6, nervous: 0.6 },
+            correlations: [['thrillSeeker', 'nervous', -0.6], ['thrillSeeker', 'adventurous', 0.5]]
+        },
+        familyParent: {
+            name: 'Family Parent',
+            defaultWeight: 1,
+            means: { patient: 175, frugal: 170, social: 160, thrillSeeker: 80, nervous: 140, collector: 150, hungry: 150 },
+            spread: { patient: 0.7, frugal: 0.8 },
+            correlations: [['frugal', 'collector', -0.4], ['patient', 'social', 0.3]]
+        },
+        teenGroup: {
+            name: 'Teen Group',
+            defaultWeight: 1,
+            means: { social: 200, thrillSeeker: 175, energetic: 200, patient: 70, frugal: 90, adventurous: 170, photographer: 150 },
+            spread: { social: 0.6, energetic: 0.7 },
+            correlations: [['social', 'energetic', 0.4], ['thrillSeeker', 'patient', -0.3]]
+        },
+        retiree: {
+            name: 'Retiree',
+            defaultWeight: 1,
+            means: { energetic: 70, patient: 190, romantic: 175, thrillSeeker: 50, nervous: 160, frugal: 165, photographer: 150 },
+            spread: { energetic: 0.7, thrillSeeker: 0.6 },
+            correlations: [['energetic', 'thrillSeeker', 0.5], ['romantic', 'photographer', 0.3]]
+        },
+        foodieTourist: {
+            name: 'Foodie Tourist',
+            defaultWeight: 1,
+            means: { foodie: 215, hungry: 190, frugal: 80, collector: 150, adventurous: 150 },
+            spread: { foodie: 0.6 },
+            correlations: [['foodie', 'hungry', 0.6], ['frugal', 'collector', -0.3]]
+        },
+        photographer: {
+            name: 'Photographer',
+            defaultWeight: 1,
+            means: { photographer: 220, romantic: 160, patient: 160, adventurous: 160, collector: 140 },
+            spread: { photographer: 0.5 },
+            correlations: [['photographer', 'romantic', 0.4], ['photographer', 'patient', 0.3]]
+        }
+    };
+
     var MOOD_STATES = {
         ECSTATIC: 'ecstatic',
         HAPPY: 'happy',
@@ -112,6 +270,24 @@
         SICK: 'sick'
     };
 
+    // Stacking order and palette colours for the mood distribution chart
+    var MOOD_CHART_COLOURS = [
+        { mood: MOOD_STATES.ECSTATIC, label: 'Ecstatic', colour: 102 },
+        { mood: MOOD_STATES.HAPPY, label: 'Happy', colour: 100 },
+        { mood: MOOD_STATES.EXCITED, label: 'Excited', colour: 54 },
+        { mood: MOOD_STATES.CONTENT, label: 'Content', colour: 136 },
+        { mood: MOOD_STATES.NEUTRAL, label: 'Neutral', colour: 21 },
+        { mood: MOOD_STATES.BORED, label: 'Bored', colour: 16 },
+        { mood: MOOD_STATES.TIRED, label: 'Tired', colour: 64 },
+        { mood: MOOD_STATES.HUNGRY_MOOD, label: 'Hungry', colour: 124 },
+        { mood: MOOD_STATES.THIRSTY_MOOD, label: 'Thirsty', colour: 88 },
+        { mood: MOOD_STATES.SCARED, label: 'Scared', colour: 160 },
+        { mood: MOOD_STATES.SICK, label: 'Sick', colour: 148 },
+        { mood: MOOD_STATES.ANNOYED, label: 'Annoyed', colour: 184 },
+        { mood: MOOD_STATES.SAD, label: 'Sad', colour: 76 },
+        { mood: MOOD_STATES.ANGRY, label: 'Angry', colour: 171 }
+    ];
+
     var BEHAVIOR_TYPES = {
         WANDERING: 'wandering',
         SEEKING_RIDE: 'seekingRide',
@@ -129,12 +305,252 @@
     };
 
     var RIDE_CATEGORIES = {
-        THRILL: ['roller_coaster', 'launched_freefall', 'vertical_drop'],
-        GENTLE: ['ferris_wheel', 'observation_tower', 'monorail'],
-        WATER: ['water_coaster', 'log_flume', 'river_rapids'],
-        TRANSPORT: ['chairlift', 'miniature_railway', 'suspended_monorail'],
-        DARK: ['ghost_train', 'haunted_house', 'enterprise'],
-        FAMILY: ['merry_go_round', 'mini_golf', 'circus']
+        THRILL: 'thrill',
+        GENTLE: 'gentle',
+        WATER: 'water',
+        TRANSPORT: 'transport',
+        DARK: 'dark',
+        FAMILY: 'family'
+    };
+
+    // Vanilla ride type ids (ride.type) grouped by category
+    var RIDE_TYPE_CATEGORIES = {
+        thrill: [
+            0, 1, 2, 3, 9, 12, 13, 15, 19, 26, 27, 40, 42, 44, 46, 51, 52, 53, 54, 55,
+            56, 57, 58, 62, 64, 65, 66, 68, 69, 73, 75, 76, 81, 86, 90, 91, 92, 94, 96,
+            97, 99, 100, 101, 102
+        ],
+        gentle: [14, 20, 37, 72],
+        water: [8, 16, 23, 24, 60, 74, 78, 79],
+        transport: [5, 6, 18, 43, 63],
+        dark: [38, 39, 47, 50, 71],
+        family: [4, 7, 10, 11, 17, 21, 22, 25, 33, 41, 49, 59, 61, 67, 70, 77, 87, 88, 93, 95, 98]
+    };
+
+    // Thrill ride types that are not roller coasters (freefall, ships, top spin, twist, roto-drop, enterprise)
+    var FLAT_THRILL_RIDE_TYPES = [12, 26, 27, 40, 46, 69, 81];
+
+    // Object identifier / name fragments marking a thrill ride of another type as a coaster
+    var COASTER_KEYWORDS = ['coaster', 'mouse', 'bobsleigh'];
+
+    // Fallback matching on object identifier / name for custom ride types
+    var RIDE_CATEGORY_KEYWORDS = {
+        water: ['water', 'flume', 'rapids', 'boat', 'splash', 'raft', 'dinghy', 'submarine', 'canoe'],
+        dark: ['ghost', 'haunt', 'dark', 'horror', 'cinema', 'simulator'],
+        transport: ['railway', 'monorail', 'chairlift', 'lift', 'train', 'gondola', 'tram'],
+        gentle: ['ferris', 'observation', 'tower', 'maze', 'garden', 'cycles'],
+        family: ['carousel', 'merry', 'golf', 'circus', 'kiddie', 'junior', 'dodgem', 'kart'],
+        thrill: ['coaster', 'drop', 'freefall', 'launch', 'inverter', 'twist', 'spin']
+    };
+
+    // Per-category trait weights applied to ride satisfaction, scaled by (trait - 128) / 127
+    var RIDE_CATEGORY_AFFINITIES = {
+        thrill: { thrillSeeker: 0.15, nervous: -0.15, romantic: -0.05 },
+        gentle: { romantic: 0.15, nervous: 0.05, thrillSeeker: -0.1 },
+        water: { adventurous: 0.05, energetic: 0.05 },
+        transport: { energetic: -0.1, photographer: 0.05 },
+        dark: { adventurous: 0.1, nervous: -0.15 },
+        family: { social: 0.1, patient: 0.05 }
+    };
+
+    // Park features that draw particular guests. A feature reaches full appeal at
+    // 'saturation' items; arriving guests' archetype weights scale by
+    // 1 + parkAppealStrength * appeal * multiplier and traits shift by up to 'traits' points.
+    var PARK_FEATURE_APPEAL = {
+        coasters: {
+            name: 'Coasters',
+            saturation: 8,
+            archetypes: { thrillJunkie: 1.5, teenGroup: 0.75, retiree: -0.4 },
+            traits: { thrillSeeker: 20, nervous: -10 }
+        },
+        gentle: {
+            name: 'Gentle Rides',
+            saturation: 8,
+            archetypes: { retiree: 0.75, familyParent: 0.5 },
+            traits: { romantic: 15 }
+        },
+        gardens: {
+            name: 'Gardens',
+            saturation: 300,
+            archetypes: { photographer: 0.75, retiree: 0.5 },
+            traits: { romantic: 15, photographer: 10 }
+        },
+        food: {
+            name: 'Food Stalls',
+            saturation: 10,
+            archetypes: { foodieTourist: 1.5, familyParent: 0.25 },
+            traits: { foodie: 20, hungry: 10 }
+        }
+    };
+
+    // Shop item ids (ride.object.shopItem) that count as food
+    var FOOD_SHOP_ITEMS = [6, 7, 8, 9, 13, 15, 16, 17, 19, 21, 24, 35, 36, 38, 40, 41, 42, 43, 47, 48, 52];
+    var FOOD_STALL_RIDE_TYPE = 28;
+
+    // Guest item types (guest.items[].type) to the shop item ids stalls sell (ride.object.shopItem)
+    var SHOP_ITEM_IDS = {
+        balloon: 0, toy: 1, map: 2, photo: 3, umbrella: 4, drink: 5, burger: 6, chips: 7,
+        ice_cream: 8, candyfloss: 9, pizza: 13, popcorn: 15, hot_dog: 16, tentacle: 17, hat: 18,
+        toffee_apple: 19, tshirt: 20, doughnut: 21, coffee: 22, chicken: 24, lemonade: 25,
+        photo2: 32, photo3: 33, photo4: 34, pretzel: 35, chocolate: 36, iced_tea: 37,
+        funnel_cake: 38, sunglasses: 39, beef_noodles: 40, fried_rice_noodles: 41, wonton_soup: 42,
+        meatball_soup: 43, fruit_juice: 44, soybean_milk: 45, sujeonggwa: 46, sub_sandwich: 47,
+        cookie: 48, roast_sausage: 52
+    };
+
+    var GARDEN_SCENERY_KEYWORDS = ['flower', 'garden', 'tree', 'shrub', 'bush', 'hedge', 'plant', 'fountain', 'topiary'];
+
+    // Every CONFIG key that can be persisted or carried in a settings profile, with the
+    // ranges the Settings tab enforces. Mood thresholds are additionally kept at least
+    // 10 apart (sad < neutral < happy). Trait correlations are stored by TraitCorrelationModel.
+    var SETTINGS_SCHEMA = {
+        enabled: { type: 'boolean' },
+        debugMode: { type: 'boolean' },
+
+        frameBudgetMs: { min: 0.5, max: 10, step: 0.5 },
+        maxGuestsPerTick: { min: 1, max: 50, step: 1, integer: true },
+        updateInterval: { min: 2, max: 50, step: 2, integer: true },
+        personalityUpdateInterval: { min: 10, max: 1000, step: 10, integer: true },
+        moodDecayInterval: { min: 10, max: 1000, step: 10, integer: true },
+        socialUpdateInterval: { min: 5, max: 500, step: 5, integer: true },
+        rideTrackingInterval: { min: 5, max: 500, step: 5, integer: true },
+        rideTargetRefreshTicks: { min: 100, max: 10000, step: 100, integer: true },
+        schedulerRosterInterval: { min: 20, max: 2000, step: 20, integer: true },
+        maxGuestStalenessTicks: { min: 200, max: 20000, step: 200, integer: true },
+        rideCategoryOverrides: { type: 'categoryOverrides' },
+
+        adaptivePerformance: { type: 'boolean' },
+        minGuestsPerTick: { min: 1, max: 50, step: 1, integer: true },
+        maxAdaptiveGuestsPerTick: { min: 1, max: 100, step: 1, integer: true },
+        targetFrameTime: { min: 0.5, max: 10, step: 0.5 },
+
+        personalityPersistence: { type: 'boolean' },
+        personalityVariation: { min: 0, max: 1.0, step: 0.1, percent: true },
+        moodInfluenceStrength: { min: 0, max: 1.0, step: 0.1, percent: true },
+        socialInfluenceRadius: { min: 1, max: 20, step: 1, integer: true },
+        groupFormationChance: { min: 0, max: 1.0, step: 0.05, percent: true },
+        moodContagionEnabled: { type: 'boolean' },
+        moodContagionStrength: { min: 0, max: 2.0, step: 0.1, percent: true },
+        contagionEmittersPerPass: { min: 1, max: 100, step: 1, integer: true },
+        groupStragglerDistance: { min: 1, max: 30, step: 1, integer: true },
+
+        weatherReactionsEnabled: { type: 'boolean' },
+        timeBasedBehaviorEnabled: { type: 'boolean' },
+        ridePreferencesEnabled: { type: 'boolean' },
+        shoppingBehaviorEnabled: { type: 'boolean' },
+        socialBehaviorEnabled: { type: 'boolean' },
+        memorySystemEnabled: { type: 'boolean' },
+        queueAbandonScore: { min: 0, max: 1.0, step: 0.05 },
+        queuePatienceEnabled: { type: 'boolean' },
+        queuePatienceBaseTicks: { min: 500, max: 20000, step: 500, integer: true },
+
+        departureEnabled: { type: 'boolean' },
+        departureThreshold: { min: 0.5, max: 3.0, step: 0.1 },
+        departureSatisfactionSmoothing: { min: 0.01, max: 0.5, step: 0.01 },
+        departureSatisfactionFloor: { min: 0, max: 120, step: 5, integer: true },
+        departureCashReserve: { min: 0, max: 2000, step: 50, integer: true },
+        departureFatigueEnergy: { min: 0, max: 100, step: 5, integer: true },
+        departureExpectedStayTicks: { min: 5000, max: 200000, step: 5000, integer: true },
+
+        needsSimulationEnabled: { type: 'boolean' },
+        needsSimulationStrength: { min: 0, max: 3.0, step: 0.1, percent: true },
+        needsUpdateInterval: { min: 50, max: 5000, step: 50, integer: true },
+
+        crowdingEnabled: { type: 'boolean' },
+        crowdingUpdateInterval: { min: 10, max: 1000, step: 10, integer: true },
+        crowdingSmoothing: { min: 0.05, max: 1.0, step: 0.05 },
+        crowdingHotspotDensity: { min: 1, max: 50, step: 1, integer: true },
+        crowdingChronicTicks: { min: 500, max: 20000, step: 500, integer: true },
+        crowdingSteerRadius: { min: 1, max: 10, step: 1, integer: true },
+
+        parkAppealEnabled: { type: 'boolean' },
+        parkAppealStrength: { min: 0, max: 3.0, step: 0.1 },
+        parkAppealScanInterval: { min: 10, max: 1000, step: 10, integer: true },
+        parkAppealRowsPerScan: { min: 1, max: 32, step: 1, integer: true },
+
+        happyMoodThreshold: { min: 20, max: 255, step: 10, integer: true },
+        neutralMoodThreshold: { min: 10, max: 245, step: 10, integer: true },
+        sadMoodThreshold: { min: 0, max: 235, step: 10, integer: true },
+        moodNeedRules: { type: 'moodNeedRules' },
+        moodBands: { type: 'moodBands' },
+
+        emotionDecayAmount: { min: 1, max: 50, step: 1, integer: true },
+        emotionOverrideThreshold: { min: 0, max: 255, step: 10, integer: true },
+        boredomTicks: { min: 1000, max: 50000, step: 1000, integer: true },
+
+        syncInterval: { min: 10, max: 400, step: 10, integer: true },
+        syncMaxOpsPerAction: { min: 10, max: 500, step: 10, integer: true },
+        syncSnapshotChunkSize: { min: 10, max: 200, step: 10, integer: true },
+        syncSnapshotCooldown: { min: 0, max: 4000, step: 100, integer: true },
+
+        statisticsEnabled: { type: 'boolean' },
+        statisticsRetentionTicks: { min: 1000, max: 100000, step: 1000, integer: true },
+        historySamples: { min: 10, max: 500, step: 10, integer: true }
+    };
+
+    // Built-in settings profiles; keys not listed keep their CONFIG defaults
+    var SETTINGS_PROFILES = {
+        performance: {
+            name: 'Performance',
+            settings: {
+                frameBudgetMs: 1.5,
+                maxGuestsPerTick: 3,
+                updateInterval: 16,
+                targetFrameTime: 1.0,
+                maxAdaptiveGuestsPerTick: 5,
+                moodDecayInterval: 200,
+                socialUpdateInterval: 60,
+                rideTrackingInterval: 80,
+                schedulerRosterInterval: 400,
+                maxGuestStalenessTicks: 4800,
+                socialInfluenceRadius: 3,
+                contagionEmittersPerPass: 5,
+                crowdingUpdateInterval: 200,
+                parkAppealScanInterval: 100,
+                parkAppealRowsPerScan: 2,
+                needsUpdateInterval: 400,
+                syncInterval: 80
+            }
+        },
+        realism: {
+            name: 'Realism',
+            settings: {
+                personalityVariation: 0.4,
+                moodInfluenceStrength: 0.4,
+                groupFormationChance: 0.2,
+                moodContagionStrength: 0.6,
+                queuePatienceBaseTicks: 4000,
+                departureExpectedStayTicks: 50000,
+                crowdingSmoothing: 0.1,
+                emotionDecayAmount: 8,
+                boredomTicks: 10000
+            }
+        },
+        chaos: {
+            name: 'Chaos',
+            settings: {
+                personalityVariation: 1.0,
+                moodInfluenceStrength: 1.0,
+                socialInfluenceRadius: 8,
+                groupFormationChance: 0.5,
+                moodContagionStrength: 1.5,
+                contagionEmittersPerPass: 30,
+                queueAbandonScore: 0.5,
+                queuePatienceBaseTicks: 1000,
+                departureThreshold: 0.7,
+                crowdingHotspotDensity: 4,
+                crowdingChronicTicks: 1000,
+                parkAppealStrength: 2.5,
+                needsSimulationStrength: 3.0,
+                happyMoodThreshold: 200,
+                neutralMoodThreshold: 140,
+                sadMoodThreshold: 90,
+                emotionDecayAmount: 4,
+                emotionOverrideThreshold: 40,
+                boredomTicks: 3000,
+                traitCorrelations: []
+            }
+        }
     };
 
     // ===========================================
@@ -163,6 +579,14 @@
             return mode === 'server' || mode === 'client';
         },
 
+        getCurrentPlayerId: function() {
+            try {
+                return network.currentPlayer.id;
+            } catch (e) {
+                return null;
+            }
+        },
+
         getPlayerCount: function() {
             try {
                 if (this.isMultiplayer()) {
@@ -202,15 +626,53 @@
     // ===========================================
     var PerformanceMonitor = {
         frameStartTime: 0,
+        frameUnits: 0,
         frameTimes: [],
         maxFrameTimes: 60,
+        highResolution: null,
+        adaptiveRate: null,
+
+        // Decaying totals: ~100 recent samples dominate, so millisecond-resolution
+        // clocks still average out to a sub-millisecond estimate
+        costDecay: 0.99,
+        unitCost: { totalMs: 0, units: 0 },
+        sections: {},
+
+        hasHighResolutionClock: function() {
+            if (this.highResolution === null) {
+                try {
+                    this.highResolution = typeof performance !== 'undefined' && typeof performance.now === 'function';
+                } catch (e) {
+                    this.highResolution = false;
+                }
+            }
+            return this.highResolution;
+        },
+
+        now: function() {
+            return this.hasHighResolutionClock() ? performance.now() : Date.now();
+        },
 
         startFrame: function() {
-            this.frameStartTime = Date.now();
+            this.frameStartTime = this.now();
+            this.frameUnits = 0;
+        },
+
+        // One unit of work (a guest visit) finished in the current frame
+        recordUnit: function() {
+            this.frameUnits++;
+        },
+
+        getUnitCostMs: function() {
+            return this.unitCost.units > 0 ? this.unitCost.totalMs / this.unitCost.units : 0;
         },
 
         getElapsedMs: function() {
-            return Date.now() - this.frameStartTime;
+            var measured = this.now() - this.frameStartTime;
+            if (this.hasHighResolutionClock()) return measured;
+
+            // Date.now() is off by up to 1 ms either way; trust it only beyond that
+            return Math.max(measured - 1, this.frameUnits * this.getUnitCostMs());
         },
 
         isOverBudget: function() {
@@ -218,6 +680,12 @@
         },
 
         endFrame: function() {
+            var measured = this.now() - this.frameStartTime;
+            if (this.frameUnits > 0) {
+                this.unitCost.totalMs = this.unitCost.totalMs * this.costDecay + measured;
+                this.unitCost.units = this.unitCost.units * this.costDecay + this.frameUnits;
+            }
+
             var elapsed = this.getElapsedMs();
             this.frameTimes.push(elapsed);
             if (this.frameTimes.length > this.maxFrameTimes) {
@@ -226,6 +694,37 @@
             return elapsed;
         },
 
+        beginSection: function() {
+            return this.now();
+        },
+
+        endSection: function(name, startTime) {
+            var section = this.sections[name];
+            if (!section) {
+                section = this.sections[name] = { totalMs: 0, calls: 0 };
+            }
+            section.totalMs = section.totalMs * this.costDecay + (this.now() - startTime);
+            section.calls = section.calls * this.costDecay + 1;
+        },
+
+        getSectionTimings: function() {
+            var timings = {};
+            for (var name in this.sections) {
+                if (this.sections.hasOwnProperty(name)) {
+                    var section = this.sections[name];
+                    timings[name] = section.calls > 0 ? section.totalMs / section.calls : 0;
+                }
+            }
+            return timings;
+        },
+
+        reset: function() {
+            this.frameTimes = [];
+            this.unitCost = { totalMs: 0, units: 0 };
+            this.sections = {};
+            this.adaptiveRate = null;
+        },
+
         getAverageFrameTime: function() {
             if (this.frameTimes.length === 0) return 0;
             var sum = 0;
@@ -235,2263 +734,7692 @@
             return sum / this.frameTimes.length;
         },
 
+        // Guests visited per update: the adaptive rate when enabled, otherwise the configured rate
+        getGuestsPerUpdate: function() {
+            if (!CONFIG.adaptivePerformance) return CONFIG.maxGuestsPerTick;
+            if (this.adaptiveRate === null) {
+                this.adaptiveRate = CONFIG.maxGuestsPerTick;
+            }
+            return this.adaptiveRate;
+        },
+
         adjustProcessingRate: function() {
-            if (!CONFIG.adaptivePerformance) return;
+            if (!CONFIG.adaptivePerformance) {
+                this.adaptiveRate = null;
+                return;
+            }
+
+            var rate = this.getGuestsPerUpdate();
             var avg = this.getAverageFrameTime();
             if (avg > CONFIG.targetFrameTime * 1.5) {
-                CONFIG.maxGuestsPerTick = Math.max(CONFIG.minGuestsPerTick, CONFIG.maxGuestsPerTick - 1);
+                rate--;
             } else if (avg < CONFIG.targetFrameTime * 0.5) {
-                CONFIG.maxGuestsPerTick = Math.min(CONFIG.maxAdaptiveGuestsPerTick, CONFIG.maxGuestsPerTick + 1);
+                rate++;
             }
+            this.adaptiveRate = Math.max(CONFIG.minGuestsPerTick, Math.min(CONFIG.maxAdaptiveGuestsPerTick, rate));
         }
     };
 
     // ===========================================
-    // RANDOM NUMBER GENERATOR (Deterministic for MP)
+    // GUEST SCHEDULER
     // ===========================================
-    var RandomGenerator = {
-        seed: 12345,
+    var GuestScheduler = {
+        queue: [],
+        cursor: 0,
+        entries: {},
+        priorityQueue: [],
+        lastRosterTick: -1,
+
+        reset: function() {
+            this.queue = [];
+            this.cursor = 0;
+            this.entries = {};
+            this.priorityQueue = [];
+            this.lastRosterTick = -1;
+        },
 
-        getGameRandom: function(min, max) {
-            try {
-                return context.getRandom(min, max);
-            } catch (e) {
-                return this.getSeededRandom(min, max);
+        enqueue: function(guestId, prioritize) {
+            if (!this.entries[guestId]) {
+                this.entries[guestId] = {
+                    lastVisitTick: date.ticksElapsed,
+                    needsBand: null,
+                    prioritized: false
+                };
+                this.queue.push(guestId);
             }
-        },
 
-        getSeededRandom: function(min, max) {
-            this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
-            return min + (this.seed % (max - min));
+            if (prioritize) {
+                this.prioritize(guestId);
+            }
         },
 
-        getRandomFloat: function() {
-            return this.getGameRandom(0, 10000) / 10000;
+        prioritize: function(guestId) {
+            var entry = this.entries[guestId];
+            if (entry && !entry.prioritized) {
+                entry.prioritized = true;
+                this.priorityQueue.push(guestId);
+            }
         },
 
-        getGaussianRandom: function(mean, stdDev) {
-            var u1 = this.getRandomFloat();
-            var u2 = this.getRandomFloat();
-            if (u1 === 0) u1 = 0.0001;
-            var z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-            return Math.round(mean + z * stdDev);
-        }
-    };
+        remove: function(guestId) {
+            delete this.entries[guestId];
 
-    // ===========================================
-    // PERSONALITY DATA STORE
-    // ===========================================
-    var PersonalityStore = {
-        guests: {},
-        groups: {},
-        nextGroupId: 1,
+            var index = this.queue.indexOf(guestId);
+            if (index !== -1) {
+                this.queue.splice(index, 1);
+                if (index < this.cursor) this.cursor--;
+            }
 
-        getGuestData: function(guestId) {
-            if (!this.guests[guestId]) {
-                this.guests[guestId] = this.createNewPersonality(guestId);
+            var priorityIndex = this.priorityQueue.indexOf(guestId);
+            if (priorityIndex !== -1) {
+                this.priorityQueue.splice(priorityIndex, 1);
             }
-            return this.guests[guestId];
         },
 
-        hasGuestData: function(guestId) {
-            return guestId in this.guests;
+        update: function() {
+            if (this.lastRosterTick < 0 || date.ticksElapsed - this.lastRosterTick >= CONFIG.schedulerRosterInterval) {
+                this.syncRoster();
+            }
         },
 
-        createNewPersonality: function(guestId) {
-            var personality = {
-                id: guestId,
-                createdTick: date.ticksElapsed,
-                
-                traits: {},
-                
-                mood: {
-                    current: MOOD_STATES.CONTENT,
-                    intensity: 128,
-                    lastChange: date.ticksElapsed
-                },
-                
-                behavior: {
-                    current: BEHAVIOR_TYPES.WANDERING,
-                    target: null,
-                    startTick: date.ticksElapsed
-                },
-                
-                social: {
-                    groupId: null,
-                    isLeader: false,
-                    friendIds: [],
-                    recentInteractions: 0
-                },
-                
-                memory: {
-                    ridesRidden: {},
-                    favoriteRide: null,
-                    worstExperience: null,
-                    totalSpent: 0,
-                    itemsBought: [],
-                    timeInPark: 0
-                },
-                
-                modifiers: {
-                    happinessBonus: 0,
-                    energyDrain: 1.0,
-                    hungerRate: 1.0,
-                    thirstRate: 1.0,
-                    spendingMultiplier: 1.0
-                },
-                
-                stats: {
-                    moodChanges: 0,
-                    behaviorsChanged: 0,
-                    socialInteractions: 0,
-                    decisionsInfluenced: 0
-                }
-            };
+        syncRoster: function() {
+            var guests;
+            try {
+                guests = map.getAllEntities('guest');
+            } catch (e) {
+                return;
+            }
 
-            for (var traitKey in PERSONALITY_TRAITS) {
-                if (PERSONALITY_TRAITS.hasOwnProperty(traitKey)) {
-                    var traitName = PERSONALITY_TRAITS[traitKey];
-                    var value = RandomGenerator.getGaussianRandom(128, 40);
-                    personality.traits[traitName] = Math.max(0, Math.min(255, value));
+            this.lastRosterTick = date.ticksElapsed;
+
+            var present = {};
+            for (var i = 0; i < guests.length; i++) {
+                var guest = guests[i];
+                if (!guest || guest.id === null) continue;
+                present[guest.id] = true;
+
+                var isNew = !this.entries[guest.id];
+                this.enqueue(guest.id, false);
+
+                var entry = this.entries[guest.id];
+                var band = this.getNeedsBand(guest);
+                if (!isNew && entry.needsBand !== null && entry.needsBand !== band) {
+                    this.prioritize(guest.id);
                 }
+                entry.needsBand = band;
             }
 
-            this.calculateModifiers(personality);
+            var kept = [];
+            var cursor = this.cursor;
+            for (var q = 0; q < this.queue.length; q++) {
+                var guestId = this.queue[q];
+                if (present[guestId] && this.entries[guestId]) {
+                    kept.push(guestId);
+                } else {
+                    delete this.entries[guestId];
+                    if (q < this.cursor) cursor--;
+                }
+            }
 
-            return personality;
+            this.queue = kept;
+            this.cursor = kept.length > 0 ? cursor % kept.length : 0;
         },
 
-        calculateModifiers: function(personality) {
-            var traits = personality.traits;
-            
-            personality.modifiers.energyDrain = 1.0 - (traits.energetic - 128) / 512;
-            personality.modifiers.hungerRate = 0.8 + (traits.hungry / 255) * 0.4;
-            personality.modifiers.thirstRate = 0.8 + (traits.energetic / 255) * 0.4;
-            personality.modifiers.spendingMultiplier = 1.5 - (traits.frugal / 255);
+        // Bit per need threshold used by the mood system; a flipped bit marks the guest for an early visit
+        getNeedsBand: function(guest) {
+            return MoodMapping.getNeedsBand(guest);
         },
 
-        removeGuestData: function(guestId) {
-            if (this.guests[guestId]) {
-                var groupId = this.guests[guestId].social.groupId;
-                if (groupId && this.groups[groupId]) {
-                    var idx = this.groups[groupId].members.indexOf(guestId);
-                    if (idx !== -1) {
-                        this.groups[groupId].members.splice(idx, 1);
-                    }
-                    if (this.groups[groupId].members.length === 0) {
-                        delete this.groups[groupId];
-                    }
+        nextPriority: function() {
+            while (this.priorityQueue.length > 0) {
+                var guestId = this.priorityQueue.shift();
+                var entry = this.entries[guestId];
+                if (entry && entry.prioritized) {
+                    entry.prioritized = false;
+                    return guestId;
                 }
-                delete this.guests[guestId];
             }
+            return null;
         },
 
-        createGroup: function(leaderGuestId) {
-            var groupId = this.nextGroupId++;
-            this.groups[groupId] = {
-                id: groupId,
-                leaderId: leaderGuestId,
-                members: [leaderGuestId],
-                formation: 'follow',
-                targetRide: null,
-                createdTick: date.ticksElapsed
-            };
-            
-            if (this.guests[leaderGuestId]) {
-                this.guests[leaderGuestId].social.groupId = groupId;
-                this.guests[leaderGuestId].social.isLeader = true;
+        nextRoundRobin: function() {
+            if (this.queue.length === 0) return null;
+            if (this.cursor >= this.queue.length) this.cursor = 0;
+            return this.queue[this.cursor++];
+        },
+
+        // Visits needed per update so the whole queue cycles within maxGuestStalenessTicks
+        getRequiredVisits: function() {
+            if (this.queue.length === 0) return 0;
+            return Math.ceil(this.queue.length * CONFIG.updateInterval / Math.max(1, CONFIG.maxGuestStalenessTicks));
+        },
+
+        markVisited: function(guestId) {
+            var entry = this.entries[guestId];
+            if (entry) {
+                entry.lastVisitTick = date.ticksElapsed;
             }
-            
-            return groupId;
         },
 
-        addToGroup: function(guestId, groupId) {
-            if (!this.groups[groupId]) return false;
-            if (!this.guests[guestId]) return false;
-            
-            var currentGroupId = this.guests[guestId].social.groupId;
-            if (currentGroupId) {
-                this.removeFromGroup(guestId);
+        getStalenessStats: function() {
+            var now = date.ticksElapsed;
+            var count = 0;
+            var total = 0;
+            var max = 0;
+            var overBound = 0;
+            var pending = 0;
+
+            for (var guestId in this.entries) {
+                if (!this.entries.hasOwnProperty(guestId)) continue;
+                var entry = this.entries[guestId];
+                var staleness = now - entry.lastVisitTick;
+                count++;
+                total += staleness;
+                max = Math.max(max, staleness);
+                if (staleness > CONFIG.maxGuestStalenessTicks) overBound++;
+                if (entry.prioritized) pending++;
             }
-            
-            this.groups[groupId].members.push(guestId);
-            this.guests[guestId].social.groupId = groupId;
-            this.guests[guestId].social.isLeader = false;
-            
-            return true;
+
+            return {
+                queued: count,
+                average: count > 0 ? Math.round(total / count) : 0,
+                max: max,
+                overBound: overBound,
+                pendingPriority: pending
+            };
         },
 
-        removeFromGroup: function(guestId) {
-            if (!this.guests[guestId]) return;
-            
-            var groupId = this.guests[guestId].social.groupId;
-            if (!groupId || !this.groups[groupId]) return;
-            
-            var idx = this.groups[groupId].members.indexOf(guestId);
-            if (idx !== -1) {
-                this.groups[groupId].members.splice(idx, 1);
+        getStaleness: function(guestId) {
+            var entry = this.entries[guestId];
+            return entry ? date.ticksElapsed - entry.lastVisitTick : null;
+        }
+    };
+
+    // ===========================================
+    // SPATIAL INDEX
+    // ===========================================
+    // Guest positions bucketed per tile, rebuilt at most once per update interval
+    // and shared by every neighbour query instead of per-tile entity scans.
+    var SpatialIndex = {
+        cells: {},
+        positions: {},
+        guestCount: 0,
+        builtTick: -1,
+
+        reset: function() {
+            this.cells = {};
+            this.positions = {};
+            this.guestCount = 0;
+            this.builtTick = -1;
+        },
+
+        getKey: function(tileX, tileY) {
+            return tileX * 65536 + tileY;
+        },
+
+        ensureFresh: function() {
+            if (this.builtTick < 0 || date.ticksElapsed - this.builtTick >= CONFIG.updateInterval) {
+                this.build();
             }
-            
-            if (this.groups[groupId].leaderId === guestId) {
-                if (this.groups[groupId].members.length > 0) {
-                    var newLeaderId = this.groups[groupId].members[0];
-                    this.groups[groupId].leaderId = newLeaderId;
-                    if (this.guests[newLeaderId]) {
-                        this.guests[newLeaderId].social.isLeader = true;
-                    }
-                } else {
-                    delete this.groups[groupId];
-                }
-            }
-            
-            this.guests[guestId].social.groupId = null;
-            this.guests[guestId].social.isLeader = false;
-        },
-
-        getGroupMembers: function(groupId) {
-            if (!this.groups[groupId]) return [];
-            return this.groups[groupId].members.slice();
         },
 
-        cleanupOldData: function() {
-            var validGuestIds = {};
+        build: function() {
+            var guests;
             try {
-                var guests = map.getAllEntities('guest');
-                for (var i = 0; i < guests.length; i++) {
-                    if (guests[i] && guests[i].id !== null) {
-                        validGuestIds[guests[i].id] = true;
-                    }
-                }
+                guests = map.getAllEntities('guest');
             } catch (e) {
                 return;
             }
-            
-            var removed = 0;
-            for (var guestId in this.guests) {
-                if (this.guests.hasOwnProperty(guestId)) {
-                    if (!validGuestIds[guestId]) {
-                        this.removeGuestData(guestId);
-                        removed++;
-                    }
+
+            this.cells = {};
+            this.positions = {};
+            this.guestCount = 0;
+            this.builtTick = date.ticksElapsed;
+
+            for (var i = 0; i < guests.length; i++) {
+                var guest = guests[i];
+                // Guests riding vehicles report an off-map location
+                if (!guest || guest.id === null || guest.x < 0 || guest.y < 0) continue;
+
+                var tileX = Math.floor(guest.x / 32);
+                var tileY = Math.floor(guest.y / 32);
+                var key = this.getKey(tileX, tileY);
+
+                if (!this.cells[key]) {
+                    this.cells[key] = [];
                 }
-            }
-            
-            if (CONFIG.debugMode && removed > 0) {
-                console.log('[PersonalityExpander] Cleaned up ' + removed + ' old guest records');
+                this.cells[key].push(guest.id);
+                this.positions[guest.id] = { tileX: tileX, tileY: tileY };
+                this.guestCount++;
             }
         },
 
-        getStats: function() {
-            var guestCount = 0;
-            var groupCount = 0;
-            var avgTraits = {};
-            
-            for (var guestId in this.guests) {
-                if (this.guests.hasOwnProperty(guestId)) {
-                    guestCount++;
-                    var traits = this.guests[guestId].traits;
-                    for (var trait in traits) {
-                        if (traits.hasOwnProperty(trait)) {
-                            avgTraits[trait] = (avgTraits[trait] || 0) + traits[trait];
-                        }
-                    }
-                }
-            }
-            
-            for (var groupId in this.groups) {
-                if (this.groups.hasOwnProperty(groupId)) {
-                    groupCount++;
-                }
-            }
-            
-            if (guestCount > 0) {
-                for (var t in avgTraits) {
-                    if (avgTraits.hasOwnProperty(t)) {
-                        avgTraits[t] = Math.round(avgTraits[t] / guestCount);
+        getPosition: function(guestId) {
+            this.ensureFresh();
+            return this.positions[guestId] || null;
+        },
+
+        getTileGuests: function(tileX, tileY) {
+            return this.cells[this.getKey(tileX, tileY)] || [];
+        },
+
+        // Calls callback(guestId, distance) for guests within radius tiles of (tileX, tileY);
+        // manhattan limits the square scan to a diamond.
+        forEachInRadius: function(tileX, tileY, radius, manhattan, callback) {
+            this.ensureFresh();
+
+            for (var dx = -radius; dx <= radius; dx++) {
+                for (var dy = -radius; dy <= radius; dy++) {
+                    var distance = Math.abs(dx) + Math.abs(dy);
+                    if (manhattan && distance > radius) continue;
+
+                    var cell = this.cells[this.getKey(tileX + dx, tileY + dy)];
+                    if (!cell) continue;
+
+                    for (var i = 0; i < cell.length; i++) {
+                        callback(cell[i], distance);
                     }
                 }
             }
-            
-            return {
-                totalGuests: guestCount,
-                totalGroups: groupCount,
-                averageTraits: avgTraits
-            };
         },
 
-        clear: function() {
-            this.guests = {};
-            this.groups = {};
-            this.nextGroupId = 1;
+        // Guests on the same tile and the four adjacent tiles, excluding the guest itself
+        countNearby: function(guest) {
+            var count = 0;
+            this.forEachInRadius(Math.floor(guest.x / 32), Math.floor(guest.y / 32), 1, true, function(otherId) {
+                if (otherId !== guest.id) count++;
+            });
+            return count;
         }
     };
 
     // ===========================================
-    // MOOD SYSTEM
+    // CROWDING MAP
     // ===========================================
-    var MoodSystem = {
-        updateMood: function(guestId, guest) {
-            if (!NetworkHelper.canModifyGameState()) return;
-            
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return;
-            
-            var newMood = this.calculateMood(guest, data);
-            
-            if (newMood.current !== data.mood.current || 
-                Math.abs(newMood.intensity - data.mood.intensity) > 10) {
-                data.mood = newMood;
-                data.mood.lastChange = date.ticksElapsed;
-                data.stats.moodChanges++;
-                
-                this.applyMoodEffects(guest, data);
+    var CrowdingMap = {
+        tiles: {},
+        tickCounter: 0,
+        stats: { sought: 0, avoided: 0, annoyed: 0 },
+        directions: [
+            { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+            { x: 1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 1 }, { x: -1, y: -1 }
+        ],
+
+        reset: function() {
+            this.tiles = {};
+            this.tickCounter = 0;
+            this.stats = { sought: 0, avoided: 0, annoyed: 0 };
+        },
+
+        update: function() {
+            if (!CONFIG.crowdingEnabled) return;
+
+            this.tickCounter++;
+            if (this.tickCounter < CONFIG.crowdingUpdateInterval) return;
+            this.tickCounter = 0;
+
+            SpatialIndex.ensureFresh();
+
+            var alpha = CONFIG.crowdingSmoothing;
+            var seen = {};
+            var key, entry;
+
+            for (key in SpatialIndex.cells) {
+                if (!SpatialIndex.cells.hasOwnProperty(key)) continue;
+                var cell = SpatialIndex.cells[key];
+                entry = this.tiles[key];
+                if (!entry) {
+                    var position = SpatialIndex.positions[cell[0]];
+                    entry = this.tiles[key] = { tileX: position.tileX, tileY: position.tileY, density: 0, hotTicks: 0 };
+                }
+                entry.density += alpha * (cell.length - entry.density);
+                seen[key] = true;
+            }
+
+            for (key in this.tiles) {
+                if (!this.tiles.hasOwnProperty(key)) continue;
+                entry = this.tiles[key];
+                if (!seen[key]) {
+                    entry.density *= (1 - alpha);
+                }
+
+                if (this.getAreaDensity(entry.tileX, entry.tileY) >= CONFIG.crowdingHotspotDensity) {
+                    entry.hotTicks += CONFIG.crowdingUpdateInterval;
+                } else {
+                    entry.hotTicks = Math.max(0, entry.hotTicks - CONFIG.crowdingUpdateInterval);
+                }
+
+                if (entry.density < 0.05 && entry.hotTicks === 0) {
+                    delete this.tiles[key];
+                }
             }
         },
 
-        calculateMood: function(guest, data) {
+        getDensity: function(tileX, tileY) {
+            var entry = this.tiles[SpatialIndex.getKey(tileX, tileY)];
+            return entry ? entry.density : 0;
+        },
+
+        // Smoothed guests on the tile and its eight neighbours
+        getAreaDensity: function(tileX, tileY) {
+            var total = 0;
+            for (var dx = -1; dx <= 1; dx++) {
+                for (var dy = -1; dy <= 1; dy++) {
+                    total += this.getDensity(tileX + dx, tileY + dy);
+                }
+            }
+            return total;
+        },
+
+        isChronic: function(tileX, tileY) {
+            var entry = this.tiles[SpatialIndex.getKey(tileX, tileY)];
+            return !!entry && entry.hotTicks >= CONFIG.crowdingChronicTicks;
+        },
+
+        reactToCrowding: function(guest, data) {
+            if (!CONFIG.crowdingEnabled || guest.x < 0) return;
+
+            var tileX = Math.floor(guest.x / 32);
+            var tileY = Math.floor(guest.y / 32);
+            var area = this.getAreaDensity(tileX, tileY);
             var traits = data.traits;
-            var mood = {
-                current: MOOD_STATES.NEUTRAL,
-                intensity: 128,
-                lastChange: data.mood.lastChange
-            };
-            
-            var baseHappiness = guest.happiness || 128;
-            var happinessModifier = 0;
-            
-            if (traits.social > 150) {
-                var nearbyGuests = this.countNearbyGuests(guest);
-                happinessModifier += Math.min(20, nearbyGuests * 2);
+
+            // Queues are meant to be packed; the queue system handles impatience there
+            if (area >= CONFIG.crowdingHotspotDensity / 2 && data.queue.rideId !== null) return;
+
+            if (this.isChronic(tileX, tileY) &&
+                date.ticksElapsed - data.mood.lastCrowdedTick >= CONFIG.crowdingChronicTicks / 2) {
+                var annoyance = 60 + (traits.nervous - 128) / 2 - (traits.patient - 128) / 3 - (traits.social > 170 ? 30 : 0);
+                if (annoyance > 0) {
+                    MoodSystem.pushEmotion(data, MOOD_STATES.ANNOYED, annoyance, 'crowding');
+                    data.mood.lastCrowdedTick = date.ticksElapsed;
+                    this.stats.annoyed++;
+                }
             }
-            
-            if (traits.nervous > 150) {
-                var nearbyGuests2 = this.countNearbyGuests(guest);
-                happinessModifier -= Math.min(20, nearbyGuests2 * 3);
-            }
-            
-            if (guest.hunger < 50) {
-                mood.current = MOOD_STATES.HUNGRY_MOOD;
-                mood.intensity = 50 + (50 - guest.hunger);
-            } else if (guest.thirst < 50) {
-                mood.current = MOOD_STATES.THIRSTY_MOOD;
-                mood.intensity = 50 + (50 - guest.thirst);
-            } else if (guest.toilet > 200) {
-                mood.current = MOOD_STATES.ANNOYED;
-                mood.intensity = 100 + (guest.toilet - 200) / 2;
-            } else if (guest.energy < 40) {
-                mood.current = MOOD_STATES.TIRED;
-                mood.intensity = 40 + (40 - guest.energy);
-            } else if (guest.nausea > 150) {
-                mood.current = MOOD_STATES.SICK;
-                mood.intensity = guest.nausea;
-            } else {
-                var adjustedHappiness = Math.max(0, Math.min(255, baseHappiness + happinessModifier));
-                
-                if (adjustedHappiness > CONFIG.happyMoodThreshold + 50) {
-                    mood.current = MOOD_STATES.ECSTATIC;
-                    mood.intensity = adjustedHappiness;
-                } else if (adjustedHappiness > CONFIG.happyMoodThreshold) {
-                    mood.current = MOOD_STATES.HAPPY;
-                    mood.intensity = adjustedHappiness;
-                } else if (adjustedHappiness > CONFIG.neutralMoodThreshold) {
-                    mood.current = MOOD_STATES.CONTENT;
-                    mood.intensity = adjustedHappiness;
-                } else if (adjustedHappiness > CONFIG.sadMoodThreshold) {
-                    mood.current = MOOD_STATES.NEUTRAL;
-                    mood.intensity = adjustedHappiness;
-                } else if (adjustedHappiness > 30) {
-                    mood.current = MOOD_STATES.SAD;
-                    mood.intensity = 128 - adjustedHappiness;
+
+            if (data.behavior.current !== BEHAVIOR_TYPES.WANDERING) return;
+
+            var target = data.behavior.target;
+            if (target && (target.type !== 'crowd' ||
+                date.ticksElapsed - target.chosenTick < CONFIG.crowdingUpdateInterval * 10)) {
+                return;
+            }
+
+            var avoids = traits.nervous > 150 || traits.social < 80;
+            var seeks = traits.social > 170 && !avoids;
+            var destination = null;
+
+            if (avoids && area >= CONFIG.crowdingHotspotDensity) {
+                destination = this.findNearbyPath(guest, tileX, tileY, false);
+                if (destination && destination.area < area) {
+                    this.stats.avoided++;
                 } else {
-                    mood.current = MOOD_STATES.ANGRY;
-                    mood.intensity = 200 - adjustedHappiness;
+                    destination = null;
+                }
+            } else if (seeks && area < CONFIG.crowdingHotspotDensity / 2) {
+                destination = this.findNearbyPath(guest, tileX, tileY, true);
+                if (destination && destination.area >= area + 2) {
+                    this.stats.sought++;
+                } else {
+                    destination = null;
                 }
             }
-            
-            return mood;
+
+            if (destination && GuestSteering.steerTo(guest, { x: destination.tileX * 32 + 16, y: destination.tileY * 32 + 16 })) {
+                data.behavior.target = {
+                    type: 'crowd',
+                    tileX: destination.tileX,
+                    tileY: destination.tileY,
+                    chosenTick: date.ticksElapsed
+                };
+            }
         },
 
-        countNearbyGuests: function(guest) {
-            try {
-                var tileX = Math.floor(guest.x / 32);
-                var tileY = Math.floor(guest.y / 32);
-                var count = 0;
-                
-                var nearbyGuests = map.getAllEntitiesOnTile('guest', { x: tileX * 32, y: tileY * 32 });
-                count += nearbyGuests.length;
-                
-                var directions = [
-                    { x: 1, y: 0 }, { x: -1, y: 0 },
-                    { x: 0, y: 1 }, { x: 0, y: -1 }
-                ];
-                
-                for (var i = 0; i < directions.length; i++) {
-                    var checkX = (tileX + directions[i].x) * 32;
-                    var checkY = (tileY + directions[i].y) * 32;
-                    var adjacentGuests = map.getAllEntitiesOnTile('guest', { x: checkX, y: checkY });
-                    count += adjacentGuests.length;
+        // Busiest (or quietest) walkable path tile around the guest, sampled along the eight directions
+        findNearbyPath: function(guest, tileX, tileY, busiest) {
+            var best = null;
+            var radius = CONFIG.crowdingSteerRadius;
+            var distances = [Math.max(1, Math.floor(radius / 2)), radius];
+
+            for (var i = 0; i < this.directions.length; i++) {
+                for (var d = 0; d < distances.length; d++) {
+                    var checkX = tileX + this.directions[i].x * distances[d];
+                    var checkY = tileY + this.directions[i].y * distances[d];
+                    var path = GuestSteering.getFootpathAt(checkX, checkY, guest.z);
+                    if (!path || path.isQueue) continue;
+
+                    var area = this.getAreaDensity(checkX, checkY);
+                    if (!best || (busiest ? area > best.area : area < best.area)) {
+                        best = { tileX: checkX, tileY: checkY, area: area };
+                    }
                 }
-                
-                return Math.max(0, count - 1);
-            } catch (e) {
-                return 0;
             }
+
+            return best;
         },
 
-        applyMoodEffects: function(guest, data) {
-            if (!NetworkHelper.canModifyGameState()) return;
-            
-            try {
-                var mood = data.mood;
-                var happinessAdjust = 0;
-                
-                switch (mood.current) {
-                    case MOOD_STATES.ECSTATIC:
-                        happinessAdjust = 30;
-                        break;
-                    case MOOD_STATES.HAPPY:
-                        happinessAdjust = 15;
-                        break;
-                    case MOOD_STATES.EXCITED:
-                        happinessAdjust = 20;
-                        break;
-                    case MOOD_STATES.BORED:
-                        happinessAdjust = -10;
-                        break;
-                    case MOOD_STATES.ANNOYED:
-                        happinessAdjust = -15;
-                        break;
-                    case MOOD_STATES.SAD:
-                        happinessAdjust = -20;
-                        break;
-                    case MOOD_STATES.ANGRY:
-                        happinessAdjust = -30;
-                        break;
-                }
-                
-                happinessAdjust = Math.round(happinessAdjust * CONFIG.moodInfluenceStrength);
-                
-                var newTarget = Math.max(0, Math.min(255, guest.happinessTarget + happinessAdjust));
-                
-                if (Math.abs(newTarget - guest.happinessTarget) > 5) {
-                    guest.happinessTarget = newTarget;
+        // Highest-density areas, at most one per 5x5 block, skipping queue lines
+        getHotspots: function(limit) {
+            var candidates = [];
+            for (var key in this.tiles) {
+                if (this.tiles.hasOwnProperty(key)) {
+                    var entry = this.tiles[key];
+                    candidates.push({
+                        tileX: entry.tileX,
+                        tileY: entry.tileY,
+                        area: this.getAreaDensity(entry.tileX, entry.tileY),
+                        hotTicks: entry.hotTicks
+                    });
                 }
-            } catch (e) {
-                if (CONFIG.debugMode) {
-                    console.log('[PersonalityExpander] Error applying mood effects: ' + e);
+            }
+
+            candidates.sort(function(a, b) { return b.area - a.area; });
+
+            var hotspots = [];
+            for (var i = 0; i < candidates.length && hotspots.length < limit; i++) {
+                var candidate = candidates[i];
+                if (candidate.area < 1) break;
+
+                var overlaps = false;
+                for (var j = 0; j < hotspots.length; j++) {
+                    if (Math.abs(hotspots[j].tileX - candidate.tileX) <= 2 && Math.abs(hotspots[j].tileY - candidate.tileY) <= 2) {
+                        overlaps = true;
+                        break;
+                    }
                 }
+                if (overlaps) continue;
+
+                var path = null;
+                try {
+                    var elements = map.getTile(candidate.tileX, candidate.tileY).elements;
+                    for (var e = 0; e < elements.length; e++) {
+                        if (elements[e].type === 'footpath') {
+                            path = elements[e];
+                            break;
+                        }
+                    }
+                } catch (ex) {}
+                if (path && path.isQueue) continue;
+
+                candidate.chronic = candidate.hotTicks >= CONFIG.crowdingChronicTicks;
+                hotspots.push(candidate);
             }
+
+            return hotspots;
         },
 
-        getMoodEmoji: function(mood) {
-            switch (mood) {
-                case MOOD_STATES.ECSTATIC: return ':D';
-                case MOOD_STATES.HAPPY: return ':)';
-                case MOOD_STATES.CONTENT: return ':]';
-                case MOOD_STATES.NEUTRAL: return ':|';
-                case MOOD_STATES.BORED: return ':/';
-                case MOOD_STATES.ANNOYED: return '>:(';
-                case MOOD_STATES.SAD: return ':(';
-                case MOOD_STATES.ANGRY: return '>:O';
-                case MOOD_STATES.SCARED: return ':O';
-                case MOOD_STATES.EXCITED: return ':D!';
-                case MOOD_STATES.TIRED: return '-_-';
-                case MOOD_STATES.HUNGRY_MOOD: return ':[food]';
-                case MOOD_STATES.THIRSTY_MOOD: return ':[drink]';
-                case MOOD_STATES.SICK: return 'X(';
-                default: return '?';
+        getSummary: function() {
+            var tracked = 0;
+            var hot = 0;
+            var chronic = 0;
+            for (var key in this.tiles) {
+                if (this.tiles.hasOwnProperty(key)) {
+                    tracked++;
+                    if (this.tiles[key].hotTicks > 0) hot++;
+                    if (this.tiles[key].hotTicks >= CONFIG.crowdingChronicTicks) chronic++;
+                }
             }
+
+            return {
+                trackedTiles: tracked,
+                hotTiles: hot,
+                chronicTiles: chronic,
+                sought: this.stats.sought,
+                avoided: this.stats.avoided,
+                annoyed: this.stats.annoyed
+            };
         }
     };
 
     // ===========================================
-    // BEHAVIOR SYSTEM
+    // RANDOM NUMBER GENERATOR (Deterministic for MP)
     // ===========================================
-    var BehaviorSystem = {
-        updateBehavior: function(guestId, guest) {
-            if (!NetworkHelper.canModifyGameState()) return;
-            
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return;
-            
-            var newBehavior = this.determineBehavior(guest, data);
-            
-            if (newBehavior !== data.behavior.current) {
-                data.behavior.current = newBehavior;
-                data.behavior.startTick = date.ticksElapsed;
-                data.stats.behaviorsChanged++;
-                
-                this.executeBehavior(guest, data);
+    var RandomGenerator = {
+        seed: 12345,
+
+        getGameRandom: function(min, max) {
+            try {
+                return context.getRandom(min, max);
+            } catch (e) {
+                return this.getSeededRandom(min, max);
             }
         },
 
-        determineBehavior: function(guest, data) {
-            var traits = data.traits;
-            var mood = data.mood;
-            
-            if (guest.toilet > 180) {
-                return BEHAVIOR_TYPES.SEEKING_TOILET;
+        getSeededRandom: function(min, max) {
+            this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+            return min + (this.seed % (max - min));
+        },
+
+        getRandomFloat: function() {
+            return this.getGameRandom(0, 10000) / 10000;
+        },
+
+        getGaussianRandom: function(mean, stdDev) {
+            return Math.round(mean + this.getStandardNormal() * stdDev);
+        },
+
+        getStandardNormal: function() {
+            var u1 = this.getRandomFloat();
+            var u2 = this.getRandomFloat();
+            if (u1 === 0) u1 = 0.0001;
+            return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+        }
+    };
+
+    // ===========================================
+    // PERSONALITY DATA STORE
+    // ===========================================
+    var PersonalityStore = {
+        guests: {},
+        groups: {},
+        nextGroupId: 1,
+
+        getGuestData: function(guestId, isNewArrival) {
+            if (!this.guests[guestId]) {
+                this.guests[guestId] = this.createNewPersonality(guestId, isNewArrival);
             }
-            
-            if (guest.hunger < 40 && traits.hungry > 100) {
-                return BEHAVIOR_TYPES.SEEKING_FOOD;
+            return this.guests[guestId];
+        },
+
+        hasGuestData: function(guestId) {
+            return guestId in this.guests;
+        },
+
+        createNewPersonality: function(guestId, isNewArrival) {
+            var personality = this.createPersonalitySkeleton(guestId);
+            var useParkAppeal = isNewArrival === true && ParkAppealSystem.isActive();
+
+            personality.archetype = ArchetypeSystem.pickArchetype(useParkAppeal);
+            personality.traits = ArchetypeSystem.generateTraits(personality.archetype);
+
+            if (useParkAppeal) {
+                ParkAppealSystem.applyTraitBias(personality.traits);
             }
+
+            this.calculateModifiers(personality);
+            SyncManager.queueCreate(personality);
+
+            return personality;
+        },
+
+        createPersonalitySkeleton: function(guestId) {
+            return {
+                id: guestId,
+                createdTick: date.ticksElapsed,
+                archetype: null,
+                
+                traits: {},
+                
+                mood: {
+                    current: MOOD_STATES.CONTENT,
+                    intensity: 128,
+                    lastChange: date.ticksElapsed,
+                    source: 'baseline',
+                    emotions: {},
+                    history: [],
+                    lastDisgustTick: 0,
+                    lastCrowdedTick: 0
+                },
+                
+                behavior: {
+                    current: BEHAVIOR_TYPES.WANDERING,
+                    target: null,
+                    startTick: date.ticksElapsed
+                },
+                
+                social: {
+                    groupId: null,
+                    isLeader: false,
+                    friendIds: [],
+                    recentInteractions: 0
+                },
+                
+                memory: {
+                    ridesRidden: {},
+                    favoriteRide: null,
+                    worstExperience: null,
+                    totalSpent: 0,
+                    itemsBought: [],
+                    abandonedQueues: {},
+                    timeInPark: 0
+                },
+                
+                queue: {
+                    rideId: null,
+                    enteredTick: 0,
+                    annoyed: false,
+                    leaving: null
+                },
+                
+                shopping: {
+                    tracked: false,
+                    lastItems: [],
+                    vetoes: {},
+                    totalVetoes: 0
+                },
+                
+                needs: {
+                    lastTick: 0,
+                    hunger: 0,
+                    thirst: 0,
+                    energy: 0
+                },
+                
+                departure: {
+                    satisfaction: 128,
+                    reason: null,
+                    tick: 0
+                },
+                
+                modifiers: {
+                    happinessBonus: 0,
+                    energyDrain: 1.0,
+                    hungerRate: 1.0,
+                    thirstRate: 1.0,
+                    spendingMultiplier: 1.0
+                },
+                
+                stats: {
+                    moodChanges: 0,
+                    behaviorsChanged: 0,
+                    socialInteractions: 0,
+                    decisionsInfluenced: 0
+                }
+            };
+        },
+
+        calculateModifiers: function(personality) {
+            var traits = personality.traits;
             
-            if (guest.thirst < 40) {
-                return BEHAVIOR_TYPES.SEEKING_DRINK;
+            personality.modifiers.energyDrain = 1.0 - (traits.energetic - 128) / 512;
+            personality.modifiers.hungerRate = 0.8 + (traits.hungry / 255) * 0.4;
+            personality.modifiers.thirstRate = 0.8 + (traits.energetic / 255) * 0.4;
+            personality.modifiers.spendingMultiplier = 1.5 - (traits.frugal / 255);
+        },
+
+        removeGuestData: function(guestId) {
+            if (this.guests[guestId]) {
+                SyncManager.queue({ action: 'personality-remove', guestId: parseInt(guestId, 10) });
+                var groupId = this.guests[guestId].social.groupId;
+                if (groupId && this.groups[groupId]) {
+                    var idx = this.groups[groupId].members.indexOf(guestId);
+                    if (idx !== -1) {
+                        this.groups[groupId].members.splice(idx, 1);
+                    }
+                    if (this.groups[groupId].members.length === 0) {
+                        delete this.groups[groupId];
+                    }
+                }
+                delete this.guests[guestId];
             }
-            
-            if (guest.hunger < 60) {
-                return BEHAVIOR_TYPES.SEEKING_FOOD;
+        },
+
+        createGroup: function(leaderGuestId, groupId) {
+            if (groupId) {
+                this.nextGroupId = Math.max(this.nextGroupId, groupId + 1);
+            } else {
+                groupId = this.nextGroupId++;
             }
+            this.groups[groupId] = {
+                id: groupId,
+                leaderId: leaderGuestId,
+                members: [leaderGuestId],
+                formation: 'follow',
+                targetRide: null,
+                createdTick: date.ticksElapsed
+            };
             
-            if (CONFIG.weatherReactionsEnabled) {
-                var weatherBehavior = this.getWeatherBehavior(guest, data);
-                if (weatherBehavior) return weatherBehavior;
+            if (this.guests[leaderGuestId]) {
+                this.guests[leaderGuestId].social.groupId = groupId;
+                this.guests[leaderGuestId].social.isLeader = true;
             }
             
-            if (guest.energy < 30) {
-                return BEHAVIOR_TYPES.RESTING;
-            }
+            SyncManager.queue({ action: 'group-create', groupId: groupId, leaderId: leaderGuestId });
             
-            if (data.social.groupId && !data.social.isLeader) {
-                return BEHAVIOR_TYPES.FOLLOWING_GROUP;
-            }
+            return groupId;
+        },
+
+        addToGroup: function(guestId, groupId) {
+            if (!this.groups[groupId]) return false;
+            if (!this.guests[guestId]) return false;
             
-            if (data.social.isLeader) {
-                return BEHAVIOR_TYPES.LEADING_GROUP;
+            var currentGroupId = this.guests[guestId].social.groupId;
+            if (currentGroupId) {
+                this.removeFromGroup(guestId);
             }
             
-            if (traits.photographer > 180 && RandomGenerator.getRandomFloat() < 0.1) {
-                return BEHAVIOR_TYPES.PHOTO_TAKING;
-            }
+            this.groups[groupId].members.push(guestId);
+            this.guests[guestId].social.groupId = groupId;
+            this.guests[guestId].social.isLeader = false;
             
-            if (traits.collector > 180 && RandomGenerator.getRandomFloat() < 0.05) {
-                return BEHAVIOR_TYPES.SHOPPING;
-            }
+            SyncManager.queue({ action: 'group-add', groupId: groupId, guestId: guestId });
             
-            if (traits.social > 170 && RandomGenerator.getRandomFloat() < CONFIG.groupFormationChance) {
-                return BEHAVIOR_TYPES.SOCIALIZING;
-            }
+            return true;
+        },
+
+        removeFromGroup: function(guestId) {
+            if (!this.guests[guestId]) return;
             
-            if (mood.current === MOOD_STATES.BORED) {
-                return BEHAVIOR_TYPES.SEEKING_RIDE;
-            }
+            var groupId = this.guests[guestId].social.groupId;
+            if (!groupId || !this.groups[groupId]) return;
             
-            if (mood.current === MOOD_STATES.SAD && guest.isInPark) {
-                if (RandomGenerator.getRandomFloat() < 0.1) {
-                    return BEHAVIOR_TYPES.LEAVING;
-                }
+            SyncManager.queue({ action: 'group-remove', guestId: guestId });
+            
+            var idx = this.groups[groupId].members.indexOf(guestId);
+            if (idx !== -1) {
+                this.groups[groupId].members.splice(idx, 1);
             }
             
-            if (traits.thrillSeeker > 150 || traits.adventurous > 150) {
-                return BEHAVIOR_TYPES.SEEKING_RIDE;
+            if (this.groups[groupId].leaderId === guestId) {
+                if (this.groups[groupId].members.length > 0) {
+                    var newLeaderId = this.groups[groupId].members[0];
+                    this.groups[groupId].leaderId = newLeaderId;
+                    if (this.guests[newLeaderId]) {
+                        this.guests[newLeaderId].social.isLeader = true;
+                    }
+                } else {
+                    delete this.groups[groupId];
+                }
             }
             
-            return BEHAVIOR_TYPES.WANDERING;
+            this.guests[guestId].social.groupId = null;
+            this.guests[guestId].social.isLeader = false;
         },
 
-        getWeatherBehavior: function(guest, data) {
+        getGroupMembers: function(groupId) {
+            if (!this.groups[groupId]) return [];
+            return this.groups[groupId].members.slice();
+        },
+
+        cleanupOldData: function() {
+            var validGuestIds = {};
             try {
-                var currentWeather = climate.current;
-                var traits = data.traits;
-                
-                if (currentWeather.weather === 'rain' || currentWeather.weather === 'heavy_rain') {
-                    if (!guest.hasItem({ type: 'umbrella' })) {
-                        if (traits.nervous > 150) {
-                            return BEHAVIOR_TYPES.SEEKING_SHELTER;
-                        }
-                        if (RandomGenerator.getRandomFloat() < 0.3) {
-                            return BEHAVIOR_TYPES.SEEKING_SHELTER;
-                        }
+                var guests = map.getAllEntities('guest');
+                for (var i = 0; i < guests.length; i++) {
+                    if (guests[i] && guests[i].id !== null) {
+                        validGuestIds[guests[i].id] = true;
                     }
                 }
-                
-                if (currentWeather.weather === 'thunder') {
-                    if (traits.nervous > 100) {
-                        return BEHAVIOR_TYPES.SEEKING_SHELTER;
+            } catch (e) {
+                return;
+            }
+            
+            var removed = 0;
+            for (var guestId in this.guests) {
+                if (this.guests.hasOwnProperty(guestId)) {
+                    if (!validGuestIds[guestId]) {
+                        this.removeGuestData(guestId);
+                        removed++;
                     }
                 }
-            } catch (e) {}
+            }
             
-            return null;
+            if (CONFIG.debugMode && removed > 0) {
+                console.log('[PersonalityExpander] Cleaned up ' + removed + ' old guest records');
+            }
         },
 
-        executeBehavior: function(guest, data) {
-            if (!NetworkHelper.canModifyGameState()) return;
+        getStats: function() {
+            var guestCount = 0;
+            var groupCount = 0;
+            var avgTraits = {};
+            var archetypeCounts = {};
+            var pairs = CONFIG.traitCorrelations;
+            var pairSums = [];
+            var p;
             
-            var behavior = data.behavior.current;
+            for (p = 0; p < pairs.length; p++) {
+                pairSums.push({ x: 0, y: 0, xx: 0, yy: 0, xy: 0 });
+            }
             
-            try {
-                switch (behavior) {
-                    case BEHAVIOR_TYPES.SEEKING_RIDE:
-                        this.handleSeekingRide(guest, data);
-                        break;
-                    case BEHAVIOR_TYPES.SOCIALIZING:
-                        this.handleSocializing(guest, data);
-                        break;
-                    case BEHAVIOR_TYPES.RESTING:
-                        if (guest.energy < 30) {
-                            guest.energyTarget = Math.min(255, guest.energy + 20);
+            for (var guestId in this.guests) {
+                if (this.guests.hasOwnProperty(guestId)) {
+                    guestCount++;
+                    var archetype = this.guests[guestId].archetype || 'casual';
+                    archetypeCounts[archetype] = (archetypeCounts[archetype] || 0) + 1;
+                    var traits = this.guests[guestId].traits;
+                    for (var trait in traits) {
+                        if (traits.hasOwnProperty(trait)) {
+                            avgTraits[trait] = (avgTraits[trait] || 0) + traits[trait];
                         }
-                        break;
-                    case BEHAVIOR_TYPES.PHOTO_TAKING:
-                        guest.happinessTarget = Math.min(255, guest.happinessTarget + 10);
-                        break;
-                }
-            } catch (e) {
-                if (CONFIG.debugMode) {
-                    console.log('[PersonalityExpander] Error executing behavior: ' + e);
+                    }
+                    
+                    for (p = 0; p < pairs.length; p++) {
+                        var a = traits[pairs[p][0]];
+                        var b = traits[pairs[p][1]];
+                        pairSums[p].x += a;
+                        pairSums[p].y += b;
+                        pairSums[p].xx += a * a;
+                        pairSums[p].yy += b * b;
+                        pairSums[p].xy += a * b;
+                    }
                 }
             }
-        },
-
-        handleSeekingRide: function(guest, data) {
-            if (!CONFIG.ridePreferencesEnabled) return;
             
-            var preferredIntensity = this.calculatePreferredIntensity(data);
-            data.behavior.target = {
-                type: 'ride',
-                preferredIntensity: preferredIntensity
-            };
-        },
-
-        calculatePreferredIntensity: function(data) {
-            var traits = data.traits;
-            var baseIntensity = 5;
+            var correlations = [];
+            for (p = 0; p < pairs.length; p++) {
+                var sums = pairSums[p];
+                var covariance = guestCount * sums.xy - sums.x * sums.y;
+                var varianceA = guestCount * sums.xx - sums.x * sums.x;
+                var varianceB = guestCount * sums.yy - sums.y * sums.y;
+                var observed = (varianceA > 0 && varianceB > 0) ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+                correlations.push({
+                    traitA: pairs[p][0],
+                    traitB: pairs[p][1],
+                    configured: pairs[p][2],
+                    observed: Math.round(observed * 100) / 100
+                });
+            }
             
-            baseIntensity += (traits.thrillSeeker - 128) / 40;
-            baseIntensity -= (traits.nervous - 128) / 50;
-            baseIntensity += (traits.adventurous - 128) / 80;
+            for (var groupId in this.groups) {
+                if (this.groups.hasOwnProperty(groupId)) {
+                    groupCount++;
+                }
+            }
             
-            if (traits.romantic > 170) {
-                baseIntensity -= 2;
+            if (guestCount > 0) {
+                for (var t in avgTraits) {
+                    if (avgTraits.hasOwnProperty(t)) {
+                        avgTraits[t] = Math.round(avgTraits[t] / guestCount);
+                    }
+                }
             }
             
-            return Math.max(1, Math.min(15, Math.round(baseIntensity)));
+            return {
+                totalGuests: guestCount,
+                totalGroups: groupCount,
+                averageTraits: avgTraits,
+                archetypeCounts: archetypeCounts,
+                traitCorrelations: correlations
+            };
         },
 
-        handleSocializing: function(guest, data) {
-            if (!CONFIG.socialBehaviorEnabled) return;
-            
-            if (!data.social.groupId) {
-                var nearbyGuests = this.findNearbyGuestsForSocializing(guest);
-                
-                if (nearbyGuests.length > 0) {
-                    var existingGroup = null;
-                    for (var i = 0; i < nearbyGuests.length; i++) {
-                        var nearbyData = PersonalityStore.getGuestData(nearbyGuests[i]);
-                        if (nearbyData && nearbyData.social.groupId) {
-                            existingGroup = nearbyData.social.groupId;
-                            break;
-                        }
+        clear: function() {
+            this.guests = {};
+            this.groups = {};
+            this.nextGroupId = 1;
+        },
+
+        serialize: function() {
+            return {
+                guests: this.guests,
+                groups: this.groups,
+                nextGroupId: this.nextGroupId
+            };
+        },
+
+        deserialize: function(snapshot) {
+            this.clear();
+            if (!snapshot) return 0;
+
+            var restored = 0;
+            var savedGuests = snapshot.guests || {};
+            for (var guestId in savedGuests) {
+                if (savedGuests.hasOwnProperty(guestId)) {
+                    var record = this.restoreGuestRecord(guestId, savedGuests[guestId]);
+                    if (record) {
+                        this.guests[guestId] = record;
+                        restored++;
                     }
-                    
-                    if (existingGroup) {
-                        if (PersonalityStore.groups[existingGroup].members.length < 6) {
-                            PersonalityStore.addToGroup(guest.id, existingGroup);
-                            data.stats.socialInteractions++;
-                        }
-                    } else if (nearbyGuests.length >= 1) {
-                        var groupId = PersonalityStore.createGroup(guest.id);
-                        PersonalityStore.addToGroup(nearbyGuests[0], groupId);
-                        data.stats.socialInteractions++;
+                }
+            }
+
+            var savedGroups = snapshot.groups || {};
+            var maxGroupId = 0;
+            for (var groupId in savedGroups) {
+                if (savedGroups.hasOwnProperty(groupId)) {
+                    var group = savedGroups[groupId];
+                    if (!group || !group.members || group.members.length === 0) continue;
+                    this.groups[groupId] = group;
+                    maxGroupId = Math.max(maxGroupId, group.id);
+                }
+            }
+
+            for (var id in this.guests) {
+                if (this.guests.hasOwnProperty(id)) {
+                    var social = this.guests[id].social;
+                    if (social.groupId && !this.groups[social.groupId]) {
+                        social.groupId = null;
+                        social.isLeader = false;
                     }
                 }
             }
+
+            this.nextGroupId = Math.max(snapshot.nextGroupId || 1, maxGroupId + 1);
+
+            return restored;
         },
 
-        findNearbyGuestsForSocializing: function(guest) {
-            var nearby = [];
-            try {
-                var tileX = Math.floor(guest.x / 32);
-                var tileY = Math.floor(guest.y / 32);
-                
-                for (var dx = -CONFIG.socialInfluenceRadius; dx <= CONFIG.socialInfluenceRadius; dx++) {
-                    for (var dy = -CONFIG.socialInfluenceRadius; dy <= CONFIG.socialInfluenceRadius; dy++) {
-                        if (dx === 0 && dy === 0) continue;
-                        
-                        var checkX = (tileX + dx) * 32;
-                        var checkY = (tileY + dy) * 32;
-                        
-                        var guestsOnTile = map.getAllEntitiesOnTile('guest', { x: checkX, y: checkY });
-                        
-                        for (var i = 0; i < guestsOnTile.length; i++) {
-                            var otherGuest = guestsOnTile[i];
-                            if (otherGuest.id !== guest.id && otherGuest.id !== null) {
-                                var otherData = PersonalityStore.getGuestData(otherGuest.id);
-                                if (otherData && otherData.traits.social > 100) {
-                                    nearby.push(otherGuest.id);
-                                }
-                            }
+        restoreGuestRecord: function(guestId, saved) {
+            if (!saved || !saved.traits) return null;
+
+            var record = this.createPersonalitySkeleton(parseInt(guestId, 10));
+            for (var section in record) {
+                if (!record.hasOwnProperty(section) || !saved.hasOwnProperty(section)) continue;
+
+                if (record[section] !== null && typeof record[section] === 'object') {
+                    for (var key in saved[section]) {
+                        if (saved[section].hasOwnProperty(key)) {
+                            record[section][key] = saved[section][key];
                         }
                     }
+                } else {
+                    record[section] = saved[section];
                 }
-            } catch (e) {}
-            
-            return nearby;
+            }
+
+            for (var traitKey in PERSONALITY_TRAITS) {
+                if (PERSONALITY_TRAITS.hasOwnProperty(traitKey)) {
+                    var traitName = PERSONALITY_TRAITS[traitKey];
+                    if (typeof record.traits[traitName] !== 'number') {
+                        record.traits[traitName] = 128;
+                    }
+                }
+            }
+
+            this.calculateModifiers(record);
+
+            return record;
         }
     };
 
     // ===========================================
-    // RIDE PREFERENCE SYSTEM
+    // ARCHETYPE SYSTEM
     // ===========================================
-    var RidePreferenceSystem = {
-        calculateRideSatisfaction: function(guestId, rideId) {
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return 0.5;
-            
-            try {
-                var ride = map.getRide(rideId);
-                if (!ride) return 0.5;
-                
-                var traits = data.traits;
-                var satisfaction = 0.5;
-                
-                var intensity = (ride.intensity || 500) / 100;
-                var preferredIntensity = BehaviorSystem.calculatePreferredIntensity(data);
-                var intensityDiff = Math.abs(intensity - preferredIntensity);
-                satisfaction -= intensityDiff * 0.05;
-                
-                if (traits.thrillSeeker > 150) {
-                    var excitement = (ride.excitement || 500) / 100;
-                    satisfaction += excitement * 0.02;
-                }
-                
-                if (traits.nervous > 150) {
-                    var nausea = (ride.nausea || 300) / 100;
-                    satisfaction -= nausea * 0.03;
+    var ArchetypeSystem = {
+        mixStorageKey: 'archetypeMix',
+        weights: {},
+        maxWeight: 10,
+
+        getWeight: function(archetypeId) {
+            if (this.weights.hasOwnProperty(archetypeId)) {
+                return this.weights[archetypeId];
+            }
+            return GUEST_ARCHETYPES[archetypeId] ? GUEST_ARCHETYPES[archetypeId].defaultWeight : 0;
+        },
+
+        setWeight: function(archetypeId, weight) {
+            if (!GUEST_ARCHETYPES[archetypeId]) return;
+            this.weights[archetypeId] = Math.max(0, Math.min(this.maxWeight, weight));
+            this.saveMix();
+        },
+
+        resetMix: function() {
+            this.weights = {};
+            this.saveMix();
+        },
+
+        getShare: function(archetypeId) {
+            var total = 0;
+            for (var id in GUEST_ARCHETYPES) {
+                if (GUEST_ARCHETYPES.hasOwnProperty(id)) {
+                    total += this.getWeight(id);
                 }
-                
-                if (data.memory.favoriteRide === rideId) {
-                    satisfaction += 0.2;
+            }
+            return total > 0 ? this.getWeight(archetypeId) / total : 0;
+        },
+
+        getEffectiveWeight: function(archetypeId, useParkAppeal) {
+            var weight = this.getWeight(archetypeId);
+            return useParkAppeal ? weight * ParkAppealSystem.getArchetypeMultiplier(archetypeId) : weight;
+        },
+
+        pickArchetype: function(useParkAppeal) {
+            var total = 0;
+            var id;
+            for (id in GUEST_ARCHETYPES) {
+                if (GUEST_ARCHETYPES.hasOwnProperty(id)) {
+                    total += this.getEffectiveWeight(id, useParkAppeal);
                 }
-                
-                if (data.memory.worstExperience === rideId) {
-                    satisfaction -= 0.3;
+            }
+            if (total <= 0) return 'casual';
+
+            var roll = RandomGenerator.getRandomFloat() * total;
+            for (id in GUEST_ARCHETYPES) {
+                if (GUEST_ARCHETYPES.hasOwnProperty(id)) {
+                    roll -= this.getEffectiveWeight(id, useParkAppeal);
+                    if (roll < 0) return id;
                 }
-                
-                return Math.max(0, Math.min(1, satisfaction));
-            } catch (e) {
-                return 0.5;
             }
+            return 'casual';
         },
 
-        recordRideExperience: function(guestId, rideId, satisfaction) {
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return;
-            
-            if (!data.memory.ridesRidden[rideId]) {
-                data.memory.ridesRidden[rideId] = {
-                    timesRidden: 0,
-                    totalSatisfaction: 0
-                };
+        generateTraits: function(archetypeId) {
+            var archetype = GUEST_ARCHETYPES[archetypeId] || GUEST_ARCHETYPES.casual;
+            var variationScale = CONFIG.personalityVariation / BASE_PERSONALITY_VARIATION;
+            var normals = TraitCorrelationModel.sampleNormals(archetypeId);
+            var traitName;
+
+            var traits = {};
+            for (traitName in normals) {
+                if (normals.hasOwnProperty(traitName)) {
+                    var mean = archetype.means.hasOwnProperty(traitName) ? archetype.means[traitName] : 128;
+                    var spread = archetype.spread.hasOwnProperty(traitName) ? archetype.spread[traitName] : 1.0;
+                    var value = Math.round(mean + normals[traitName] * BASE_TRAIT_STDDEV * spread * variationScale);
+                    traits[traitName] = Math.max(0, Math.min(255, value));
+                }
             }
-            
-            var rideMemory = data.memory.ridesRidden[rideId];
-            rideMemory.timesRidden++;
-            rideMemory.totalSatisfaction += satisfaction;
-            
-            var avgSatisfaction = rideMemory.totalSatisfaction / rideMemory.timesRidden;
-            
-            if (avgSatisfaction > 0.8 && rideMemory.timesRidden >= 2) {
-                data.memory.favoriteRide = rideId;
+
+            return traits;
+        },
+
+        loadMix: function() {
+            this.weights = {};
+            var storage = PersistenceManager.getStorage();
+            if (!storage) return;
+
+            try {
+                var saved = storage.get(this.mixStorageKey, null);
+                if (!saved) return;
+                for (var id in saved) {
+                    if (saved.hasOwnProperty(id) && GUEST_ARCHETYPES[id] && typeof saved[id] === 'number') {
+                        this.weights[id] = Math.max(0, Math.min(this.maxWeight, saved[id]));
+                    }
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error loading archetype mix: ' + e);
+                }
             }
-            
-            if (avgSatisfaction < 0.3 && rideMemory.timesRidden >= 1) {
-                data.memory.worstExperience = rideId;
+        },
+
+        saveMix: function() {
+            if (!NetworkHelper.canModifyGameState()) return;
+            var storage = PersistenceManager.getStorage();
+            if (!storage) return;
+
+            try {
+                storage.set(this.mixStorageKey, this.weights);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving archetype mix: ' + e);
+                }
             }
         }
     };
 
     // ===========================================
-    // SHOPPING BEHAVIOR SYSTEM
+    // TRAIT CORRELATION MODEL
     // ===========================================
-    var ShoppingSystem = {
-        evaluatePurchaseDecision: function(guestId, itemType, price) {
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return true;
-            
-            var traits = data.traits;
-            var willingness = 0.5;
-            
-            willingness = 1 - (traits.frugal / 255);
-            
-            if (traits.collector > 150) {
-                if (itemType === 'balloon' || itemType === 'hat' || 
-                    itemType === 'toy' || itemType === 'map') {
-                    willingness += 0.2;
-                }
-            }
-            
-            if (traits.foodie > 150) {
-                if (this.isFood(itemType)) {
-                    willingness += 0.3;
+    var TraitCorrelationModel = {
+        storageKey: 'GuestPersonalityExpander.traitCorrelations',
+        factorCache: {},
+
+        getTraitOrder: function() {
+            var order = [];
+            for (var traitKey in PERSONALITY_TRAITS) {
+                if (PERSONALITY_TRAITS.hasOwnProperty(traitKey)) {
+                    order.push(PERSONALITY_TRAITS[traitKey]);
                 }
             }
-            
-            if (traits.photographer > 150) {
-                if (itemType === 'photo1' || itemType === 'photo2' || 
-                    itemType === 'photo3' || itemType === 'photo4') {
-                    willingness += 0.4;
+            return order;
+        },
+
+        invalidate: function() {
+            this.factorCache = {};
+        },
+
+        isValidPair: function(pair) {
+            if (!pair || pair.length !== 3 || pair[0] === pair[1]) return false;
+            if (!TRAIT_DISPLAY_NAMES.hasOwnProperty(pair[0]) || !TRAIT_DISPLAY_NAMES.hasOwnProperty(pair[1])) return false;
+            return typeof pair[2] === 'number' && pair[2] >= -1 && pair[2] <= 1;
+        },
+
+        getCorrelation: function(traitA, traitB) {
+            var pairs = CONFIG.traitCorrelations;
+            for (var i = 0; i < pairs.length; i++) {
+                if ((pairs[i][0] === traitA && pairs[i][1] === traitB) ||
+                    (pairs[i][0] === traitB && pairs[i][1] === traitA)) {
+                    return pairs[i][2];
                 }
             }
-            
-            willingness *= data.modifiers.spendingMultiplier;
-            
-            try {
-                var guest = map.getEntity(guestId);
-                if (guest && guest.cash) {
-                    var cashAfterPurchase = guest.cash - price;
-                    if (cashAfterPurchase < 500) {
-                        willingness *= 0.5;
-                    }
-                }
-            } catch (e) {}
-            
-            return RandomGenerator.getRandomFloat() < willingness;
+            return 0;
         },
 
-        isFood: function(itemType) {
-            var foodItems = [
-                'burger', 'chips', 'ice_cream', 'candyfloss', 'pizza',
-                'popcorn', 'hot_dog', 'tentacle', 'toffee_apple', 'doughnut',
-                'chicken', 'pretzel', 'funnel_cake', 'beef_noodles',
-                'fried_rice_noodles', 'wonton_soup', 'meatball_soup',
-                'sub_sandwich', 'cookie', 'roast_sausage'
-            ];
-            
-            for (var i = 0; i < foodItems.length; i++) {
-                if (itemType === foodItems[i]) return true;
+        setCorrelation: function(traitA, traitB, r) {
+            r = Math.round(Math.max(-0.9, Math.min(0.9, r)) * 10) / 10;
+            var pairs = CONFIG.traitCorrelations;
+            for (var i = 0; i < pairs.length; i++) {
+                if ((pairs[i][0] === traitA && pairs[i][1] === traitB) ||
+                    (pairs[i][0] === traitB && pairs[i][1] === traitA)) {
+                    pairs[i][2] = r;
+                    this.invalidate();
+                    this.save();
+                    return;
+                }
             }
-            return false;
+            pairs.push([traitA, traitB, r]);
+            this.invalidate();
+            this.save();
         },
 
-        recordPurchase: function(guestId, itemType, price) {
-            var data = PersonalityStore.getGuestData(guestId);
-            if (!data) return;
-            
-            data.memory.totalSpent += price;
-            data.memory.itemsBought.push({
-                item: itemType,
-                price: price,
-                tick: date.ticksElapsed
-            });
-            
-            if (data.memory.itemsBought.length > 20) {
-                data.memory.itemsBought.shift();
+        buildMatrix: function(archetypeId) {
+            var order = this.getTraitOrder();
+            var index = {};
+            var matrix = [];
+            var i, j;
+
+            for (i = 0; i < order.length; i++) {
+                index[order[i]] = i;
+                matrix.push([]);
+                for (j = 0; j < order.length; j++) {
+                    matrix[i].push(i === j ? 1 : 0);
+                }
             }
-        }
-    };
 
-    // ===========================================
-    // SOCIAL SYSTEM
-    // ===========================================
-    var SocialSystem = {
-        updateGroups: function() {
-            if (!NetworkHelper.canModifyGameState()) return;
-            
-            for (var groupId in PersonalityStore.groups) {
-                if (PersonalityStore.groups.hasOwnProperty(groupId)) {
-                    this.updateGroup(groupId);
+            var archetype = GUEST_ARCHETYPES[archetypeId];
+            var sources = [CONFIG.traitCorrelations, archetype ? archetype.correlations : []];
+            for (var s = 0; s < sources.length; s++) {
+                for (var p = 0; p < sources[s].length; p++) {
+                    var pair = sources[s][p];
+                    if (!this.isValidPair(pair)) continue;
+                    matrix[index[pair[0]]][index[pair[1]]] = pair[2];
+                    matrix[index[pair[1]]][index[pair[0]]] = pair[2];
                 }
             }
+
+            return matrix;
         },
 
-        updateGroup: function(groupId) {
-            var group = PersonalityStore.groups[groupId];
-            if (!group) return;
-            
-            if (group.members.length < 2) {
-                this.dissolveGroup(groupId);
-                return;
-            }
-            
-            var leader = null;
-            try {
-                leader = map.getEntity(group.leaderId);
-            } catch (e) {}
-            
-            if (!leader) {
-                this.dissolveGroup(groupId);
-                return;
+        cholesky: function(matrix) {
+            var n = matrix.length;
+            var lower = [];
+            for (var i = 0; i < n; i++) {
+                lower.push([]);
+                for (var j = 0; j < n; j++) {
+                    lower[i].push(0);
+                }
             }
-            
-            var leaderX = Math.floor(leader.x / 32);
-            var leaderY = Math.floor(leader.y / 32);
-            
-            var membersToRemove = [];
-            
-            for (var i = 0; i < group.members.length; i++) {
-                var memberId = group.members[i];
-                if (memberId === group.leaderId) continue;
-                
-                try {
-                    var member = map.getEntity(memberId);
-                    if (!member) {
-                        membersToRemove.push(memberId);
-                        continue;
+
+            for (var row = 0; row < n; row++) {
+                for (var col = 0; col <= row; col++) {
+                    var sum = matrix[row][col];
+                    for (var k = 0; k < col; k++) {
+                        sum -= lower[row][k] * lower[col][k];
                     }
-                    
-                    var memberX = Math.floor(member.x / 32);
-                    var memberY = Math.floor(member.y / 32);
-                    var distance = Math.abs(memberX - leaderX) + Math.abs(memberY - leaderY);
-                    
-                    if (distance > 15) {
-                        if (RandomGenerator.getRandomFloat() < 0.1) {
-                            membersToRemove.push(memberId);
-                        }
+
+                    if (row === col) {
+                        if (sum <= 1e-9) return null;
+                        lower[row][col] = Math.sqrt(sum);
+                    } else {
+                        lower[row][col] = sum / lower[col][col];
                     }
-                } catch (e) {
-                    membersToRemove.push(memberId);
                 }
             }
-            
-            for (var j = 0; j < membersToRemove.length; j++) {
-                PersonalityStore.removeFromGroup(membersToRemove[j]);
-            }
+
+            return lower;
         },
 
-        dissolveGroup: function(groupId) {
-            var group = PersonalityStore.groups[groupId];
-            if (!group) return;
-            
-            var members = group.members.slice();
-            for (var i = 0; i < members.length; i++) {
-                PersonalityStore.removeFromGroup(members[i]);
+        // Correlation tables edited by hand are not always positive definite; shrink
+        // the off-diagonal terms toward zero until the factorization succeeds.
+        getFactor: function(archetypeId) {
+            var key = archetypeId || 'casual';
+            if (this.factorCache[key]) return this.factorCache[key];
+
+            var matrix = this.buildMatrix(key);
+            var factor = null;
+            for (var shrink = 0; shrink <= 10 && !factor; shrink++) {
+                var scale = 1 - shrink / 10;
+                var adjusted = [];
+                for (var i = 0; i < matrix.length; i++) {
+                    adjusted.push([]);
+                    for (var j = 0; j < matrix.length; j++) {
+                        adjusted[i].push(i === j ? 1 : matrix[i][j] * scale);
+                    }
+                }
+                factor = this.cholesky(adjusted);
+
+                if (factor && shrink > 0 && CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Trait correlations for ' + key + ' scaled by ' + scale + ' to stay consistent');
+                }
             }
-            
-            delete PersonalityStore.groups[groupId];
+
+            this.factorCache[key] = factor;
+            return factor;
         },
 
-        getGroupInfo: function(groupId) {
-            var group = PersonalityStore.groups[groupId];
-            if (!group) return null;
-            
-            return {
-                id: group.id,
-                memberCount: group.members.length,
-                leaderId: group.leaderId,
-                age: date.ticksElapsed - group.createdTick
-            };
-        }
-    };
+        sampleNormals: function(archetypeId) {
+            var order = this.getTraitOrder();
+            var independent = [];
+            for (var i = 0; i < order.length; i++) {
+                independent.push(RandomGenerator.getStandardNormal());
+            }
 
-    // ===========================================
-    // GUEST GENERATION HOOK
-    // ===========================================
-    var GuestGenerationHandler = {
-        onGuestGenerated: function(guestId) {
-            if (!NetworkHelper.canModifyGameState()) return;
-            
-            var data = PersonalityStore.getGuestData(guestId);
-            
-            if (CONFIG.debugMode) {
-                console.log('[PersonalityExpander] New guest ' + guestId + ' created with traits: ' +
-                    'ThrillSeeker=' + data.traits.thrillSeeker +
-                    ', Social=' + data.traits.social +
-                    ', Patient=' + data.traits.patient);
+            var factor = this.getFactor(archetypeId);
+            var normals = {};
+            for (var row = 0; row < order.length; row++) {
+                var value = 0;
+                for (var col = 0; col <= row; col++) {
+                    value += factor[row][col] * independent[col];
+                }
+                normals[order[row]] = value;
             }
-            
+
+            return normals;
+        },
+
+        load: function() {
             try {
-                var guest = map.getEntity(guestId);
-                if (guest && guest.type === 'guest') {
-                    if (data.traits.energetic > 170) {
-                        guest.energy = Math.min(255, guest.energy + 20);
-                        guest.energyTarget = Math.min(255, guest.energyTarget + 20);
-                    }
-                    
-                    if (data.traits.patient > 170) {
-                        guest.happinessTarget = Math.min(255, guest.happinessTarget + 10);
+                var saved = context.sharedStorage.get(this.storageKey, null);
+                if (saved && saved.length !== undefined) {
+                    var pairs = [];
+                    for (var i = 0; i < saved.length; i++) {
+                        if (this.isValidPair(saved[i])) {
+                            pairs.push([saved[i][0], saved[i][1], saved[i][2]]);
+                        }
                     }
+                    CONFIG.traitCorrelations = pairs;
                 }
             } catch (e) {
                 if (CONFIG.debugMode) {
-                    console.log('[PersonalityExpander] Error applying initial modifiers: ' + e);
+                    console.log('[PersonalityExpander] Error loading trait correlations: ' + e);
+                }
+            }
+            this.invalidate();
+        },
+
+        setPairs: function(pairs) {
+            CONFIG.traitCorrelations = pairs;
+            this.save();
+            this.invalidate();
+        },
+
+        save: function() {
+            try {
+                context.sharedStorage.set(this.storageKey, CONFIG.traitCorrelations);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving trait correlations: ' + e);
                 }
             }
         }
     };
 
     // ===========================================
-    // MAIN PROCESSING SYSTEM
+    // PARK APPEAL SYSTEM
     // ===========================================
-    var PersonalityProcessor = {
-        guestIndex: 0,
+    var ParkAppealSystem = {
+        counts: { coasters: 0, gentle: 0, gardens: 0, food: 0 },
+        pendingGardens: 0,
+        scanRow: 0,
+        gardensSurveyed: false,
+        lastRideSurveyTick: -1,
         tickCounter: 0,
-        moodTickCounter: 0,
-        socialTickCounter: 0,
-        cleanupTickCounter: 0,
+        sceneryCache: {},
+        guestsInfluenced: 0,
+
+        reset: function() {
+            this.counts = { coasters: 0, gentle: 0, gardens: 0, food: 0 };
+            this.pendingGardens = 0;
+            this.scanRow = 0;
+            this.gardensSurveyed = false;
+            this.lastRideSurveyTick = -1;
+            this.tickCounter = 0;
+            this.sceneryCache = {};
+            this.guestsInfluenced = 0;
+        },
 
-        statistics: {
-            guestsProcessed: 0,
-            personalitiesCreated: 0,
-            modsApplied: 0,
-            groupsFormed: 0,
-            behaviorChanges: 0,
-            lastFrameTime: 0,
-            avgFrameTime: 0,
-            ticksProcessed: 0
+        isActive: function() {
+            return CONFIG.parkAppealEnabled && CONFIG.parkAppealStrength > 0;
         },
 
-        initialize: function() {
-            PersonalityStore.clear();
-            this.guestIndex = 0;
+        update: function() {
+            if (!CONFIG.parkAppealEnabled) return;
+
+            this.tickCounter++;
+            if (this.tickCounter < CONFIG.parkAppealScanInterval) return;
             this.tickCounter = 0;
-            this.moodTickCounter = 0;
-            this.socialTickCounter = 0;
-            this.cleanupTickCounter = 0;
-            this.resetStatistics();
 
-            if (CONFIG.debugMode) {
-                console.log('[PersonalityExpander] System initialized');
-            }
+            this.surveyRides();
+            this.scanGardenRows(CONFIG.parkAppealRowsPerScan);
         },
 
-        resetStatistics: function() {
-            this.statistics = {
-                guestsProcessed: 0,
-                personalitiesCreated: 0,
-                moodUpdates: 0,
-                behaviorChanges: 0,
-                groupsFormed: 0,
-                lastFrameTime: 0,
-                avgFrameTime: 0,
-                ticksProcessed: 0
-            };
-        },
+        surveyRides: function() {
+            var coasters = 0;
+            var gentle = 0;
+            var food = 0;
 
-        onTick: function() {
-            if (!CONFIG.enabled) return;
-            if (!NetworkHelper.canModifyGameState()) return;
+            try {
+                var rides = map.rides;
+                for (var i = 0; i < rides.length; i++) {
+                    var ride = rides[i];
+                    if (ride.classification === 'ride') {
+                        if (RideCategoryResolver.isCoaster(ride)) {
+                            coasters++;
+                        } else if (RideCategoryResolver.getCategory(ride) === RIDE_CATEGORIES.GENTLE) {
+                            gentle++;
+                        }
+                    } else if (ride.classification === 'stall' && this.isFoodStall(ride)) {
+                        food++;
+                    }
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error surveying park rides: ' + e);
+                }
+                return;
+            }
 
-            this.tickCounter++;
-            this.moodTickCounter++;
-            this.socialTickCounter++;
-            this.cleanupTickCounter++;
+            this.counts.coasters = coasters;
+            this.counts.gentle = gentle;
+            this.counts.food = food;
+            this.lastRideSurveyTick = date.ticksElapsed;
+        },
 
-            if (this.tickCounter >= CONFIG.updateInterval) {
-                this.tickCounter = 0;
-                this.processGuests();
-            }
+        isFoodStall: function(ride) {
+            if (ride.type === FOOD_STALL_RIDE_TYPE) return true;
+            var rideObject = ride.object;
+            if (!rideObject) return false;
+            return FOOD_SHOP_ITEMS.indexOf(rideObject.shopItem) !== -1 ||
+                FOOD_SHOP_ITEMS.indexOf(rideObject.shopItemSecondary) !== -1;
+        },
 
-            if (this.moodTickCounter >= CONFIG.moodDecayInterval) {
-                this.moodTickCounter = 0;
-                this.processMoodDecay();
+        // Gardens need a full map pass, so only a few rows are scanned per update
+        // and the count is published once the pass wraps around.
+        scanGardenRows: function(rowCount) {
+            var mapSize;
+            try {
+                mapSize = map.size;
+            } catch (e) {
+                return;
             }
 
-            if (this.socialTickCounter >= CONFIG.socialUpdateInterval) {
-                this.socialTickCounter = 0;
-                SocialSystem.updateGroups();
+            for (var r = 0; r < rowCount; r++) {
+                if (this.scanRow >= mapSize.y) {
+                    this.counts.gardens = this.pendingGardens;
+                    this.pendingGardens = 0;
+                    this.scanRow = 0;
+                    this.gardensSurveyed = true;
+                    return;
+                }
+
+                for (var x = 0; x < mapSize.x; x++) {
+                    var elements = map.getTile(x, this.scanRow).elements;
+                    for (var i = 0; i < elements.length; i++) {
+                        if (elements[i].type === 'small_scenery' && this.isGardenScenery(elements[i].object)) {
+                            this.pendingGardens++;
+                        }
+                    }
+                }
+                this.scanRow++;
             }
+        },
 
-            if (this.cleanupTickCounter >= 500) {
-                this.cleanupTickCounter = 0;
-                PersonalityStore.cleanupOldData();
+        isGardenScenery: function(objectIndex) {
+            if (this.sceneryCache.hasOwnProperty(objectIndex)) {
+                return this.sceneryCache[objectIndex];
             }
 
-            this.statistics.ticksProcessed++;
+            var isGarden = false;
+            try {
+                if (typeof objectManager !== 'undefined') {
+                    var sceneryObject = objectManager.getObject('small_scenery', objectIndex);
+                    if (sceneryObject) {
+                        var text = ((sceneryObject.identifier || '') + ' ' + (sceneryObject.name || '')).toLowerCase();
+                        for (var i = 0; i < GARDEN_SCENERY_KEYWORDS.length; i++) {
+                            if (text.indexOf(GARDEN_SCENERY_KEYWORDS[i]) !== -1) {
+                                isGarden = true;
+                                break;
+                            }
+                        }
+                    }
+                }
+            } catch (e) {}
+
+            this.sceneryCache[objectIndex] = isGarden;
+            return isGarden;
         },
 
-        processGuests: function() {
-            PerformanceMonitor.startFrame();
+        getAppeal: function(feature) {
+            var definition = PARK_FEATURE_APPEAL[feature];
+            if (!definition) return 0;
+            return Math.min(1, this.counts[feature] / definition.saturation);
+        },
 
-            var guests;
+        getArchetypeMultiplier: function(archetypeId) {
+            if (!this.isActive()) return 1;
+
+            var bonus = 0;
+            for (var feature in PARK_FEATURE_APPEAL) {
+                if (PARK_FEATURE_APPEAL.hasOwnProperty(feature)) {
+                    var multiplier = PARK_FEATURE_APPEAL[feature].archetypes[archetypeId] || 0;
+                    bonus += this.getAppeal(feature) * multiplier;
+                }
+            }
+
+            return Math.max(0.1, 1 + CONFIG.parkAppealStrength * bonus);
+        },
+
+        getTraitBias: function() {
+            var bias = {};
+            if (!this.isActive()) return bias;
+
+            for (var feature in PARK_FEATURE_APPEAL) {
+                if (!PARK_FEATURE_APPEAL.hasOwnProperty(feature)) continue;
+                var appeal = this.getAppeal(feature);
+                var traits = PARK_FEATURE_APPEAL[feature].traits;
+                for (var trait in traits) {
+                    if (traits.hasOwnProperty(trait)) {
+                        bias[trait] = (bias[trait] || 0) + traits[trait] * appeal * CONFIG.parkAppealStrength;
+                    }
+                }
+            }
+
+            return bias;
+        },
+
+        applyTraitBias: function(traits) {
+            if (this.lastRideSurveyTick < 0) {
+                this.surveyRides();
+            }
+
+            var bias = this.getTraitBias();
+            var influenced = false;
+            for (var trait in bias) {
+                if (bias.hasOwnProperty(trait) && traits.hasOwnProperty(trait)) {
+                    var shift = Math.round(bias[trait]);
+                    if (shift !== 0) {
+                        traits[trait] = Math.max(0, Math.min(255, traits[trait] + shift));
+                        influenced = true;
+                    }
+                }
+            }
+
+            if (influenced) {
+                this.guestsInfluenced++;
+            }
+        },
+
+        getSummary: function() {
+            var archetypeMultipliers = {};
+            for (var id in GUEST_ARCHETYPES) {
+                if (GUEST_ARCHETYPES.hasOwnProperty(id)) {
+                    archetypeMultipliers[id] = this.getArchetypeMultiplier(id);
+                }
+            }
+
+            return {
+                enabled: this.isActive(),
+                counts: this.counts,
+                gardensSurveyed: this.gardensSurveyed,
+                archetypeMultipliers: archetypeMultipliers,
+                traitBias: this.getTraitBias(),
+                guestsInfluenced: this.guestsInfluenced
+            };
+        }
+    };
+
+    // ===========================================
+    // PERSISTENCE (Park Storage)
+    // ===========================================
+    var PersistenceManager = {
+        storageKey: 'personalityStore',
+        schemaVersion: 1,
+        blockedByNewerSchema: false,
+
+        // Each entry upgrades a snapshot from version N to N + 1.
+        migrations: {},
+
+        getStorage: function() {
             try {
-                guests = map.getAllEntities('guest');
+                return context.getParkStorage();
             } catch (e) {
-                PerformanceMonitor.endFrame();
-                return;
+                return null;
             }
+        },
 
-            if (!guests || guests.length === 0) {
-                PerformanceMonitor.endFrame();
-                return;
+        save: function() {
+            if (!CONFIG.personalityPersistence) return false;
+            if (!NetworkHelper.canModifyGameState()) return false;
+            if (this.blockedByNewerSchema) return false;
+
+            var storage = this.getStorage();
+            if (!storage) return false;
+
+            try {
+                var snapshot = PersonalityStore.serialize();
+                snapshot.departures = DepartureModel.serialize();
+                snapshot.version = this.schemaVersion;
+                snapshot.savedTick = date.ticksElapsed;
+                storage.set(this.storageKey, snapshot);
+
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Saved ' + Object.keys(snapshot.guests).length + ' personalities to park storage');
+                }
+                return true;
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving personalities: ' + e);
+                }
+                return false;
             }
+        },
 
-            var processed = 0;
-            var guestCount = guests.length;
+        load: function() {
+            this.blockedByNewerSchema = false;
+            if (!CONFIG.personalityPersistence) return false;
+
+            var storage = this.getStorage();
+            if (!storage) return false;
+
+            try {
+                var snapshot = storage.get(this.storageKey, null);
+                if (!snapshot) return false;
+
+                snapshot = this.migrate(snapshot);
+                if (!snapshot) return false;
+
+                var restored = PersonalityStore.deserialize(snapshot);
+                DepartureModel.restore(snapshot.departures);
+
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Restored ' + restored + ' personalities from park storage');
+                }
+                return true;
+            } catch (e) {
+                PersonalityStore.clear();
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error loading personalities: ' + e);
+                }
+                return false;
+            }
+        },
+
+        migrate: function(snapshot) {
+            var version = typeof snapshot.version === 'number' ? snapshot.version : 0;
+
+            if (version > this.schemaVersion) {
+                this.blockedByNewerSchema = true;
+                console.log('[PersonalityExpander] Saved personality data uses schema v' + version +
+                    ' (this version supports v' + this.schemaVersion + '); not loading or overwriting it');
+                return null;
+            }
+
+            while (version < this.schemaVersion) {
+                var step = this.migrations[version];
+                if (step) {
+                    snapshot = step(snapshot);
+                }
+                version++;
+                snapshot.version = version;
+            }
+
+            return snapshot;
+        }
+    };
+
+    // ===========================================
+    // SETTINGS PERSISTENCE
+    // ===========================================
+    // Effective settings are CONFIG defaults, then the shared (per-user) settings,
+    // then this park's overrides when the park has its own settings.
+    var SettingsManager = {
+        storageKey: 'GuestPersonalityExpander.settings',
+        parkStorageKey: 'settingsOverrides',
+        profilesStorageKey: 'GuestPersonalityExpander.profiles',
+        defaults: null,
+        defaultCorrelations: [],
+        shared: {},
+        parkOverrides: null,
+        customProfiles: {},
+
+        captureDefaults: function() {
+            if (this.defaults) return;
+            this.defaultCorrelations = JSON.parse(JSON.stringify(CONFIG.traitCorrelations));
+            this.defaults = {};
+            for (var key in SETTINGS_SCHEMA) {
+                if (SETTINGS_SCHEMA.hasOwnProperty(key)) {
+                    this.defaults[key] = JSON.parse(JSON.stringify(CONFIG[key]));
+                }
+            }
+        },
+
+        getRange: function(key) {
+            var rule = SETTINGS_SCHEMA[key];
+            var min = rule.min;
+            var max = rule.max;
+
+            if (key === 'happyMoodThreshold') {
+                min = Math.max(min, CONFIG.neutralMoodThreshold + 10);
+            } else if (key === 'neutralMoodThreshold') {
+                min = Math.max(min, CONFIG.sadMoodThreshold + 10);
+                max = Math.min(max, CONFIG.happyMoodThreshold - 10);
+            } else if (key === 'sadMoodThreshold') {
+                max = Math.min(max, CONFIG.neutralMoodThreshold - 10);
+            }
+
+            return { min: min, max: max };
+        },
+
+        // Returns the clamped value, or undefined when it cannot be used at all
+        validate: function(key, value, range) {
+            var rule = SETTINGS_SCHEMA[key];
+            if (!rule) return undefined;
+
+            if (rule.type === 'boolean') {
+                return typeof value === 'boolean' ? value : undefined;
+            }
+            if (rule.type === 'categoryOverrides') {
+                return this.validateCategoryOverrides(value);
+            }
+            if (rule.type === 'moodNeedRules') {
+                return MoodMapping.validateNeedRules(value);
+            }
+            if (rule.type === 'moodBands') {
+                return MoodMapping.validateBands(value);
+            }
+            if (typeof value !== 'number' || !isFinite(value)) return undefined;
+
+            range = range || rule;
+            value = Math.max(range.min, Math.min(range.max, value));
+            return rule.integer ? Math.round(value) : Math.round(value * 100) / 100;
+        },
+
+        validateCategoryOverrides: function(value) {
+            if (!value || typeof value !== 'object' || value.length !== undefined) return undefined;
+
+            var categories = {};
+            for (var key in RIDE_CATEGORIES) {
+                if (RIDE_CATEGORIES.hasOwnProperty(key)) {
+                    categories[RIDE_CATEGORIES[key]] = true;
+                }
+            }
+
+            var overrides = {};
+            for (var target in value) {
+                if (value.hasOwnProperty(target) && categories[value[target]] === true) {
+                    overrides[target] = value[target];
+                }
+            }
+            return overrides;
+        },
+
+        sanitize: function(saved) {
+            var values = {};
+            if (!saved || typeof saved !== 'object') return values;
+
+            for (var key in saved) {
+                if (saved.hasOwnProperty(key)) {
+                    var value = this.validate(key, saved[key]);
+                    if (value !== undefined) {
+                        values[key] = value;
+                    }
+                }
+            }
+            return values;
+        },
+
+        enforceThresholdOrder: function() {
+            CONFIG.neutralMoodThreshold = Math.max(CONFIG.neutralMoodThreshold, CONFIG.sadMoodThreshold + 10);
+            CONFIG.happyMoodThreshold = Math.max(CONFIG.happyMoodThreshold, CONFIG.neutralMoodThreshold + 10);
+        },
+
+        getEffective: function() {
+            var layers = [this.defaults, this.shared, this.parkOverrides || {}];
+            var values = {};
+            for (var i = 0; i < layers.length; i++) {
+                for (var key in layers[i]) {
+                    if (layers[i].hasOwnProperty(key)) {
+                        values[key] = layers[i][key];
+                    }
+                }
+            }
+            return values;
+        },
+
+        apply: function() {
+            var values = this.getEffective();
+            for (var key in values) {
+                if (values.hasOwnProperty(key)) {
+                    // Tables are copied so edits never reach the stored layers
+                    CONFIG[key] = typeof values[key] === 'object' ? JSON.parse(JSON.stringify(values[key])) : values[key];
+                }
+            }
+            this.enforceThresholdOrder();
+            MoodMapping.invalidate();
+        },
+
+        load: function() {
+            this.captureDefaults();
+            this.shared = {};
+            this.parkOverrides = null;
+
+            try {
+                this.shared = this.sanitize(context.sharedStorage.get(this.storageKey, null));
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error loading settings: ' + e);
+                }
+            }
+
+            var storage = PersistenceManager.getStorage();
+            if (storage) {
+                try {
+                    var overrides = storage.get(this.parkStorageKey, null);
+                    if (overrides) {
+                        this.parkOverrides = this.sanitize(overrides);
+                    }
+                } catch (e) {
+                    if (CONFIG.debugMode) {
+                        console.log('[PersonalityExpander] Error loading park settings: ' + e);
+                    }
+                }
+            }
+
+            this.apply();
+            this.loadCustomProfiles();
+        },
+
+        saveShared: function() {
+            try {
+                context.sharedStorage.set(this.storageKey, this.shared);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving settings: ' + e);
+                }
+            }
+        },
+
+        saveParkOverrides: function() {
+            if (!NetworkHelper.canModifyGameState()) return;
+            var storage = PersistenceManager.getStorage();
+            if (!storage) return;
+
+            try {
+                storage.set(this.parkStorageKey, this.parkOverrides === null ? undefined : this.parkOverrides);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving park settings: ' + e);
+                }
+            }
+        },
+
+        set: function(key, value) {
+            value = this.validate(key, value, SETTINGS_SCHEMA[key].min === undefined ? null : this.getRange(key));
+            if (value === undefined) return CONFIG[key];
+
+            CONFIG[key] = value;
+            if (key === 'moodNeedRules' || key === 'moodBands') {
+                MoodMapping.invalidate();
+            }
+            if (this.parkOverrides !== null) {
+                this.parkOverrides[key] = value;
+                this.saveParkOverrides();
+            } else {
+                this.shared[key] = value;
+                this.saveShared();
+            }
+            return value;
+        },
+
+        step: function(key, direction) {
+            return this.set(key, CONFIG[key] + direction * SETTINGS_SCHEMA[key].step);
+        },
+
+        hasParkOverrides: function() {
+            return this.parkOverrides !== null;
+        },
+
+        setParkOverrides: function(enabled) {
+            this.parkOverrides = enabled ? {} : null;
+            this.saveParkOverrides();
+            this.apply();
+        },
+
+        // Only the scope being edited is reset; other parks keep their overrides
+        resetToDefaults: function() {
+            if (this.parkOverrides !== null) {
+                this.parkOverrides = {};
+                for (var key in this.defaults) {
+                    if (this.defaults.hasOwnProperty(key)) {
+                        this.parkOverrides[key] = this.defaults[key];
+                    }
+                }
+                this.saveParkOverrides();
+            } else {
+                this.shared = {};
+                this.saveShared();
+            }
+            this.apply();
+        },
+
+        // Profiles
+
+        loadCustomProfiles: function() {
+            this.customProfiles = {};
+            try {
+                var saved = context.sharedStorage.get(this.profilesStorageKey, null);
+                if (!saved) return;
+                for (var name in saved) {
+                    if (saved.hasOwnProperty(name) && saved[name] && typeof saved[name] === 'object') {
+                        this.customProfiles[name] = saved[name];
+                    }
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error loading settings profiles: ' + e);
+                }
+            }
+        },
+
+        saveCustomProfile: function(name, settings) {
+            this.customProfiles[name] = settings;
+            try {
+                context.sharedStorage.set(this.profilesStorageKey, this.customProfiles);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error saving settings profiles: ' + e);
+                }
+            }
+        },
+
+        // Dropdown entries: built-in defaults, presets, then imported profiles
+        getProfiles: function() {
+            var profiles = [{ name: 'Default', settings: {} }];
+            for (var id in SETTINGS_PROFILES) {
+                if (SETTINGS_PROFILES.hasOwnProperty(id)) {
+                    profiles.push(SETTINGS_PROFILES[id]);
+                }
+            }
+            for (var name in this.customProfiles) {
+                if (this.customProfiles.hasOwnProperty(name)) {
+                    profiles.push({ name: name, settings: this.customProfiles[name] });
+                }
+            }
+            return profiles;
+        },
+
+        // Resolves a profile against the defaults into a full, validated set of values
+        resolveProfile: function(settings, report) {
+            var values = {};
+            for (var key in this.defaults) {
+                if (this.defaults.hasOwnProperty(key)) {
+                    values[key] = this.defaults[key];
+                }
+            }
+            var correlations = this.defaultCorrelations;
+
+            for (key in settings) {
+                if (!settings.hasOwnProperty(key)) continue;
+
+                if (key === 'traitCorrelations') {
+                    if (settings[key] && settings[key].length !== undefined) {
+                        correlations = [];
+                        for (var i = 0; i < settings[key].length; i++) {
+                            if (TraitCorrelationModel.isValidPair(settings[key][i])) {
+                                correlations.push(settings[key][i].slice());
+                            }
+                        }
+                        if (report) report.applied++;
+                    } else if (report) {
+                        report.invalid.push(key);
+                    }
+                    continue;
+                }
+
+                if (!SETTINGS_SCHEMA.hasOwnProperty(key)) {
+                    if (report) report.ignored.push(key);
+                    continue;
+                }
+
+                var value = this.validate(key, settings[key]);
+                if (value === undefined) {
+                    if (report) report.invalid.push(key);
+                } else {
+                    values[key] = value;
+                    if (report) report.applied++;
+                }
+            }
+
+            return { values: values, traitCorrelations: correlations };
+        },
+
+        applyProfile: function(settings) {
+            var report = { applied: 0, ignored: [], invalid: [] };
+            var resolved = this.resolveProfile(settings, report);
+
+            if (this.parkOverrides !== null) {
+                this.parkOverrides = resolved.values;
+                this.saveParkOverrides();
+            } else {
+                this.shared = {};
+                for (var key in resolved.values) {
+                    if (resolved.values.hasOwnProperty(key) &&
+                        JSON.stringify(resolved.values[key]) !== JSON.stringify(this.defaults[key])) {
+                        this.shared[key] = resolved.values[key];
+                    }
+                }
+                this.saveShared();
+            }
+
+            this.apply();
+            TraitCorrelationModel.setPairs(resolved.traitCorrelations);
+            RideCategoryResolver.reset();
+            MoodSystem.reevaluateAll();
+
+            return report;
+        },
+
+        // Index into getProfiles() of the profile matching the current settings, or -1
+        getActiveProfileIndex: function() {
+            var current = JSON.stringify(this.getCurrentSettings());
+            var profiles = this.getProfiles();
+            for (var i = 0; i < profiles.length; i++) {
+                var resolved = this.resolveProfile(profiles[i].settings);
+                resolved.values.traitCorrelations = resolved.traitCorrelations;
+                if (JSON.stringify(this.orderSettings(resolved.values)) === current) {
+                    return i;
+                }
+            }
+            return -1;
+        },
+
+        getCurrentSettings: function() {
+            var values = {};
+            for (var key in CONFIG) {
+                if (CONFIG.hasOwnProperty(key)) {
+                    values[key] = CONFIG[key];
+                }
+            }
+            return this.orderSettings(values);
+        },
+
+        orderSettings: function(values) {
+            var ordered = {};
+            for (var key in CONFIG) {
+                if (CONFIG.hasOwnProperty(key) && values.hasOwnProperty(key)) {
+                    ordered[key] = values[key];
+                }
+            }
+            return ordered;
+        },
+
+        exportProfile: function(name) {
+            return JSON.stringify({
+                name: name || 'Custom',
+                settings: this.getCurrentSettings()
+            });
+        },
+
+        // Accepts an exported profile or a bare settings object; named imports are kept for reuse
+        importProfile: function(text) {
+            var parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                return { error: 'Not valid JSON: ' + e };
+            }
+            if (!parsed || typeof parsed !== 'object' || parsed.length !== undefined) {
+                return { error: 'Expected a JSON object' };
+            }
+
+            var settings = parsed.settings && typeof parsed.settings === 'object' ? parsed.settings : parsed;
+            var check = { applied: 0, ignored: [], invalid: [] };
+            this.resolveProfile(settings, check);
+            if (check.applied === 0) {
+                return { error: 'No recognised settings in profile' };
+            }
+
+            var report = this.applyProfile(settings);
+
+            if (typeof parsed.name === 'string' && parsed.name.length > 0 && parsed.name !== 'Custom' &&
+                parsed.settings && this.getActiveProfileIndex() === -1) {
+                this.saveCustomProfile(parsed.name.substring(0, 32), this.getCurrentSettings());
+                report.savedAs = parsed.name.substring(0, 32);
+            }
+            return report;
+        }
+    };
+
+    // ===========================================
+    // MOOD MAPPING
+    // ===========================================
+    // Reads the need rules and happiness bands from CONFIG.moodNeedRules / CONFIG.moodBands.
+    var MoodMapping = {
+        needStats: ['hunger', 'thirst', 'toilet', 'energy', 'nausea'],
+        thresholdKeys: {
+            happy: 'happyMoodThreshold',
+            neutral: 'neutralMoodThreshold',
+            sad: 'sadMoodThreshold'
+        },
+        maxEntries: 8,
+        sortedNeeds: null,
+        sortedBands: null,
+
+        invalidate: function() {
+            this.sortedNeeds = null;
+            this.sortedBands = null;
+        },
+
+        byPriority: function(list) {
+            var entries = [];
+            for (var i = 0; i < list.length; i++) {
+                entries.push({ index: i, entry: list[i] });
+            }
+            entries.sort(function(a, b) {
+                return (a.entry.priority - b.entry.priority) || (a.index - b.index);
+            });
+
+            var sorted = [];
+            for (i = 0; i < entries.length; i++) {
+                sorted.push(entries[i].entry);
+            }
+            return sorted;
+        },
+
+        getNeedRules: function() {
+            if (!this.sortedNeeds) {
+                this.sortedNeeds = this.byPriority(CONFIG.moodNeedRules || []);
+            }
+            return this.sortedNeeds;
+        },
+
+        getBands: function() {
+            if (!this.sortedBands) {
+                this.sortedBands = this.byPriority(CONFIG.moodBands || []);
+            }
+            return this.sortedBands;
+        },
+
+        clampIntensity: function(value) {
+            return Math.max(0, Math.min(255, Math.round(value)));
+        },
+
+        // How far the guest's stat is past the rule's threshold (<= 0 when not triggered)
+        getOvershoot: function(guest, rule) {
+            var value = guest[rule.stat];
+            if (typeof value !== 'number') return 0;
+            return rule.compare === 'above' ? value - rule.threshold : rule.threshold - value;
+        },
+
+        matchNeed: function(guest) {
+            var rules = this.getNeedRules();
+            for (var i = 0; i < rules.length; i++) {
+                if (!rules[i].enabled) continue;
+                var overshoot = this.getOvershoot(guest, rules[i]);
+                if (overshoot > 0) {
+                    return {
+                        mood: rules[i].mood,
+                        intensity: this.clampIntensity(rules[i].base + rules[i].scale * overshoot)
+                    };
+                }
+            }
+            return null;
+        },
+
+        getBandThreshold: function(band) {
+            if (band.threshold === null) return null;
+            var threshold = typeof band.threshold === 'number' ?
+                band.threshold : CONFIG[this.thresholdKeys[band.threshold]];
+            return threshold + band.offset;
+        },
+
+        matchBand: function(happiness) {
+            var bands = this.getBands();
+            for (var i = 0; i < bands.length; i++) {
+                var threshold = this.getBandThreshold(bands[i]);
+                if (threshold === null || happiness > threshold) {
+                    return {
+                        mood: bands[i].mood,
+                        intensity: this.clampIntensity(bands[i].base + bands[i].scale * happiness)
+                    };
+                }
+            }
+            return { mood: MOOD_STATES.NEUTRAL, intensity: this.clampIntensity(happiness) };
+        },
+
+        // Bit per need rule, used by the scheduler to spot guests whose needs changed
+        getNeedsBand: function(guest) {
+            var band = 0;
+            var rules = CONFIG.moodNeedRules || [];
+            for (var i = 0; i < rules.length; i++) {
+                if (rules[i].enabled && this.getOvershoot(guest, rules[i]) > 0) {
+                    band |= (1 << i);
+                }
+            }
+            return band;
+        },
+
+        isMood: function(mood) {
+            for (var key in MOOD_STATES) {
+                if (MOOD_STATES.hasOwnProperty(key) && MOOD_STATES[key] === mood) return true;
+            }
+            return false;
+        },
+
+        clampNumber: function(value, min, max, fallback) {
+            if (typeof value !== 'number' || !isFinite(value)) return fallback;
+            return Math.max(min, Math.min(max, value));
+        },
+
+        validateNeedRules: function(value) {
+            if (!value || value.length === undefined) return undefined;
+
+            var rules = [];
+            for (var i = 0; i < value.length && rules.length < this.maxEntries; i++) {
+                var rule = value[i];
+                if (!rule || this.needStats.indexOf(rule.stat) === -1 || !this.isMood(rule.mood)) continue;
+
+                rules.push({
+                    stat: rule.stat,
+                    compare: rule.compare === 'above' ? 'above' : 'below',
+                    threshold: Math.round(this.clampNumber(rule.threshold, 0, 255, 128)),
+                    mood: rule.mood,
+                    priority: Math.round(this.clampNumber(rule.priority, 0, 99, i + 1)),
+                    base: Math.round(this.clampNumber(rule.base, 0, 255, 100)),
+                    scale: Math.round(this.clampNumber(rule.scale, -4, 4, 1) * 100) / 100,
+                    enabled: rule.enabled !== false
+                });
+            }
+            return rules;
+        },
+
+        validateBands: function(value) {
+            if (!value || value.length === undefined) return undefined;
+
+            var bands = [];
+            for (var i = 0; i < value.length && bands.length < this.maxEntries; i++) {
+                var band = value[i];
+                if (!band || !this.isMood(band.mood)) continue;
+
+                var threshold = band.threshold;
+                if (typeof threshold === 'number') {
+                    threshold = Math.round(this.clampNumber(threshold, 0, 255, 0));
+                } else if (!this.thresholdKeys.hasOwnProperty(threshold)) {
+                    threshold = null;
+                }
+
+                bands.push({
+                    mood: band.mood,
+                    threshold: threshold,
+                    offset: Math.round(this.clampNumber(band.offset, -255, 255, 0)),
+                    priority: Math.round(this.clampNumber(band.priority, 0, 99, i + 1)),
+                    base: Math.round(this.clampNumber(band.base, -255, 255, 0)),
+                    scale: Math.round(this.clampNumber(band.scale, -4, 4, 1) * 100) / 100
+                });
+            }
+            return bands;
+        },
+
+        // Edits one field of a table entry, persists it and re-evaluates every tracked guest
+        updateEntry: function(tableKey, index, field, value) {
+            var table = JSON.parse(JSON.stringify(CONFIG[tableKey]));
+            if (!table[index]) return 0;
+
+            table[index][field] = value;
+            SettingsManager.set(tableKey, table);
+            return MoodSystem.reevaluateAll();
+        },
+
+        resetTables: function() {
+            SettingsManager.set('moodNeedRules', SettingsManager.defaults.moodNeedRules);
+            SettingsManager.set('moodBands', SettingsManager.defaults.moodBands);
+            return MoodSystem.reevaluateAll();
+        }
+    };
+
+    // ===========================================
+    // MOOD SYSTEM
+    // ===========================================
+    var MoodSystem = {
+        maxHistory: 10,
+        lastWeather: null,
+        reevaluateChunkSize: 200,
+        reevaluation: null,
+
+        updateMood: function(guestId, guest) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return;
+            
+            this.checkNearbyVomit(guest, data);
+            this.checkBoredom(data);
+            
+            this.refreshMood(guestId, guest, data, true);
+        },
+
+        refreshMood: function(guestId, guest, data, applyEffects) {
+            var newMood = this.calculateMood(guest, data);
+            
+            if (newMood.current !== data.mood.current || 
+                Math.abs(newMood.intensity - data.mood.intensity) > 10) {
+                if (newMood.current !== data.mood.current) {
+                    this.recordHistory(data, newMood);
+                }
+                data.mood.current = newMood.current;
+                data.mood.intensity = newMood.intensity;
+                data.mood.source = newMood.source;
+                data.mood.lastChange = date.ticksElapsed;
+                data.stats.moodChanges++;
+                SyncManager.markDirty(guestId, 'mood');
+                
+                if (applyEffects) {
+                    this.applyMoodEffects(guest, data);
+                }
+                return true;
+            }
+            return false;
+        },
+
+        // Recomputes every tracked guest's mood after the mood mapping changed, reevaluateChunkSize
+        // guests per tick starting right away. Only the mood is stored; happiness is left alone.
+        reevaluateAll: function() {
+            if (!NetworkHelper.canModifyGameState()) return 0;
+
+            this.reevaluation = {
+                ids: Object.keys(PersonalityStore.guests),
+                cursor: 0,
+                changed: 0
+            };
+            var total = this.reevaluation.ids.length;
+            this.continueReevaluation();
+            return total;
+        },
+
+        continueReevaluation: function() {
+            var pass = this.reevaluation;
+            if (!pass) return;
+
+            var end = Math.min(pass.ids.length, pass.cursor + this.reevaluateChunkSize);
+            for (; pass.cursor < end; pass.cursor++) {
+                var guestId = pass.ids[pass.cursor];
+                var data = PersonalityStore.guests[guestId];
+                if (!data) continue;
+                try {
+                    var guest = map.getEntity(parseInt(guestId, 10));
+                    if (guest && guest.type === 'guest' && this.refreshMood(guestId, guest, data, false)) {
+                        pass.changed++;
+                    }
+                } catch (e) {}
+            }
+
+            if (pass.cursor < pass.ids.length) return;
+
+            this.reevaluation = null;
+            UIManager.showMoodReevaluated(pass.ids.length, pass.changed);
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Mood mapping re-evaluated, ' + pass.changed + ' guests changed mood');
+            }
+        },
+
+        pushEmotion: function(data, mood, intensity, source) {
+            if (!data) return;
+            
+            var emotions = data.mood.emotions;
+            var existing = emotions[mood];
+            intensity = Math.max(0, Math.min(255, Math.round(intensity)));
+            
+            if (existing) {
+                existing.intensity = Math.min(255, Math.max(existing.intensity, intensity) + Math.round(intensity / 4));
+                existing.source = source;
+                existing.tick = date.ticksElapsed;
+            } else {
+                emotions[mood] = {
+                    intensity: intensity,
+                    source: source,
+                    tick: date.ticksElapsed
+                };
+            }
+        },
+
+        getDominantEmotion: function(data) {
+            var dominant = null;
+            var emotions = data.mood.emotions;
+            for (var mood in emotions) {
+                if (emotions.hasOwnProperty(mood)) {
+                    if (!dominant || emotions[mood].intensity > dominant.intensity) {
+                        dominant = {
+                            mood: mood,
+                            intensity: emotions[mood].intensity,
+                            source: emotions[mood].source
+                        };
+                    }
+                }
+            }
+            return dominant;
+        },
+
+        absorbEmotion: function(data, mood, intensity, source) {
+            if (!data) return false;
+            
+            intensity = Math.max(0, Math.min(255, Math.round(intensity)));
+            var existing = data.mood.emotions[mood];
+            if (existing && existing.intensity >= intensity) return false;
+            
+            data.mood.emotions[mood] = {
+                intensity: intensity,
+                source: source,
+                tick: date.ticksElapsed
+            };
+            return true;
+        },
+
+        decayEmotions: function(data) {
+            var emotions = data.mood.emotions;
+            for (var mood in emotions) {
+                if (emotions.hasOwnProperty(mood)) {
+                    emotions[mood].intensity -= CONFIG.emotionDecayAmount;
+                    if (emotions[mood].intensity <= 0) {
+                        delete emotions[mood];
+                    }
+                }
+            }
+        },
+
+        recordHistory: function(data, mood) {
+            data.mood.history.push({
+                mood: mood.current,
+                intensity: mood.intensity,
+                source: mood.source,
+                tick: date.ticksElapsed
+            });
+            
+            if (data.mood.history.length > this.maxHistory) {
+                data.mood.history.shift();
+            }
+        },
+
+        blendEmotions: function(baseline, data) {
+            var emotion = this.getDominantEmotion(data);
+            if (!emotion || emotion.intensity < CONFIG.emotionOverrideThreshold) return baseline;
+            
+            if (emotion.mood === baseline.current) {
+                baseline.intensity = Math.max(baseline.intensity, emotion.intensity);
+                baseline.source = emotion.source;
+                return baseline;
+            }
+            
+            if (emotion.intensity < baseline.intensity * 0.75) return baseline;
+            
+            return {
+                current: emotion.mood,
+                intensity: Math.min(255, Math.round(emotion.intensity * 0.75 + baseline.intensity * 0.25)),
+                lastChange: baseline.lastChange,
+                source: emotion.source
+            };
+        },
+
+        onRideCompleted: function(data, ride, category, satisfaction) {
+            var traits = data.traits;
+            var intensity = (ride.intensity || 0) / 100;
+            
+            if (intensity >= 6.5 || category === RIDE_CATEGORIES.THRILL) {
+                if (traits.nervous > 150 && traits.nervous > traits.thrillSeeker) {
+                    this.pushEmotion(data, MOOD_STATES.SCARED, 60 + traits.nervous / 2, 'ride');
+                } else if (satisfaction >= 0.5) {
+                    this.pushEmotion(data, MOOD_STATES.EXCITED, 60 + traits.thrillSeeker / 2, 'ride');
+                }
+            } else if (traits.thrillSeeker > 170 && intensity < 3) {
+                this.pushEmotion(data, MOOD_STATES.BORED, 40 + (traits.thrillSeeker - 128) / 2, 'ride');
+            }
+            
+            if (satisfaction > 0.75) {
+                this.pushEmotion(data, MOOD_STATES.HAPPY, 60 + satisfaction * 100, 'ride');
+            } else if (satisfaction < 0.25) {
+                this.pushEmotion(data, MOOD_STATES.ANNOYED, 60 + (0.25 - satisfaction) * 200, 'ride');
+            }
+        },
+
+        checkNearbyVomit: function(guest, data) {
+            try {
+                var litter = map.getAllEntitiesOnTile('litter', { x: guest.x, y: guest.y });
+                for (var i = 0; i < litter.length; i++) {
+                    var item = litter[i];
+                    if ((item.litterType === 'vomit' || item.litterType === 'vomit_alt') &&
+                        item.creationTick > data.mood.lastDisgustTick) {
+                        data.mood.lastDisgustTick = date.ticksElapsed;
+                        if (data.traits.nervous > 150) {
+                            this.pushEmotion(data, MOOD_STATES.SICK, 60 + data.traits.nervous / 3, 'vomit');
+                        } else {
+                            this.pushEmotion(data, MOOD_STATES.ANNOYED, 90, 'vomit');
+                        }
+                        return;
+                    }
+                }
+            } catch (e) {}
+        },
+
+        checkBoredom: function(data) {
+            var lastActivity = data.createdTick;
+            for (var rideId in data.memory.ridesRidden) {
+                if (data.memory.ridesRidden.hasOwnProperty(rideId)) {
+                    lastActivity = Math.max(lastActivity, data.memory.ridesRidden[rideId].lastRiddenTick || 0);
+                }
+            }
+            
+            if (date.ticksElapsed - lastActivity > CONFIG.boredomTicks && !data.mood.emotions[MOOD_STATES.BORED]) {
+                var restlessness = (data.traits.thrillSeeker + data.traits.adventurous) / 2;
+                this.pushEmotion(data, MOOD_STATES.BORED, 50 + restlessness / 3, 'idle');
+            }
+        },
+
+        checkWeatherEvents: function() {
+            var weather;
+            try {
+                weather = climate.current.weather;
+            } catch (e) {
+                return;
+            }
+            
+            var previous = this.lastWeather;
+            this.lastWeather = weather;
+            if (previous === null || previous === weather || !CONFIG.weatherReactionsEnabled) return;
+            
+            var wasWet = this.isWetWeather(previous);
+            var isWet = this.isWetWeather(weather);
+            if (wasWet === isWet && weather !== 'thunder') return;
+            
+            for (var guestId in PersonalityStore.guests) {
+                if (!PersonalityStore.guests.hasOwnProperty(guestId)) continue;
+                var data = PersonalityStore.guests[guestId];
+                
+                if (!isWet) {
+                    this.pushEmotion(data, MOOD_STATES.HAPPY, 40 + data.traits.photographer / 4, 'weather');
+                    continue;
+                }
+                
+                var hasUmbrella = false;
+                try {
+                    var guest = map.getEntity(parseInt(guestId, 10));
+                    hasUmbrella = guest && guest.hasItem({ type: 'umbrella' });
+                } catch (e) {}
+                
+                if (weather === 'thunder' && data.traits.nervous > 128) {
+                    this.pushEmotion(data, MOOD_STATES.SCARED, 60 + data.traits.nervous / 2, 'weather');
+                } else if (!hasUmbrella) {
+                    this.pushEmotion(data, MOOD_STATES.ANNOYED, 60 + (255 - data.traits.patient) / 4, 'weather');
+                }
+            }
+        },
+        
+        isWetWeather: function(weather) {
+            return weather === 'rain' || weather === 'heavyRain' || weather === 'thunder';
+        },
+
+        calculateMood: function(guest, data) {
+            var traits = data.traits;
+            var mood = {
+                current: MOOD_STATES.NEUTRAL,
+                intensity: 128,
+                lastChange: data.mood.lastChange,
+                source: 'baseline'
+            };
+            
+            var baseHappiness = guest.happiness || 128;
+            var happinessModifier = 0;
+            
+            var nearbyGuests = (traits.social > 150 || traits.nervous > 150) ? this.countNearbyGuests(guest) : 0;
+            
+            if (traits.social > 150) {
+                happinessModifier += Math.min(20, nearbyGuests * 2);
+            }
+            
+            if (traits.nervous > 150) {
+                happinessModifier -= Math.min(20, nearbyGuests * 3);
+            }
+            
+            var need = MoodMapping.matchNeed(guest);
+            if (need) {
+                mood.current = need.mood;
+                mood.intensity = need.intensity;
+            } else {
+                var adjustedHappiness = Math.max(0, Math.min(255, baseHappiness + happinessModifier));
+                var band = MoodMapping.matchBand(adjustedHappiness);
+                mood.current = band.mood;
+                mood.intensity = band.intensity;
+            }
+            
+            return this.blendEmotions(mood, data);
+        },
+
+        countNearbyGuests: function(guest) {
+            try {
+                return SpatialIndex.countNearby(guest);
+            } catch (e) {
+                return 0;
+            }
+        },
+
+        applyMoodEffects: function(guest, data) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            try {
+                var mood = data.mood;
+                var happinessAdjust = 0;
+                
+                switch (mood.current) {
+                    case MOOD_STATES.ECSTATIC:
+                        happinessAdjust = 30;
+                        break;
+                    case MOOD_STATES.HAPPY:
+                        happinessAdjust = 15;
+                        break;
+                    case MOOD_STATES.EXCITED:
+                        happinessAdjust = 20;
+                        break;
+                    case MOOD_STATES.BORED:
+                        happinessAdjust = -10;
+                        break;
+                    case MOOD_STATES.ANNOYED:
+                        happinessAdjust = -15;
+                        break;
+                    case MOOD_STATES.SAD:
+                        happinessAdjust = -20;
+                        break;
+                    case MOOD_STATES.ANGRY:
+                        happinessAdjust = -30;
+                        break;
+                }
+                
+                happinessAdjust = Math.round(happinessAdjust * CONFIG.moodInfluenceStrength);
+                
+                var newTarget = Math.max(0, Math.min(255, guest.happinessTarget + happinessAdjust));
+                
+                if (Math.abs(newTarget - guest.happinessTarget) > 5) {
+                    guest.happinessTarget = newTarget;
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error applying mood effects: ' + e);
+                }
+            }
+        },
+
+        getMoodEmoji: function(mood) {
+            switch (mood) {
+                case MOOD_STATES.ECSTATIC: return ':D';
+                case MOOD_STATES.HAPPY: return ':)';
+                case MOOD_STATES.CONTENT: return ':]';
+                case MOOD_STATES.NEUTRAL: return ':|';
+                case MOOD_STATES.BORED: return ':/';
+                case MOOD_STATES.ANNOYED: return '>:(';
+                case MOOD_STATES.SAD: return ':(';
+                case MOOD_STATES.ANGRY: return '>:O';
+                case MOOD_STATES.SCARED: return ':O';
+                case MOOD_STATES.EXCITED: return ':D!';
+                case MOOD_STATES.TIRED: return '-_-';
+                case MOOD_STATES.HUNGRY_MOOD: return ':[food]';
+                case MOOD_STATES.THIRSTY_MOOD: return ':[drink]';
+                case MOOD_STATES.SICK: return 'X(';
+                default: return '?';
+            }
+        }
+    };
+
+    // ===========================================
+    // GUEST STEERING
+    // ===========================================
+    var GuestSteering = {
+        queueEntryCache: {},
+        queueEntryCacheTicks: 2000,
+        maxQueueSearchTiles: 256,
+
+        reset: function() {
+            this.queueEntryCache = {};
+        },
+
+        getFootpathAt: function(tileX, tileY, z) {
+            try {
+                var tile = map.getTile(tileX, tileY);
+                for (var i = 0; i < tile.elements.length; i++) {
+                    var element = tile.elements[i];
+                    if (element.type === 'footpath' && Math.abs(element.baseZ - z) <= 16) {
+                        return element;
+                    }
+                }
+            } catch (e) {}
+            return null;
+        },
+
+        getQueueRideId: function(guest) {
+            var path = this.getFootpathAt(Math.floor(guest.x / 32), Math.floor(guest.y / 32), guest.z);
+            if (path && path.isQueue && path.ride !== null && path.ride !== undefined) {
+                return path.ride;
+            }
+            return null;
+        },
+
+        findQueueEntry: function(rideId, tileX, tileY, z) {
+            var cached = this.queueEntryCache[rideId];
+            if (cached && date.ticksElapsed - cached.tick < this.queueEntryCacheTicks) {
+                return cached.coords;
+            }
+
+            var directions = [
+                { x: 1, y: 0 }, { x: -1, y: 0 },
+                { x: 0, y: 1 }, { x: 0, y: -1 }
+            ];
+            var visited = {};
+            var open = [{ x: tileX, y: tileY, z: z }];
+            var entry = null;
+            visited[tileX + ',' + tileY] = true;
+
+            while (open.length > 0 && !entry && Object.keys(visited).length < this.maxQueueSearchTiles) {
+                var current = open.shift();
+                for (var i = 0; i < directions.length; i++) {
+                    var nx = current.x + directions[i].x;
+                    var ny = current.y + directions[i].y;
+                    var key = nx + ',' + ny;
+                    if (visited[key]) continue;
+                    visited[key] = true;
+
+                    var path = this.getFootpathAt(nx, ny, current.z);
+                    if (!path) continue;
+
+                    if (!path.isQueue) {
+                        entry = { x: nx * 32 + 16, y: ny * 32 + 16 };
+                        break;
+                    }
+                    if (path.ride === rideId) {
+                        open.push({ x: nx, y: ny, z: path.baseZ });
+                    }
+                }
+            }
+
+            this.queueEntryCache[rideId] = { tick: date.ticksElapsed, coords: entry };
+            return entry;
+        },
+
+        getRideEntrance: function(ride) {
+            if (!ride || !ride.stations) return null;
+            for (var i = 0; i < ride.stations.length; i++) {
+                var entrance = ride.stations[i].entrance;
+                if (entrance) {
+                    return { x: entrance.x + 16, y: entrance.y + 16 };
+                }
+            }
+            return null;
+        },
+
+        steerTo: function(guest, coords) {
+            if (!coords) return false;
+            try {
+                guest.destination = { x: coords.x, y: coords.y };
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        steerToRide: function(guest, rideId) {
+            try {
+                return this.steerTo(guest, this.getRideEntrance(map.getRide(rideId)));
+            } catch (e) {
+                return false;
+            }
+        },
+
+        leaveQueue: function(guest, rideId) {
+            var entry = this.findQueueEntry(rideId, Math.floor(guest.x / 32), Math.floor(guest.y / 32), guest.z);
+            return this.steerTo(guest, entry);
+        }
+    };
+
+    // ===========================================
+    // DEPARTURE MODEL
+    // ===========================================
+    var DEPARTURE_REASONS = {
+        unhappy: 'Unhappy',
+        broke: 'Broke',
+        tired: 'Tired',
+        time: 'Stayed long',
+        group: 'With group'
+    };
+
+    var DepartureModel = {
+        departures: {},
+        total: 0,
+        lastReason: null,
+
+        reset: function() {
+            this.departures = {};
+            this.total = 0;
+            this.lastReason = null;
+        },
+
+        // Satisfaction follows happiness slowly and is nudged by each ride experience
+        accumulateSatisfaction: function(guest, data) {
+            var happiness = typeof guest.happiness === 'number' ? guest.happiness : 128;
+            var departure = data.departure;
+            departure.satisfaction += (happiness - departure.satisfaction) * CONFIG.departureSatisfactionSmoothing;
+        },
+
+        recordRide: function(data, satisfaction) {
+            var departure = data.departure;
+            departure.satisfaction = Math.max(0, Math.min(255, departure.satisfaction + (satisfaction - 0.5) * 40));
+        },
+
+        // Each pressure reaches 1 at the point where it alone would send the guest home
+        getPressures: function(guest, data) {
+            var traits = data.traits;
+            var pressures = {};
+
+            // Satisfaction and energy ramp up from twice their limit down to the limit itself
+            var floor = CONFIG.departureSatisfactionFloor;
+            pressures.unhappy = floor > 0 ? Math.max(0, (floor * 2 - data.departure.satisfaction) / floor) : 0;
+
+            // Frugal guests want more left in their pocket before they feel broke
+            var reserve = CONFIG.departureCashReserve * (0.5 + traits.frugal / 255);
+            var cash = typeof guest.cash === 'number' ? guest.cash : reserve;
+            pressures.broke = reserve > 0 ? Math.max(0, 1 - cash / reserve) : 0;
+
+            var tiredAt = CONFIG.departureFatigueEnergy * data.modifiers.energyDrain;
+            pressures.tired = tiredAt > 0 ? Math.max(0, (tiredAt * 2 - guest.energy) / tiredAt) : 0;
+
+            var expectedStay = CONFIG.departureExpectedStayTicks * (0.7 + (traits.energetic / 255) * 0.6);
+            pressures.time = Math.max(0, (data.memory.timeInPark - expectedStay) / expectedStay);
+
+            return pressures;
+        },
+
+        getScore: function(guest, data) {
+            var pressures = this.getPressures(guest, data);
+            var score = 0;
+            var reason = null;
+            for (var name in pressures) {
+                if (!pressures.hasOwnProperty(name)) continue;
+                score += pressures[name];
+                if (reason === null || pressures[name] > pressures[reason]) {
+                    reason = name;
+                }
+            }
+            return { score: score, reason: reason };
+        },
+
+        // Leaders weigh the whole group; followers only break away when far past the threshold
+        getGroupScore: function(guest, data, own) {
+            var group = PersonalityStore.groups[data.social.groupId];
+            if (!group) return own.score;
+
+            if (!data.social.isLeader) {
+                return own.score >= CONFIG.departureThreshold * 1.5 ? own.score : 0;
+            }
+
+            var total = own.score;
+            var counted = 1;
+            for (var i = 0; i < group.members.length; i++) {
+                var memberId = group.members[i];
+                if (memberId === guest.id) continue;
+                var memberData = PersonalityStore.guests[memberId];
+                try {
+                    var member = map.getEntity(memberId);
+                    if (memberData && member && member.type === 'guest') {
+                        total += this.getScore(member, memberData).score;
+                        counted++;
+                    }
+                } catch (e) {}
+            }
+            return total / counted;
+        },
+
+        // Returns the leave reason once the guest decides to go home, otherwise null
+        evaluate: function(guest, data) {
+            if (data.departure.reason) return data.departure.reason;
+            if (!CONFIG.departureEnabled || !guest.isInPark) return null;
+
+            this.accumulateSatisfaction(guest, data);
+
+            var own = this.getScore(guest, data);
+            var score = data.social.groupId ? this.getGroupScore(guest, data, own) : own.score;
+            if (score < CONFIG.departureThreshold) return null;
+
+            if (data.social.groupId && !data.social.isLeader) {
+                PersonalityStore.removeFromGroup(guest.id);
+            }
+            this.recordDeparture(guest.id, data, own.reason);
+            return own.reason;
+        },
+
+        recordDeparture: function(guestId, data, reason) {
+            if (data.departure.reason) return;
+
+            data.departure.reason = reason;
+            data.departure.tick = date.ticksElapsed;
+            data.stats.decisionsInfluenced++;
+            this.departures[reason] = (this.departures[reason] || 0) + 1;
+            this.total++;
+            this.lastReason = reason;
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Guest ' + guestId + ' is going home (' + DEPARTURE_REASONS[reason] +
+                    ', satisfaction ' + Math.round(data.departure.satisfaction) + ')');
+            }
+        },
+
+        sendHome: function(guest) {
+            try {
+                if (!guest.getFlag('leavingPark')) {
+                    guest.setFlag('leavingPark', true);
+                }
+            } catch (e) {}
+        },
+
+        serialize: function() {
+            return {
+                total: this.total,
+                lastReason: this.lastReason,
+                reasons: this.departures
+            };
+        },
+
+        // Parks saved before the counters were stored rebuild them from each guest's leave reason
+        restore: function(saved) {
+            this.reset();
+
+            if (saved && saved.reasons) {
+                for (var reason in saved.reasons) {
+                    if (saved.reasons.hasOwnProperty(reason) && DEPARTURE_REASONS.hasOwnProperty(reason)) {
+                        this.departures[reason] = saved.reasons[reason];
+                        this.total += saved.reasons[reason];
+                    }
+                }
+                this.lastReason = DEPARTURE_REASONS.hasOwnProperty(saved.lastReason) ? saved.lastReason : null;
+                return;
+            }
+
+            for (var guestId in PersonalityStore.guests) {
+                if (!PersonalityStore.guests.hasOwnProperty(guestId)) continue;
+                var stored = PersonalityStore.guests[guestId].departure.reason;
+                if (stored && DEPARTURE_REASONS.hasOwnProperty(stored)) {
+                    this.departures[stored] = (this.departures[stored] || 0) + 1;
+                    this.total++;
+                }
+            }
+        },
+
+        getSummary: function() {
+            var reasons = {};
+            for (var reason in DEPARTURE_REASONS) {
+                if (DEPARTURE_REASONS.hasOwnProperty(reason)) {
+                    reasons[reason] = this.departures[reason] || 0;
+                }
+            }
+            return {
+                total: this.total,
+                lastReason: this.lastReason,
+                reasons: reasons
+            };
+        }
+    };
+
+    // ===========================================
+    // BEHAVIOR SYSTEM
+    // ===========================================
+    var BehaviorSystem = {
+        updateBehavior: function(guestId, guest) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return;
+            
+            var newBehavior = this.determineBehavior(guest, data);
+            
+            if (newBehavior !== data.behavior.current) {
+                data.behavior.current = newBehavior;
+                data.behavior.startTick = date.ticksElapsed;
+                data.behavior.target = null;
+                data.stats.behaviorsChanged++;
+                SyncManager.markDirty(guestId, 'behavior');
+                
+                this.executeBehavior(guest, data);
+            } else if (newBehavior === BEHAVIOR_TYPES.SEEKING_RIDE && this.isRideTargetStale(data)) {
+                this.handleSeekingRide(guest, data);
+            }
+        },
+
+        determineBehavior: function(guest, data) {
+            var traits = data.traits;
+            var mood = data.mood;
+            
+            if (DepartureModel.evaluate(guest, data)) {
+                return BEHAVIOR_TYPES.LEAVING;
+            }
+            
+            if (guest.toilet > 180) {
+                return BEHAVIOR_TYPES.SEEKING_TOILET;
+            }
+            
+            if (guest.hunger < 40 && traits.hungry > 100) {
+                return BEHAVIOR_TYPES.SEEKING_FOOD;
+            }
+            
+            if (guest.thirst < 40) {
+                return BEHAVIOR_TYPES.SEEKING_DRINK;
+            }
+            
+            if (guest.hunger < 60) {
+                return BEHAVIOR_TYPES.SEEKING_FOOD;
+            }
+            
+            if (CONFIG.weatherReactionsEnabled) {
+                var weatherBehavior = this.getWeatherBehavior(guest, data);
+                if (weatherBehavior) return weatherBehavior;
+            }
+            
+            if (guest.energy < 30) {
+                return BEHAVIOR_TYPES.RESTING;
+            }
+            
+            if (data.social.groupId && !data.social.isLeader) {
+                return BEHAVIOR_TYPES.FOLLOWING_GROUP;
+            }
+            
+            if (data.social.isLeader) {
+                return BEHAVIOR_TYPES.LEADING_GROUP;
+            }
+            
+            if (traits.photographer > 180 && RandomGenerator.getRandomFloat() < 0.1) {
+                return BEHAVIOR_TYPES.PHOTO_TAKING;
+            }
+            
+            if (traits.collector > 180 &&
+                RandomGenerator.getRandomFloat() < 0.05 / (1 + data.shopping.totalVetoes)) {
+                return BEHAVIOR_TYPES.SHOPPING;
+            }
+            
+            if (traits.social > 170 && RandomGenerator.getRandomFloat() < CONFIG.groupFormationChance) {
+                return BEHAVIOR_TYPES.SOCIALIZING;
+            }
+            
+            if (mood.current === MOOD_STATES.BORED) {
+                return BEHAVIOR_TYPES.SEEKING_RIDE;
+            }
+            
+            if (traits.thrillSeeker > 150 || traits.adventurous > 150) {
+                return BEHAVIOR_TYPES.SEEKING_RIDE;
+            }
+            
+            return BEHAVIOR_TYPES.WANDERING;
+        },
+
+        getWeatherBehavior: function(guest, data) {
+            try {
+                var currentWeather = climate.current;
+                var traits = data.traits;
+                
+                if (currentWeather.weather === 'rain' || currentWeather.weather === 'heavy_rain') {
+                    if (!guest.hasItem({ type: 'umbrella' })) {
+                        if (traits.nervous > 150) {
+                            return BEHAVIOR_TYPES.SEEKING_SHELTER;
+                        }
+                        if (RandomGenerator.getRandomFloat() < 0.3) {
+                            return BEHAVIOR_TYPES.SEEKING_SHELTER;
+                        }
+                    }
+                }
+                
+                if (currentWeather.weather === 'thunder') {
+                    if (traits.nervous > 100) {
+                        return BEHAVIOR_TYPES.SEEKING_SHELTER;
+                    }
+                }
+            } catch (e) {}
+            
+            return null;
+        },
+
+        executeBehavior: function(guest, data) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            var behavior = data.behavior.current;
+            
+            try {
+                switch (behavior) {
+                    case BEHAVIOR_TYPES.SEEKING_RIDE:
+                        this.handleSeekingRide(guest, data);
+                        break;
+                    case BEHAVIOR_TYPES.SOCIALIZING:
+                        this.handleSocializing(guest, data);
+                        break;
+                    case BEHAVIOR_TYPES.RESTING:
+                        if (guest.energy < 30) {
+                            guest.energyTarget = Math.min(255, guest.energy + 20);
+                        }
+                        break;
+                    case BEHAVIOR_TYPES.PHOTO_TAKING:
+                        guest.happinessTarget = Math.min(255, guest.happinessTarget + 10);
+                        break;
+                    case BEHAVIOR_TYPES.FOLLOWING_GROUP:
+                    case BEHAVIOR_TYPES.LEADING_GROUP:
+                        if (CONFIG.socialBehaviorEnabled) {
+                            SocialSystem.updateGroup(data.social.groupId);
+                        }
+                        break;
+                    case BEHAVIOR_TYPES.LEAVING:
+                        DepartureModel.sendHome(guest);
+                        break;
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error executing behavior: ' + e);
+                }
+            }
+        },
+
+        handleSeekingRide: function(guest, data) {
+            if (!CONFIG.ridePreferencesEnabled) return;
+            
+            var preferredIntensity = this.calculatePreferredIntensity(data);
+            var choice = RidePreferenceSystem.chooseRide(guest, data);
+
+            data.behavior.target = {
+                type: 'ride',
+                preferredIntensity: preferredIntensity,
+                rideId: choice ? choice.rideId : null,
+                score: choice ? choice.score : 0,
+                chosenTick: date.ticksElapsed
+            };
+
+            if (choice && GuestSteering.steerToRide(guest, choice.rideId)) {
+                data.stats.decisionsInfluenced++;
+            }
+        },
+
+        isRideTargetStale: function(data) {
+            var target = data.behavior.target;
+            if (!target || target.type !== 'ride' || target.rideId === null) return true;
+            if (date.ticksElapsed - target.chosenTick > CONFIG.rideTargetRefreshTicks) return true;
+            return !RidePreferenceSystem.isRideOpen(target.rideId);
+        },
+
+        calculatePreferredIntensity: function(data) {
+            var traits = data.traits;
+            var baseIntensity = 5;
+            
+            baseIntensity += (traits.thrillSeeker - 128) / 40;
+            baseIntensity -= (traits.nervous - 128) / 50;
+            baseIntensity += (traits.adventurous - 128) / 80;
+            
+            if (traits.romantic > 170) {
+                baseIntensity -= 2;
+            }
+            
+            return Math.max(1, Math.min(15, Math.round(baseIntensity)));
+        },
+
+        handleSocializing: function(guest, data) {
+            if (!CONFIG.socialBehaviorEnabled) return;
+            
+            if (!data.social.groupId) {
+                var nearbyGuests = this.findNearbyGuestsForSocializing(guest);
+                
+                if (nearbyGuests.length > 0) {
+                    var existingGroup = null;
+                    for (var i = 0; i < nearbyGuests.length; i++) {
+                        var nearbyData = PersonalityStore.getGuestData(nearbyGuests[i]);
+                        if (nearbyData && nearbyData.social.groupId) {
+                            existingGroup = nearbyData.social.groupId;
+                            break;
+                        }
+                    }
+                    
+                    if (existingGroup) {
+                        if (PersonalityStore.groups[existingGroup].members.length < 6) {
+                            PersonalityStore.addToGroup(guest.id, existingGroup);
+                            data.stats.socialInteractions++;
+                        }
+                    } else if (nearbyGuests.length >= 1) {
+                        var groupId = PersonalityStore.createGroup(guest.id);
+                        PersonalityStore.addToGroup(nearbyGuests[0], groupId);
+                        data.stats.socialInteractions++;
+                    }
+                }
+            }
+        },
+
+        findNearbyGuestsForSocializing: function(guest) {
+            var nearby = [];
+            try {
+                var tileX = Math.floor(guest.x / 32);
+                var tileY = Math.floor(guest.y / 32);
+                
+                // Only guests that already have a personality; untracked ones get theirs when the scheduler reaches them
+                SpatialIndex.forEachInRadius(tileX, tileY, CONFIG.socialInfluenceRadius, false, function(otherId, distance) {
+                    if (distance === 0 || otherId === guest.id) return;
+                    var otherData = PersonalityStore.guests[otherId];
+                    if (otherData && otherData.traits.social > 100) {
+                        nearby.push(otherId);
+                    }
+                });
+            } catch (e) {}
+            
+            return nearby;
+        }
+    };
+
+    // ===========================================
+    // RIDE CATEGORY RESOLVER
+    // ===========================================
+    var RideCategoryResolver = {
+        cache: {},
+        cacheTicks: 1000,
+        typeLookup: null,
+
+        reset: function() {
+            this.cache = {};
+        },
+
+        getTypeLookup: function() {
+            if (!this.typeLookup) {
+                this.typeLookup = {};
+                for (var category in RIDE_TYPE_CATEGORIES) {
+                    if (RIDE_TYPE_CATEGORIES.hasOwnProperty(category)) {
+                        var types = RIDE_TYPE_CATEGORIES[category];
+                        for (var i = 0; i < types.length; i++) {
+                            this.typeLookup[types[i]] = category;
+                        }
+                    }
+                }
+            }
+            return this.typeLookup;
+        },
+
+        getCategory: function(ride) {
+            if (!ride) return null;
+
+            var cached = this.cache[ride.id];
+            if (cached && date.ticksElapsed - cached.tick < this.cacheTicks) {
+                return cached.category;
+            }
+
+            var category = this.resolve(ride);
+            this.cache[ride.id] = { tick: date.ticksElapsed, category: category };
+            return category;
+        },
+
+        resolve: function(ride) {
+            if (ride.classification && ride.classification !== 'ride') return null;
+
+            var identifier = '';
+            try {
+                if (ride.object) {
+                    identifier = ride.object.identifier || '';
+                }
+            } catch (e) {}
+
+            var overrides = CONFIG.rideCategoryOverrides || {};
+            var override = overrides['ride:' + ride.id] || overrides[identifier] || overrides['type:' + ride.type];
+            if (this.isValidCategory(override)) {
+                return override;
+            }
+
+            var byType = this.getTypeLookup()[ride.type];
+            if (byType) return byType;
+
+            var byKeyword = this.matchKeywords(this.getObjectText(ride));
+            if (byKeyword) return byKeyword;
+
+            return this.categorizeByStats(ride);
+        },
+
+        getObjectText: function(ride) {
+            try {
+                if (ride.object) {
+                    return ((ride.object.identifier || '') + ' ' + (ride.object.name || '')).toLowerCase();
+                }
+            } catch (e) {}
+            return '';
+        },
+
+        // Roller coasters among thrill rides (overrides included): vanilla thrill types
+        // other than the flat rides, or any thrill ride whose object reads as a coaster
+        isCoaster: function(ride) {
+            if (this.getCategory(ride) !== RIDE_CATEGORIES.THRILL) return false;
+
+            if (this.getTypeLookup()[ride.type] === RIDE_CATEGORIES.THRILL &&
+                FLAT_THRILL_RIDE_TYPES.indexOf(ride.type) === -1) {
+                return true;
+            }
+
+            var text = this.getObjectText(ride);
+            for (var i = 0; i < COASTER_KEYWORDS.length; i++) {
+                if (text.indexOf(COASTER_KEYWORDS[i]) !== -1) return true;
+            }
+            return false;
+        },
+
+        matchKeywords: function(text) {
+            for (var category in RIDE_CATEGORY_KEYWORDS) {
+                if (RIDE_CATEGORY_KEYWORDS.hasOwnProperty(category)) {
+                    var keywords = RIDE_CATEGORY_KEYWORDS[category];
+                    for (var i = 0; i < keywords.length; i++) {
+                        if (text.indexOf(keywords[i]) !== -1) return category;
+                    }
+                }
+            }
+            return null;
+        },
+
+        categorizeByStats: function(ride) {
+            var intensity = ride.intensity || 0;
+            var nausea = ride.nausea || 0;
+
+            if (intensity >= 650 || nausea >= 500) return RIDE_CATEGORIES.THRILL;
+            if (intensity > 0 && intensity < 300 && nausea < 200) return RIDE_CATEGORIES.GENTLE;
+            return RIDE_CATEGORIES.FAMILY;
+        },
+
+        isValidCategory: function(category) {
+            if (!category) return false;
+            for (var key in RIDE_CATEGORIES) {
+                if (RIDE_CATEGORIES.hasOwnProperty(key) && RIDE_CATEGORIES[key] === category) {
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        getCategoryAdjustment: function(data, category) {
+            var adjustment = 0;
+            var affinities = RIDE_CATEGORY_AFFINITIES[category];
+            if (affinities) {
+                for (var trait in affinities) {
+                    if (affinities.hasOwnProperty(trait) && typeof data.traits[trait] === 'number') {
+                        adjustment += affinities[trait] * (data.traits[trait] - 128) / 127;
+                    }
+                }
+            }
+
+            if (CONFIG.weatherReactionsEnabled) {
+                adjustment += this.getWeatherAdjustment(category);
+            }
+
+            return adjustment;
+        },
+
+        getWeatherAdjustment: function(category) {
+            try {
+                var current = climate.current;
+                if (category === RIDE_CATEGORIES.WATER) {
+                    if (current.temperature < 12) return -0.25;
+                    if (current.temperature >= 25) return 0.1;
+                }
+                if (current.weather === 'rain' || current.weather === 'heavyRain' || current.weather === 'thunder') {
+                    if (category === RIDE_CATEGORIES.DARK || category === RIDE_CATEGORIES.TRANSPORT) return 0.05;
+                    if (category === RIDE_CATEGORIES.WATER) return -0.1;
+                }
+            } catch (e) {}
+            return 0;
+        }
+    };
+
+    // ===========================================
+    // RIDE PREFERENCE SYSTEM
+    // ===========================================
+    var RidePreferenceSystem = {
+        currentRiders: {},
+        openRidesCache: null,
+        openRidesCacheTick: -1,
+
+        reset: function() {
+            this.currentRiders = {};
+            this.openRidesCache = null;
+            this.openRidesCacheTick = -1;
+        },
+
+        getOpenRides: function() {
+            if (this.openRidesCache && this.openRidesCacheTick === date.ticksElapsed) {
+                return this.openRidesCache;
+            }
+
+            var openRides = [];
+            try {
+                var rides = map.rides;
+                for (var i = 0; i < rides.length; i++) {
+                    var ride = rides[i];
+                    if (ride.classification === 'ride' && ride.status === 'open') {
+                        openRides.push({
+                            id: ride.id,
+                            entrance: GuestSteering.getRideEntrance(ride)
+                        });
+                    }
+                }
+            } catch (e) {}
+
+            this.openRidesCache = openRides;
+            this.openRidesCacheTick = date.ticksElapsed;
+            return openRides;
+        },
+
+        isRideOpen: function(rideId) {
+            var openRides = this.getOpenRides();
+            for (var i = 0; i < openRides.length; i++) {
+                if (openRides[i].id === rideId) return true;
+            }
+            return false;
+        },
+
+        chooseRide: function(guest, data) {
+            var openRides = this.getOpenRides();
+            var best = null;
+
+            for (var i = 0; i < openRides.length; i++) {
+                var candidate = openRides[i];
+                var score = this.calculateRideSatisfaction(guest.id, candidate.id);
+
+                if (candidate.entrance) {
+                    var distance = (Math.abs(candidate.entrance.x - guest.x) + Math.abs(candidate.entrance.y - guest.y)) / 32;
+                    score -= Math.min(0.2, distance * 0.002);
+                }
+
+                if (data.memory.ridesRidden[candidate.id] && data.traits.adventurous > 150) {
+                    score -= 0.1;
+                }
+
+                score += (RandomGenerator.getRandomFloat() - 0.5) * 0.1;
+
+                if (!best || score > best.score) {
+                    best = { rideId: candidate.id, score: score };
+                }
+            }
+
+            return best;
+        },
+
+        chooseGroupRide: function(group, leader) {
+            var openRides = this.getOpenRides();
+            var best = null;
+            
+            for (var i = 0; i < openRides.length; i++) {
+                var candidate = openRides[i];
+                var total = 0;
+                var lowest = 1;
+                var counted = 0;
+                
+                for (var j = 0; j < group.members.length; j++) {
+                    if (!PersonalityStore.hasGuestData(group.members[j])) continue;
+                    var satisfaction = this.calculateRideSatisfaction(group.members[j], candidate.id);
+                    total += satisfaction;
+                    lowest = Math.min(lowest, satisfaction);
+                    counted++;
+                }
+                if (counted === 0) continue;
+                
+                var score = total / counted;
+                if (lowest < CONFIG.queueAbandonScore) {
+                    score -= 0.3;
+                }
+                
+                if (candidate.entrance) {
+                    var distance = (Math.abs(candidate.entrance.x - leader.x) + Math.abs(candidate.entrance.y - leader.y)) / 32;
+                    score -= Math.min(0.2, distance * 0.002);
+                }
+                
+                if (!best || score > best.score) {
+                    best = { rideId: candidate.id, score: score };
+                }
+            }
+            
+            return best ? best.rideId : null;
+        },
+
+        dislikesQueuedRide: function(guest, queueRideId) {
+            if (!CONFIG.ridePreferencesEnabled) return false;
+
+            return this.calculateRideSatisfaction(guest.id, queueRideId) < CONFIG.queueAbandonScore;
+        },
+
+        scanRiders: function() {
+            var riders = {};
+            var cars = map.getAllEntities('car');
+            for (var i = 0; i < cars.length; i++) {
+                var car = cars[i];
+                if (!car || !car.guests) continue;
+                for (var j = 0; j < car.guests.length; j++) {
+                    var riderId = car.guests[j];
+                    if (riderId !== null && riderId !== undefined) {
+                        riders[riderId] = car.ride;
+                    }
+                }
+            }
+            return riders;
+        },
+
+        trackRideCompletions: function() {
+            if (!NetworkHelper.canModifyGameState()) return 0;
+
+            var riders;
+            try {
+                riders = this.scanRiders();
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error scanning ride vehicles: ' + e);
+                }
+                return 0;
+            }
+
+            var completed = 0;
+            for (var guestId in this.currentRiders) {
+                if (!this.currentRiders.hasOwnProperty(guestId)) continue;
+                var rideId = this.currentRiders[guestId];
+
+                if (riders[guestId] === rideId) continue;
+                if (!CONFIG.memorySystemEnabled) continue;
+                if (!PersonalityStore.hasGuestData(guestId)) continue;
+
+                var satisfaction = this.calculateRideSatisfaction(guestId, rideId);
+                this.recordRideExperience(guestId, rideId, satisfaction);
+                GuestScheduler.prioritize(parseInt(guestId, 10));
+                completed++;
+
+                try {
+                    var ride = map.getRide(rideId);
+                    if (ride) {
+                        MoodSystem.onRideCompleted(PersonalityStore.guests[guestId], ride,
+                            RideCategoryResolver.getCategory(ride), satisfaction);
+                    }
+                } catch (e) {}
+
+                var target = PersonalityStore.guests[guestId].behavior.target;
+                if (target && target.type === 'ride' && target.rideId === rideId) {
+                    PersonalityStore.guests[guestId].behavior.target = null;
+                }
+
+                var social = PersonalityStore.guests[guestId].social;
+                var group = social.groupId ? PersonalityStore.groups[social.groupId] : null;
+                if (group && social.isLeader && group.targetRide === rideId) {
+                    group.targetRide = null;
+                }
+            }
+
+            this.currentRiders = riders;
+            return completed;
+        },
+
+        calculateRideSatisfaction: function(guestId, rideId) {
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return 0.5;
+            
+            try {
+                var ride = map.getRide(rideId);
+                if (!ride) return 0.5;
+                
+                var traits = data.traits;
+                var satisfaction = 0.5;
+                
+                var intensity = (ride.intensity || 500) / 100;
+                var preferredIntensity = BehaviorSystem.calculatePreferredIntensity(data);
+                var intensityDiff = Math.abs(intensity - preferredIntensity);
+                satisfaction -= intensityDiff * 0.05;
+                
+                if (traits.thrillSeeker > 150) {
+                    var excitement = (ride.excitement || 500) / 100;
+                    satisfaction += excitement * 0.02;
+                }
+                
+                if (traits.nervous > 150) {
+                    var nausea = (ride.nausea || 300) / 100;
+                    satisfaction -= nausea * 0.03;
+                }
+                
+                var category = RideCategoryResolver.getCategory(ride);
+                if (category) {
+                    satisfaction += RideCategoryResolver.getCategoryAdjustment(data, category);
+                }
+                
+                if (data.memory.favoriteRide === rideId) {
+                    satisfaction += 0.2;
+                }
+                
+                if (data.memory.worstExperience === rideId) {
+                    satisfaction -= 0.3;
+                }
+                
+                var abandoned = data.memory.abandonedQueues[rideId] || 0;
+                satisfaction -= Math.min(0.3, abandoned * 0.1);
+                
+                return Math.max(0, Math.min(1, satisfaction));
+            } catch (e) {
+                return 0.5;
+            }
+        },
+
+        recordRideExperience: function(guestId, rideId, satisfaction) {
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return;
+            
+            if (!data.memory.ridesRidden[rideId]) {
+                data.memory.ridesRidden[rideId] = {
+                    timesRidden: 0,
+                    totalSatisfaction: 0
+                };
+            }
+            
+            var rideMemory = data.memory.ridesRidden[rideId];
+            DepartureModel.recordRide(data, satisfaction);
+            rideMemory.timesRidden++;
+            rideMemory.totalSatisfaction += satisfaction;
+            rideMemory.lastRiddenTick = date.ticksElapsed;
+            
+            var avgSatisfaction = rideMemory.totalSatisfaction / rideMemory.timesRidden;
+            
+            if (avgSatisfaction > 0.8 && rideMemory.timesRidden >= 2) {
+                data.memory.favoriteRide = rideId;
+            }
+            
+            if (avgSatisfaction < 0.3 && rideMemory.timesRidden >= 1) {
+                data.memory.worstExperience = rideId;
+            }
+
+            if (data.memory.favoriteRide === rideId && avgSatisfaction < 0.6) {
+                data.memory.favoriteRide = null;
+            }
+
+            if (data.memory.worstExperience === rideId && avgSatisfaction > 0.5) {
+                data.memory.worstExperience = null;
+            }
+
+            SyncManager.markMemoryDirty(guestId, ['favoriteRide', 'worstExperience'], rideId);
+        }
+    };
+
+    // ===========================================
+    // QUEUE PATIENCE SYSTEM
+    // ===========================================
+    var QueueSystem = {
+        // Single place that pulls a guest out of a queue: a disliked ride first, then patience.
+        // A decision only counts once the guest is seen off that queue; until then the queue
+        // state is kept and the guest is steered out again on every visit.
+        // Returns true only when a guest who ran out of patience has left.
+        updateQueue: function(guest, data, queueRideId) {
+            var queue = data.queue;
+            var abandoned = false;
+
+            if (queue.leaving && queue.rideId !== queueRideId) {
+                abandoned = this.completeExit(guest, data);
+            }
+
+            if (queueRideId === null) {
+                queue.rideId = null;
+                queue.annoyed = false;
+                return abandoned;
+            }
+
+            if (queue.rideId !== queueRideId) {
+                queue.rideId = queueRideId;
+                queue.enteredTick = date.ticksElapsed;
+                queue.annoyed = false;
+            }
+
+            if (queue.leaving) {
+                GuestSteering.leaveQueue(guest, queueRideId);
+                return abandoned;
+            }
+
+            if (RidePreferenceSystem.dislikesQueuedRide(guest, queueRideId)) {
+                this.beginExit(guest, data, 'disliked');
+                return abandoned;
+            }
+
+            if (!CONFIG.queuePatienceEnabled) return abandoned;
+
+            var waited = date.ticksElapsed - queue.enteredTick;
+            var budget = this.getPatienceBudget(guest, data, queueRideId);
+
+            if (waited > budget) {
+                this.beginExit(guest, data, 'impatient');
+                return abandoned;
+            }
+
+            if (!queue.annoyed && waited > budget * 0.6) {
+                queue.annoyed = true;
+                this.growImpatient(guest, data, waited / budget);
+            }
+
+            return abandoned;
+        },
+
+        getPatienceBudget: function(guest, data, rideId) {
+            var budget = CONFIG.queuePatienceBaseTicks;
+
+            budget *= 0.5 + (data.traits.patient / 255) * 1.5;
+            budget *= this.getMoodPatienceMultiplier(data.mood.current);
+            budget *= 0.5 + RidePreferenceSystem.calculateRideSatisfaction(guest.id, rideId);
+
+            return Math.round(budget);
+        },
+
+        getMoodPatienceMultiplier: function(mood) {
+            switch (mood) {
+                case MOOD_STATES.ECSTATIC:
+                case MOOD_STATES.EXCITED:
+                    return 1.3;
+                case MOOD_STATES.HAPPY:
+                    return 1.15;
+                case MOOD_STATES.BORED:
+                case MOOD_STATES.TIRED:
+                case MOOD_STATES.HUNGRY_MOOD:
+                case MOOD_STATES.THIRSTY_MOOD:
+                    return 0.8;
+                case MOOD_STATES.ANNOYED:
+                case MOOD_STATES.SICK:
+                    return 0.7;
+                case MOOD_STATES.ANGRY:
+                    return 0.5;
+                default:
+                    return 1.0;
+            }
+        },
+
+        growImpatient: function(guest, data, waitRatio) {
+            MoodSystem.pushEmotion(data, MOOD_STATES.ANNOYED, 100 + waitRatio * 100, 'queue');
+
+            try {
+                guest.happinessTarget = Math.max(0, guest.happinessTarget - 10);
+            } catch (e) {}
+        },
+
+        beginExit: function(guest, data, reason) {
+            if (!GuestSteering.leaveQueue(guest, data.queue.rideId)) return;
+            data.queue.leaving = reason;
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Guest ' + guest.id + (reason === 'impatient' ?
+                    ' ran out of patience in the queue for ride ' : ' is leaving the queue for ride ') + data.queue.rideId);
+            }
+        },
+
+        // Called once the guest is off the queue they were steered out of
+        completeExit: function(guest, data) {
+            var queue = data.queue;
+            var rideId = queue.rideId;
+            var impatient = queue.leaving === 'impatient';
+
+            queue.leaving = null;
+            data.stats.decisionsInfluenced++;
+            if (!impatient) return false;
+
+            if (CONFIG.memorySystemEnabled) {
+                data.memory.abandonedQueues[rideId] = (data.memory.abandonedQueues[rideId] || 0) + 1;
+                SyncManager.markMemoryDirty(guest.id, ['abandonedQueues']);
+            }
+
+            MoodSystem.pushEmotion(data, MOOD_STATES.ANGRY, 120 + (255 - data.traits.patient) / 4, 'queue');
+
+            try {
+                guest.happinessTarget = Math.max(0, guest.happinessTarget - 15);
+            } catch (e) {}
+
+            return true;
+        }
+    };
+
+    // ===========================================
+    // SHOPPING BEHAVIOR SYSTEM
+    // ===========================================
+    var ShoppingSystem = {
+        cancelActionName: 'personality-expander-cancel-purchase',
+
+        evaluatePurchaseDecision: function(guestId, itemType) {
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return true;
+            
+            var traits = data.traits;
+            var willingness = 0.5;
+            
+            // The game has already chosen to buy, so frugality only trims willingness.
+            willingness = 1 - (traits.frugal / 255) * 0.5;
+            
+            if (traits.collector > 150) {
+                if (this.isSouvenir(itemType)) {
+                    willingness += 0.2;
+                }
+            }
+            
+            if (traits.foodie > 150) {
+                if (this.isFood(itemType)) {
+                    willingness += 0.3;
+                }
+            }
+            
+            if (traits.photographer > 150) {
+                if (this.isPhoto(itemType)) {
+                    willingness += 0.4;
+                }
+            }
+            
+            willingness -= (data.shopping.vetoes[itemType] || 0) * 0.1;
+            willingness *= data.modifiers.spendingMultiplier;
+            
+            // Called after the game has debited the purchase, so cash is what is left
+            try {
+                var guest = map.getEntity(guestId);
+                if (guest && typeof guest.cash === 'number' && guest.cash < 500) {
+                    willingness *= 0.5;
+                }
+            } catch (e) {}
+            
+            return RandomGenerator.getRandomFloat() < willingness;
+        },
+
+        trackPurchases: function(guest, data) {
+            var items;
+            try {
+                items = guest.items;
+            } catch (e) {
+                return;
+            }
+            if (!items) return;
+
+            var currentItems = [];
+            for (var i = 0; i < items.length; i++) {
+                currentItems.push(items[i].type);
+            }
+
+            var shopping = data.shopping;
+            if (!shopping.tracked) {
+                shopping.tracked = true;
+                shopping.lastItems = currentItems;
+                return;
+            }
+
+            var newItems = [];
+            for (var j = 0; j < currentItems.length; j++) {
+                var itemType = currentItems[j];
+                if (shopping.lastItems.indexOf(itemType) === -1 && this.isPurchasable(itemType)) {
+                    newItems.push(itemType);
+                }
+            }
+
+            for (var k = 0; k < newItems.length; k++) {
+                this.handlePurchase(guest, data, newItems[k]);
+            }
+
+            shopping.lastItems = [];
+            try {
+                var remaining = guest.items;
+                for (var r = 0; r < remaining.length; r++) {
+                    shopping.lastItems.push(remaining[r].type);
+                }
+            } catch (e) {
+                shopping.lastItems = currentItems;
+            }
+        },
+
+        // A vetoed buy is undone (item back, cash refunded, stall income reversed) and
+        // remembered, which makes the same item less appealing next time.
+        handlePurchase: function(guest, data, itemType) {
+            // Items not sold by any stall were handed out, e.g. park maps or vouchers
+            var sale = this.findSale(guest, itemType);
+            if (!sale) return;
+
+            if (CONFIG.shoppingBehaviorEnabled &&
+                !this.evaluatePurchaseDecision(guest.id, itemType)) {
+                var shopping = data.shopping;
+                shopping.vetoes[itemType] = (shopping.vetoes[itemType] || 0) + 1;
+                shopping.totalVetoes++;
+                data.stats.decisionsInfluenced++;
+                this.cancelPurchase(guest.id, itemType, sale);
+                return;
+            }
+
+            if (CONFIG.memorySystemEnabled) {
+                this.recordPurchase(guest.id, itemType, sale.price);
+            }
+
+            if (this.isFavouriteItem(data, itemType)) {
+                MoodSystem.pushEmotion(data, MOOD_STATES.HAPPY, 100, 'purchase');
+            }
+        },
+
+        // The nearest stall selling the item and its price for that item
+        findSale: function(guest, itemType) {
+            var shopItem = SHOP_ITEM_IDS[itemType];
+            if (shopItem === undefined) return null;
+
+            var best = null;
+            try {
+                var rides = map.rides;
+                for (var i = 0; i < rides.length; i++) {
+                    var ride = rides[i];
+                    if (ride.classification !== 'stall' || !ride.object) continue;
+
+                    var priceIndex = ride.object.shopItem === shopItem ? 0 :
+                        (ride.object.shopItemSecondary === shopItem ? 1 : -1);
+                    if (priceIndex === -1 || !ride.stations || !ride.stations[0]) continue;
+
+                    var start = ride.stations[0].start;
+                    var distance = Math.abs(start.x - guest.x) + Math.abs(start.y - guest.y);
+                    if (!best || distance < best.distance) {
+                        best = {
+                            rideId: ride.id,
+                            price: ride.price[priceIndex] || 0,
+                            distance: distance
+                        };
+                    }
+                }
+            } catch (e) {
+                return null;
+            }
+
+            return best ? { rideId: best.rideId, price: best.price } : null;
+        },
+
+        cancelPurchase: function(guestId, itemType, sale) {
+            try {
+                context.executeAction(this.cancelActionName, {
+                    action: 'cancel-purchase',
+                    guestId: guestId,
+                    item: itemType,
+                    rideId: sale.rideId,
+                    price: sale.price
+                });
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error cancelling purchase: ' + e);
+                }
+                return;
+            }
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Guest ' + guestId + ' changed their mind about ' + itemType);
+            }
+        },
+
+        // Runs inside the cancel game action, so every peer applies the same refund
+        applyCancellation: function(args) {
+            var guest = map.getEntity(args.guestId);
+            if (!guest || guest.type !== 'guest' || !guest.hasItem({ type: args.item })) return false;
+
+            guest.removeItem({ type: args.item });
+            guest.cash = guest.cash + args.price;
+            park.cash = park.cash - args.price;
+
+            var ride = map.getRide(args.rideId);
+            if (ride && typeof ride.totalProfit === 'number') {
+                ride.totalProfit = ride.totalProfit - args.price;
+            }
+            return true;
+        },
+
+        isFavouriteItem: function(data, itemType) {
+            var traits = data.traits;
+            return (traits.collector > 150 && this.isSouvenir(itemType)) ||
+                (traits.foodie > 150 && this.isFood(itemType)) ||
+                (traits.photographer > 150 && this.isPhoto(itemType));
+        },
+
+        isSouvenir: function(itemType) {
+            return itemType === 'balloon' || itemType === 'hat' ||
+                itemType === 'toy' || itemType === 'map';
+        },
+
+        isPhoto: function(itemType) {
+            return itemType === 'photo1' || itemType === 'photo2' ||
+                itemType === 'photo3' || itemType === 'photo4';
+        },
+
+        isPurchasable: function(itemType) {
+            return itemType.indexOf('empty') !== 0 && itemType !== 'voucher' && itemType !== 'rubbish';
+        },
+
+        isFood: function(itemType) {
+            var foodItems = [
+                'burger', 'chips', 'ice_cream', 'candyfloss', 'pizza',
+                'popcorn', 'hot_dog', 'tentacle', 'toffee_apple', 'doughnut',
+                'chicken', 'pretzel', 'funnel_cake', 'beef_noodles',
+                'fried_rice_noodles', 'wonton_soup', 'meatball_soup',
+                'sub_sandwich', 'cookie', 'roast_sausage'
+            ];
+            
+            for (var i = 0; i < foodItems.length; i++) {
+                if (itemType === foodItems[i]) return true;
+            }
+            return false;
+        },
+
+        recordPurchase: function(guestId, itemType, price) {
+            var data = PersonalityStore.getGuestData(guestId);
+            if (!data) return;
+            
+            data.memory.totalSpent += price;
+            data.memory.itemsBought.push({
+                item: itemType,
+                price: price,
+                tick: date.ticksElapsed
+            });
+            
+            if (data.memory.itemsBought.length > 20) {
+                data.memory.itemsBought.shift();
+            }
+
+            SyncManager.markMemoryDirty(guestId, ['totalSpent', 'itemsBought']);
+        }
+    };
+
+    // ===========================================
+    // NEEDS SIMULATION
+    // ===========================================
+    // Vanilla already drains hunger, thirst and energy; this adds (or gives back) the
+    // difference implied by each guest's hungerRate, thirstRate and energyDrain modifiers.
+    var NeedsSimulation = {
+        // Rough vanilla drain in stat points per 1000 ticks, the reference for a 1.0 rate
+        baseRates: {
+            hunger: 8,
+            thirst: 8,
+            energy: 6
+        },
+        // The game keeps guest energy between 32 and 128
+        statRanges: {
+            hunger: { min: 0, max: 255 },
+            thirst: { min: 0, max: 255 },
+            energy: { min: 32, max: 128 }
+        },
+        stats: {
+            guestsAdjusted: 0,
+            hunger: 0,
+            thirst: 0,
+            energy: 0
+        },
+
+        reset: function() {
+            this.stats = { guestsAdjusted: 0, hunger: 0, thirst: 0, energy: 0 };
+        },
+
+        update: function(guest, data) {
+            var needs = data.needs;
+
+            // Restart the clock when re-enabled so time spent off is never applied
+            if (!CONFIG.needsSimulationEnabled) {
+                needs.lastTick = 0;
+                return;
+            }
+            if (!NetworkHelper.canModifyGameState()) return;
+
+            var now = date.ticksElapsed;
+            if (!needs.lastTick) {
+                needs.lastTick = now;
+                return;
+            }
+
+            var elapsed = now - needs.lastTick;
+            if (elapsed < CONFIG.needsUpdateInterval) return;
+            needs.lastTick = now;
+            elapsed = Math.min(elapsed, CONFIG.maxGuestStalenessTicks);
+
+            var scale = (elapsed / 1000) * CONFIG.needsSimulationStrength;
+            var modifiers = data.modifiers;
+
+            try {
+                var changed = this.drain(guest, needs, 'hunger', (modifiers.hungerRate - 1) * this.baseRates.hunger * scale);
+                changed = this.drain(guest, needs, 'thirst', (modifiers.thirstRate - 1) * this.baseRates.thirst * scale) || changed;
+                changed = this.drain(guest, needs, 'energy', (modifiers.energyDrain - 1) * this.baseRates.energy * scale) || changed;
+                if (changed) {
+                    this.stats.guestsAdjusted++;
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Needs simulation error for guest ' + guest.id + ': ' + e);
+                }
+            }
+        },
+
+        // Fractions carry over between visits so slow rates still add up
+        drain: function(guest, needs, stat, amount) {
+            needs[stat] += amount;
+            var points = needs[stat] > 0 ? Math.floor(needs[stat]) : Math.ceil(needs[stat]);
+            if (points === 0) return false;
+            needs[stat] -= points;
+
+            var before = guest[stat];
+            guest[stat] = this.clampStat(stat, before, before - points);
+            if (stat === 'energy') {
+                // Energy drifts towards its target, so move both
+                guest.energyTarget = this.clampStat(stat, guest.energyTarget, guest.energyTarget - points);
+            }
+
+            this.stats[stat] += before - guest[stat];
+            return true;
+        },
+
+        // Keeps a stat in the game's range without pulling an out-of-range value further than it moved
+        clampStat: function(stat, current, value) {
+            var range = this.statRanges[stat];
+            return Math.max(Math.min(current, range.min), Math.min(Math.max(current, range.max), value));
+        },
+
+        getSummary: function() {
+            return {
+                enabled: CONFIG.needsSimulationEnabled,
+                strength: CONFIG.needsSimulationStrength,
+                guestsAdjusted: this.stats.guestsAdjusted,
+                hunger: this.stats.hunger,
+                thirst: this.stats.thirst,
+                energy: this.stats.energy
+            };
+        }
+    };
+
+    // ===========================================
+    // SOCIAL SYSTEM
+    // ===========================================
+    var SocialSystem = {
+        contagiousMoods: [
+            MOOD_STATES.ECSTATIC, MOOD_STATES.HAPPY, MOOD_STATES.EXCITED,
+            MOOD_STATES.BORED, MOOD_STATES.ANNOYED, MOOD_STATES.SAD,
+            MOOD_STATES.ANGRY, MOOD_STATES.SCARED
+        ],
+        emitterCursor: 0,
+
+        updateGroups: function() {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            for (var groupId in PersonalityStore.groups) {
+                if (PersonalityStore.groups.hasOwnProperty(groupId)) {
+                    this.updateGroup(groupId);
+                }
+            }
+        },
+
+        updateGroup: function(groupId) {
+            var group = PersonalityStore.groups[groupId];
+            if (!group) return;
+            
+            if (group.members.length < 2) {
+                this.dissolveGroup(groupId);
+                return;
+            }
+            
+            var leader = null;
+            try {
+                leader = map.getEntity(group.leaderId);
+            } catch (e) {}
+            
+            if (!leader) {
+                this.dissolveGroup(groupId);
+                return;
+            }
+            
+            var leaderX = Math.floor(leader.x / 32);
+            var leaderY = Math.floor(leader.y / 32);
+            
+            var membersToRemove = [];
+            
+            for (var i = 0; i < group.members.length; i++) {
+                var memberId = group.members[i];
+                if (memberId === group.leaderId) continue;
+                
+                try {
+                    var member = map.getEntity(memberId);
+                    if (!member) {
+                        membersToRemove.push(memberId);
+                        continue;
+                    }
+                    
+                    var memberX = Math.floor(member.x / 32);
+                    var memberY = Math.floor(member.y / 32);
+                    var distance = Math.abs(memberX - leaderX) + Math.abs(memberY - leaderY);
+                    
+                    if (distance > 15) {
+                        if (RandomGenerator.getRandomFloat() < 0.1) {
+                            membersToRemove.push(memberId);
+                        }
+                    }
+                } catch (e) {
+                    membersToRemove.push(memberId);
+                }
+            }
+            
+            for (var j = 0; j < membersToRemove.length; j++) {
+                PersonalityStore.removeFromGroup(membersToRemove[j]);
+            }
+            
+            if (!PersonalityStore.groups[groupId] || group.members.length < 2) return;
+            
+            if (this.checkGroupDeparture(group, leader)) return;
+            
+            this.coordinateGroup(group, leader);
+        },
+
+        checkGroupDeparture: function(group, leader) {
+            var leaderData = PersonalityStore.guests[group.leaderId];
+            var leaderLeaving = leaderData && leaderData.behavior.current === BEHAVIOR_TYPES.LEAVING;
+            try {
+                leaderLeaving = leaderLeaving || leader.getFlag('leavingPark');
+            } catch (e) {}
+            
+            if (!leaderLeaving) return false;
+            
+            group.formation = 'leaving';
+            for (var i = 0; i < group.members.length; i++) {
+                var memberId = group.members[i];
+                if (memberId === group.leaderId) continue;
+                
+                var memberData = PersonalityStore.guests[memberId];
+                if (memberData && memberData.behavior.current !== BEHAVIOR_TYPES.LEAVING) {
+                    DepartureModel.recordDeparture(memberId, memberData, 'group');
+                    memberData.behavior.current = BEHAVIOR_TYPES.LEAVING;
+                    memberData.behavior.startTick = date.ticksElapsed;
+                    memberData.behavior.target = null;
+                    memberData.stats.behaviorsChanged++;
+                    SyncManager.markDirty(memberId, 'behavior');
+                }
+                
+                try {
+                    var member = map.getEntity(memberId);
+                    if (member && member.type === 'guest') {
+                        member.setFlag('leavingPark', true);
+                        GuestSteering.steerTo(member, { x: leader.x, y: leader.y });
+                    }
+                } catch (e) {}
+            }
+            
+            return true;
+        },
+
+        coordinateGroup: function(group, leader) {
+            var leaderPosition = {
+                x: Math.floor(leader.x / 32) * 32 + 16,
+                y: Math.floor(leader.y / 32) * 32 + 16
+            };
+            var members = [];
+            var stragglers = [];
+            
+            for (var i = 0; i < group.members.length; i++) {
+                var memberId = group.members[i];
+                if (memberId === group.leaderId) continue;
+                
+                var member = null;
+                try {
+                    member = map.getEntity(memberId);
+                } catch (e) {}
+                if (!member || member.type !== 'guest') continue;
+                
+                members.push(member);
+                var distance = (Math.abs(member.x - leader.x) + Math.abs(member.y - leader.y)) / 32;
+                if (distance > CONFIG.groupStragglerDistance) {
+                    stragglers.push(member);
+                }
+            }
+            
+            if (CONFIG.ridePreferencesEnabled &&
+                (group.targetRide === null || !RidePreferenceSystem.isRideOpen(group.targetRide) ||
+                 date.ticksElapsed - (group.targetChosenTick || 0) > CONFIG.rideTargetRefreshTicks)) {
+                group.targetRide = RidePreferenceSystem.chooseGroupRide(group, leader);
+                group.targetChosenTick = date.ticksElapsed;
+                this.shareGroupTarget(group);
+            }
+            
+            if (stragglers.length > 0) {
+                group.formation = 'waiting';
+                GuestSteering.steerTo(leader, leaderPosition);
+                for (var j = 0; j < stragglers.length; j++) {
+                    GuestSteering.steerTo(stragglers[j], leaderPosition);
+                }
+                return;
+            }
+            
+            group.formation = 'follow';
+            if (group.targetRide === null) {
+                for (var k = 0; k < members.length; k++) {
+                    GuestSteering.steerTo(members[k], leaderPosition);
+                }
+                return;
+            }
+            
+            GuestSteering.steerToRide(leader, group.targetRide);
+            for (var m = 0; m < members.length; m++) {
+                GuestSteering.steerToRide(members[m], group.targetRide);
+            }
+        },
+
+        shareGroupTarget: function(group) {
+            for (var i = 0; i < group.members.length; i++) {
+                var data = PersonalityStore.guests[group.members[i]];
+                if (!data) continue;
+                
+                data.behavior.target = group.targetRide === null ? null : {
+                    type: 'ride',
+                    rideId: group.targetRide,
+                    score: 0,
+                    chosenTick: date.ticksElapsed,
+                    groupId: group.id
+                };
+            }
+        },
+
+        isContagious: function(mood) {
+            return this.contagiousMoods.indexOf(mood) !== -1;
+        },
+
+        getSusceptibility: function(data) {
+            return 0.25 + (data.traits.social / 255) * 0.75;
+        },
+
+        spreadMoods: function() {
+            if (!NetworkHelper.canModifyGameState()) return 0;
+            if (!CONFIG.moodContagionEnabled || !CONFIG.socialBehaviorEnabled) return 0;
+
+            return this.spreadWithinGroups() + this.spreadToNearbyGuests();
+        },
+
+        spreadWithinGroups: function() {
+            var spread = 0;
+
+            for (var groupId in PersonalityStore.groups) {
+                if (!PersonalityStore.groups.hasOwnProperty(groupId)) continue;
+                var members = PersonalityStore.groups[groupId].members;
+
+                for (var i = 0; i < members.length; i++) {
+                    var source = PersonalityStore.guests[members[i]];
+                    if (!source || !this.isContagious(source.mood.current)) continue;
+
+                    for (var j = 0; j < members.length; j++) {
+                        if (i === j) continue;
+                        var target = PersonalityStore.guests[members[j]];
+                        if (!target) continue;
+
+                        var intensity = source.mood.intensity * CONFIG.moodContagionStrength * this.getSusceptibility(target);
+                        if (MoodSystem.absorbEmotion(target, source.mood.current, intensity, 'group')) {
+                            spread++;
+                        }
+                    }
+                }
+            }
+
+            return spread;
+        },
+
+        spreadToNearbyGuests: function() {
+            var emitters = this.selectEmitters(CONFIG.contagionEmittersPerPass);
+            var radius = CONFIG.socialInfluenceRadius;
+            var spread = 0;
+
+            var self = this;
+
+            for (var i = 0; i < emitters.length; i++) {
+                var emitterId = parseInt(emitters[i], 10);
+                var source = PersonalityStore.guests[emitterId];
+                var position = SpatialIndex.getPosition(emitterId);
+                if (!position) continue;
+
+                SpatialIndex.forEachInRadius(position.tileX, position.tileY, radius, true, function(otherId, distance) {
+                    if (otherId === emitterId || !PersonalityStore.hasGuestData(otherId)) return;
+
+                    var target = PersonalityStore.guests[otherId];
+                    var falloff = 1 - distance / (radius + 1);
+                    var intensity = source.mood.intensity * CONFIG.moodContagionStrength * 0.75 *
+                        self.getSusceptibility(target) * falloff;
+
+                    if (MoodSystem.absorbEmotion(target, source.mood.current, intensity, 'contagion')) {
+                        spread++;
+                    }
+                });
+            }
+
+            return spread;
+        },
+
+        selectEmitters: function(maxEmitters) {
+            var guestIds = Object.keys(PersonalityStore.guests);
+            var emitters = [];
+            if (guestIds.length === 0) return emitters;
+
+            var start = this.emitterCursor % guestIds.length;
+            var checked = 0;
+
+            while (checked < guestIds.length && emitters.length < maxEmitters) {
+                var guestId = guestIds[(start + checked) % guestIds.length];
+                var data = PersonalityStore.guests[guestId];
+                if (this.isContagious(data.mood.current) && data.mood.intensity >= 150) {
+                    emitters.push(guestId);
+                }
+                checked++;
+            }
+
+            this.emitterCursor = start + checked;
+            return emitters;
+        },
+
+        dissolveGroup: function(groupId) {
+            var group = PersonalityStore.groups[groupId];
+            if (!group) return;
+            
+            var members = group.members.slice();
+            for (var i = 0; i < members.length; i++) {
+                PersonalityStore.removeFromGroup(members[i]);
+            }
+            
+            delete PersonalityStore.groups[groupId];
+        },
+
+        getGroupInfo: function(groupId) {
+            var group = PersonalityStore.groups[groupId];
+            if (!group) return null;
+            
+            return {
+                id: group.id,
+                memberCount: group.members.length,
+                leaderId: group.leaderId,
+                age: date.ticksElapsed - group.createdTick
+            };
+        }
+    };
+
+    // ===========================================
+    // GUEST GENERATION HOOK
+    // ===========================================
+    var GuestGenerationHandler = {
+        onGuestGenerated: function(guestId) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            
+            var data = PersonalityStore.getGuestData(guestId, true);
+            GuestScheduler.enqueue(guestId, true);
+            
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] New guest ' + guestId + ' (' + data.archetype + ') created with traits: ' +
+                    'ThrillSeeker=' + data.traits.thrillSeeker +
+                    ', Social=' + data.traits.social +
+                    ', Patient=' + data.traits.patient);
+            }
+            
+            try {
+                var guest = map.getEntity(guestId);
+                if (guest && guest.type === 'guest') {
+                    if (data.traits.energetic > 170) {
+                        guest.energy = Math.min(255, guest.energy + 20);
+                        guest.energyTarget = Math.min(255, guest.energyTarget + 20);
+                    }
+                    
+                    if (data.traits.patient > 170) {
+                        guest.happinessTarget = Math.min(255, guest.happinessTarget + 10);
+                    }
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error applying initial modifiers: ' + e);
+                }
+            }
+        }
+    };
+
+    // ===========================================
+    // MAIN PROCESSING SYSTEM
+    // ===========================================
+    var PersonalityProcessor = {
+        tickCounter: 0,
+        moodTickCounter: 0,
+        socialTickCounter: 0,
+        rideTickCounter: 0,
+        cleanupTickCounter: 0,
+
+        statistics: {
+            guestsProcessed: 0,
+            personalitiesCreated: 0,
+            modsApplied: 0,
+            groupsFormed: 0,
+            behaviorChanges: 0,
+            ridesRecorded: 0,
+            contagionEvents: 0,
+            queuesAbandoned: 0,
+            lastFrameTime: 0,
+            avgFrameTime: 0,
+            ticksProcessed: 0
+        },
+
+        initialize: function() {
+            PersonalityStore.clear();
+            GuestScheduler.reset();
+            SpatialIndex.reset();
+            CrowdingMap.reset();
+            PerformanceMonitor.reset();
+            this.tickCounter = 0;
+            this.moodTickCounter = 0;
+            this.socialTickCounter = 0;
+            this.rideTickCounter = 0;
+            this.cleanupTickCounter = 0;
+            this.resetStatistics();
+            RidePreferenceSystem.reset();
+            GuestSteering.reset();
+            RideCategoryResolver.reset();
+            ParkAppealSystem.reset();
+            StatisticsHistory.reset();
+            SyncManager.reset();
+            NeedsSimulation.reset();
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] System initialized');
+            }
+        },
+
+        resetStatistics: function() {
+            this.statistics = {
+                guestsProcessed: 0,
+                personalitiesCreated: 0,
+                moodUpdates: 0,
+                behaviorChanges: 0,
+                groupsFormed: 0,
+                ridesRecorded: 0,
+                queuesAbandoned: 0,
+                contagionEvents: 0,
+                lastFrameTime: 0,
+                avgFrameTime: 0,
+                ticksProcessed: 0
+            };
+        },
+
+        onTick: function() {
+            if (!CONFIG.enabled) return;
+            if (!NetworkHelper.canModifyGameState()) return;
+
+            var sectionStart;
+            this.tickCounter++;
+            this.moodTickCounter++;
+            this.socialTickCounter++;
+            this.rideTickCounter++;
+            this.cleanupTickCounter++;
+
+            if (this.tickCounter >= CONFIG.updateInterval) {
+                this.tickCounter = 0;
+                this.processGuests();
+            }
+
+            if (this.moodTickCounter >= CONFIG.moodDecayInterval) {
+                this.moodTickCounter = 0;
+                this.processMoodDecay();
+            }
+
+            if (this.socialTickCounter >= CONFIG.socialUpdateInterval) {
+                this.socialTickCounter = 0;
+                sectionStart = PerformanceMonitor.beginSection();
+                SocialSystem.updateGroups();
+                this.statistics.contagionEvents += SocialSystem.spreadMoods();
+                PerformanceMonitor.endSection('social', sectionStart);
+            }
+
+            if (this.rideTickCounter >= CONFIG.rideTrackingInterval) {
+                this.rideTickCounter = 0;
+                sectionStart = PerformanceMonitor.beginSection();
+                this.statistics.ridesRecorded += RidePreferenceSystem.trackRideCompletions();
+                PerformanceMonitor.endSection('rides', sectionStart);
+            }
+
+            if (this.cleanupTickCounter >= 500) {
+                this.cleanupTickCounter = 0;
+                sectionStart = PerformanceMonitor.beginSection();
+                PersonalityStore.cleanupOldData();
+                PerformanceMonitor.endSection('cleanup', sectionStart);
+            }
+
+            if (MoodSystem.reevaluation) {
+                sectionStart = PerformanceMonitor.beginSection();
+                MoodSystem.continueReevaluation();
+                PerformanceMonitor.endSection('mood', sectionStart);
+            }
+
+            ParkAppealSystem.update();
+            StatisticsHistory.update();
+            CrowdingMap.update();
+            SyncManager.update();
+
+            this.statistics.ticksProcessed++;
+        },
+
+        processGuests: function() {
+            PerformanceMonitor.startFrame();
+            GuestScheduler.update();
+
+            var guestId;
+
+            // Guests whose needs changed go first, within the frame budget
+            var priorityVisits = 0;
+            var rate = PerformanceMonitor.getGuestsPerUpdate();
+            while (priorityVisits < rate && !PerformanceMonitor.isOverBudget()) {
+                guestId = GuestScheduler.nextPriority();
+                if (guestId === null) break;
+                if (this.visitGuest(guestId)) priorityVisits++;
+            }
+
+            // The required share of the round-robin always runs so no guest goes stale
+            // for longer than maxGuestStalenessTicks; the rest is limited by the budget.
+            var required = GuestScheduler.getRequiredVisits();
+            var processed = 0;
+            var attempts = GuestScheduler.queue.length;
+            while (attempts-- > 0) {
+                if (processed >= required &&
+                    (processed >= rate || PerformanceMonitor.isOverBudget())) {
+                    break;
+                }
+
+                guestId = GuestScheduler.nextRoundRobin();
+                if (guestId === null) break;
+                if (this.visitGuest(guestId)) processed++;
+            }
+
+            var frameTime = PerformanceMonitor.endFrame();
+            this.statistics.lastFrameTime = frameTime;
+            this.statistics.avgFrameTime = PerformanceMonitor.getAverageFrameTime();
+            PerformanceMonitor.adjustProcessingRate();
+        },
+
+        visitGuest: function(guestId) {
+            var guest;
+            try {
+                guest = map.getEntity(guestId);
+            } catch (e) {
+                guest = null;
+            }
+
+            if (!guest || guest.type !== 'guest') {
+                GuestScheduler.remove(guestId);
+                return false;
+            }
+
+            try {
+                this.processGuest(guest);
+                GuestScheduler.markVisited(guestId);
+                PerformanceMonitor.recordUnit();
+                this.statistics.guestsProcessed++;
+                return true;
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error processing guest: ' + e);
+                }
+                return false;
+            }
+        },
+
+        processGuest: function(guest) {
+            var guestId = guest.id;
+            if (guestId === null) return;
+
+            if (!PersonalityStore.hasGuestData(guestId)) {
+                PersonalityStore.getGuestData(guestId);
+                this.statistics.personalitiesCreated++;
+            }
+
+            var sectionStart = PerformanceMonitor.beginSection();
+            MoodSystem.updateMood(guestId, guest);
+            PerformanceMonitor.endSection('mood', sectionStart);
+
+            sectionStart = PerformanceMonitor.beginSection();
+            BehaviorSystem.updateBehavior(guestId, guest);
+
+            var data = PersonalityStore.getGuestData(guestId);
+            if (data) {
+                data.memory.timeInPark = date.ticksElapsed - data.createdTick;
+                ShoppingSystem.trackPurchases(guest, data);
+                var queueRideId = GuestSteering.getQueueRideId(guest);
+                if (QueueSystem.updateQueue(guest, data, queueRideId)) {
+                    this.statistics.queuesAbandoned++;
+                }
+                CrowdingMap.reactToCrowding(guest, data);
+            }
+            PerformanceMonitor.endSection('behavior', sectionStart);
+
+            if (data) {
+                sectionStart = PerformanceMonitor.beginSection();
+                NeedsSimulation.update(guest, data);
+                PerformanceMonitor.endSection('needs', sectionStart);
+            }
+        },
+
+        processMoodDecay: function() {
+            MoodSystem.checkWeatherEvents();
+            
+            for (var guestId in PersonalityStore.guests) {
+                if (PersonalityStore.guests.hasOwnProperty(guestId)) {
+                    var data = PersonalityStore.guests[guestId];
+                    
+                    MoodSystem.decayEmotions(data);
+                    
+                    if (data.mood.intensity !== 128) {
+                        var decay = data.mood.intensity > 128 ? -1 : 1;
+                        data.mood.intensity = Math.max(0, Math.min(255, data.mood.intensity + decay));
+                    }
+                }
+            }
+        },
+
+        getStatistics: function() {
+            var storeStats = PersonalityStore.getStats();
+            return {
+                guestsProcessed: this.statistics.guestsProcessed,
+                personalitiesCreated: this.statistics.personalitiesCreated,
+                trackedGuests: storeStats.totalGuests,
+                activeGroups: storeStats.totalGroups,
+                avgFrameTime: this.statistics.avgFrameTime.toFixed(2),
+                lastFrameTime: this.statistics.lastFrameTime.toFixed(2),
+                guestsPerUpdate: PerformanceMonitor.getGuestsPerUpdate(),
+                guestCostMs: PerformanceMonitor.getUnitCostMs(),
+                highResolutionTimer: PerformanceMonitor.hasHighResolutionClock(),
+                subsystemTimings: PerformanceMonitor.getSectionTimings(),
+                ticksProcessed: this.statistics.ticksProcessed,
+                ridesRecorded: this.statistics.ridesRecorded,
+                archetypeCounts: storeStats.archetypeCounts,
+                traitCorrelations: storeStats.traitCorrelations,
+                queuesAbandoned: this.statistics.queuesAbandoned,
+                contagionEvents: this.statistics.contagionEvents,
+                staleness: GuestScheduler.getStalenessStats(),
+                crowding: CrowdingMap.getSummary(),
+                parkAppeal: ParkAppealSystem.getSummary(),
+                needsSimulation: NeedsSimulation.getSummary(),
+                departures: DepartureModel.getSummary(),
+                averageTraits: storeStats.averageTraits
+            };
+        }
+    };
+
+    // ===========================================
+    // STATISTICS HISTORY
+    // ===========================================
+    var StatisticsHistory = {
+        samples: [],
+        head: 0,
+        count: 0,
+        capacity: 0,
+        tickCounter: 0,
+
+        reset: function() {
+            this.capacity = Math.max(2, CONFIG.historySamples);
+            this.samples = new Array(this.capacity);
+            this.head = 0;
+            this.count = 0;
+            this.tickCounter = 0;
+        },
+
+        // Spread the configured sample count across the retention window
+        getSampleInterval: function() {
+            return Math.max(1, Math.ceil(CONFIG.statisticsRetentionTicks / Math.max(2, CONFIG.historySamples)));
+        },
+
+        update: function() {
+            if (!CONFIG.statisticsEnabled) return;
+
+            this.tickCounter++;
+            if (this.tickCounter < this.getSampleInterval()) return;
+            this.tickCounter = 0;
+
+            this.record(this.takeSample());
+        },
+
+        takeSample: function() {
+            var storeStats = PersonalityStore.getStats();
+            var totalHappiness = 0;
+            var guestCount = 0;
+
+            try {
+                var guests = map.getAllEntities('guest');
+                for (var i = 0; i < guests.length; i++) {
+                    totalHappiness += guests[i].happiness;
+                    guestCount++;
+                }
+            } catch (e) {}
+
+            return {
+                tick: date.ticksElapsed,
+                moods: UIManager.calculateMoodDistribution(),
+                traits: storeStats.averageTraits,
+                trackedGuests: storeStats.totalGuests,
+                groups: storeStats.totalGroups,
+                happiness: guestCount > 0 ? Math.round(totalHappiness / guestCount) : 0,
+                frameTime: Math.round(PerformanceMonitor.getAverageFrameTime() * 100) / 100
+            };
+        },
+
+        record: function(sample) {
+            if (this.capacity !== Math.max(2, CONFIG.historySamples)) {
+                this.reset();
+            }
+
+            this.samples[this.head] = sample;
+            this.head = (this.head + 1) % this.capacity;
+            this.count = Math.min(this.count + 1, this.capacity);
+        },
+
+        // Oldest first
+        getSamples: function() {
+            var ordered = [];
+            var start = (this.head - this.count + this.capacity) % this.capacity;
+            for (var i = 0; i < this.count; i++) {
+                ordered.push(this.samples[(start + i) % this.capacity]);
+            }
+            return ordered;
+        },
+
+        getSeries: function() {
+            var series = [
+                { name: 'Mood Distribution', stacked: true },
+                { name: 'Average Happiness', key: 'happiness', max: 255 },
+                { name: 'Tracked Guests', key: 'trackedGuests' },
+                { name: 'Social Groups', key: 'groups' },
+                { name: 'Frame Time (ms)', key: 'frameTime' }
+            ];
+
+            for (var trait in TRAIT_DISPLAY_NAMES) {
+                if (TRAIT_DISPLAY_NAMES.hasOwnProperty(trait)) {
+                    series.push({ name: 'Avg ' + TRAIT_DISPLAY_NAMES[trait], trait: trait, max: 255 });
+                }
+            }
+
+            return series;
+        },
+
+        getValue: function(sample, series) {
+            if (series.trait) {
+                return sample.traits[series.trait] || 0;
+            }
+            return sample[series.key] || 0;
+        }
+    };
+
+    // ===========================================
+    // DATA EXPORT
+    // ===========================================
+    var DataExporter = {
+        storageKey: 'GuestPersonalityExpander.lastExport',
+        lastExport: null,
+
+        buildSnapshot: function() {
+            var parkName = '';
+            try {
+                parkName = park.name;
+            } catch (e) {}
+
+            return {
+                pluginVersion: '1.0.1',
+                parkName: parkName,
+                exportedTick: date.ticksElapsed,
+                gameDate: { year: date.year, month: date.month, day: date.day },
+                statistics: PersonalityProcessor.getStatistics(),
+                moodDistribution: UIManager.calculateMoodDistribution(),
+                store: PersonalityStore.serialize()
+            };
+        },
+
+        getCsvColumns: function() {
+            return ['guestId', 'name', 'archetype'].concat(Object.keys(TRAIT_DISPLAY_NAMES)).concat([
+                'mood', 'moodIntensity', 'behavior', 'groupId', 'isLeader', 'ridesRidden',
+                'favoriteRide', 'totalSpent', 'itemsBought', 'queuesAbandoned', 'timeInPark', 'createdTick',
+                'satisfaction', 'leaveReason'
+            ]);
+        },
+
+        buildCsv: function() {
+            var traitKeys = Object.keys(TRAIT_DISPLAY_NAMES);
+            var lines = [this.getCsvColumns().join(',')];
+
+            for (var guestId in PersonalityStore.guests) {
+                if (!PersonalityStore.guests.hasOwnProperty(guestId)) continue;
+                var data = PersonalityStore.guests[guestId];
+
+                var name = '';
+                try {
+                    var guest = map.getEntity(data.id);
+                    if (guest && guest.type === 'guest') {
+                        name = guest.name;
+                    }
+                } catch (e) {}
+
+                var ridesRidden = 0;
+                for (var rideId in data.memory.ridesRidden) {
+                    if (data.memory.ridesRidden.hasOwnProperty(rideId)) {
+                        ridesRidden += data.memory.ridesRidden[rideId].timesRidden;
+                    }
+                }
+
+                var row = [data.id, name, data.archetype || 'casual'];
+                for (var i = 0; i < traitKeys.length; i++) {
+                    row.push(data.traits[traitKeys[i]]);
+                }
+                row.push(
+                    data.mood.current,
+                    data.mood.intensity,
+                    data.behavior.current,
+                    data.social.groupId === null ? '' : data.social.groupId,
+                    data.social.isLeader,
+                    ridesRidden,
+                    data.memory.favoriteRide === null ? '' : UIManager.getRideName(data.memory.favoriteRide),
+                    data.memory.totalSpent,
+                    data.memory.itemsBought.length,
+                    Object.keys(data.memory.abandonedQueues).length,
+                    data.memory.timeInPark,
+                    data.createdTick,
+                    Math.round(data.departure.satisfaction),
+                    data.departure.reason || ''
+                );
+
+                lines.push(this.toCsvRow(row));
+            }
+
+            return lines.join('\n');
+        },
+
+        toCsvRow: function(values) {
+            var cells = [];
+            for (var i = 0; i < values.length; i++) {
+                var cell = values[i] === undefined || values[i] === null ? '' : String(values[i]);
+                if (/[",\n]/.test(cell)) {
+                    cell = '"' + cell.replace(/"/g, '""') + '"';
+                }
+                cells.push(cell);
+            }
+            return cells.join(',');
+        },
+
+        exportAll: function() {
+            var snapshot = this.buildSnapshot();
+            this.lastExport = {
+                exportedTick: snapshot.exportedTick,
+                guestCount: snapshot.statistics.trackedGuests,
+                json: JSON.stringify(snapshot),
+                csv: this.buildCsv()
+            };
+
+            try {
+                context.sharedStorage.set(this.storageKey, this.lastExport);
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error writing export to shared storage: ' + e);
+                }
+            }
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Exported ' + this.lastExport.guestCount + ' guests (' +
+                    this.lastExport.json.length + ' bytes JSON, ' + this.lastExport.csv.length + ' bytes CSV)');
+            }
+
+            return this.lastExport;
+        }
+    };
+
+    // ===========================================
+    // UI MANAGER
+    // ===========================================
+    var UIManager = {
+        mainWindow: null,
+        detailWindow: null,
+        windowId: 'guest-personality-expander-v1',
+        detailWindowId: 'guest-personality-detail-v1',
+        crowdingWindow: null,
+        crowdingWindowId: 'guest-personality-crowding-v1',
+        crowdingInterval: null,
+        crowdingHotspots: [],
+        exportWindow: null,
+        exportWindowId: 'guest-personality-export-v1',
+        exportFormat: 'json',
+        profileWindow: null,
+        profileWindowId: 'guest-personality-profile-v1',
+        profileText: '',
+        historySeries: 0,
+        moodStatus: '',
+        detailGuestId: null,
+        detailInterval: null,
+        pickerToolId: 'guest-personality-picker',
+        selectedGuestId: null,
+        currentTab: 0,
+
+        openWindow: function() {
+            this.closeWindow();
+
+            var self = this;
+            var windowWidth = 520;
+            var windowHeight = 500;
+
+            var pad = 10;
+            var innerWidth = windowWidth - (pad * 2);
+            var tabY = 18;
+            var tabHeight = 14;
+            var tabSpacing = 5;
+            var tabWidth = Math.floor((innerWidth - tabSpacing * 6) / 7);
+
+            var widgets = [];
+
+            // Tab buttons - using proper spacing
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_main',
+                x: pad,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Overview',
+                isPressed: this.currentTab === 0,
+                onClick: function() { self.switchTab(0); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_settings',
+                x: pad + tabWidth + tabSpacing,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Settings',
+                isPressed: this.currentTab === 1,
+                onClick: function() { self.switchTab(1); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_stats',
+                x: pad + (tabWidth + tabSpacing) * 2,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Statistics',
+                isPressed: this.currentTab === 2,
+                onClick: function() { self.switchTab(2); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_debug',
+                x: pad + (tabWidth + tabSpacing) * 3,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Debug',
+                isPressed: this.currentTab === 3,
+                onClick: function() { self.switchTab(3); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_population',
+                x: pad + (tabWidth + tabSpacing) * 4,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Population',
+                isPressed: this.currentTab === 4,
+                onClick: function() { self.switchTab(4); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_history',
+                x: pad + (tabWidth + tabSpacing) * 5,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'History',
+                isPressed: this.currentTab === 5,
+                onClick: function() { self.switchTab(5); }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_tab_mood',
+                x: pad + (tabWidth + tabSpacing) * 6,
+                y: tabY,
+                width: tabWidth,
+                height: tabHeight,
+                text: 'Mood',
+                isPressed: this.currentTab === 6,
+                onClick: function() { self.switchTab(6); }
+            });
+
+            // Content starts after tabs
+            var contentY = tabY + tabHeight + 8;
+
+            // Network Status Group (always visible)
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_network',
+                x: pad,
+                y: contentY,
+                width: innerWidth,
+                height: 52,
+                text: 'Network Status'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_netmode',
+                x: pad + 8,
+                y: contentY + 16,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Mode: ' + NetworkHelper.getModeString()
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_netperm',
+                x: pad + 8,
+                y: contentY + 30,
+                width: innerWidth - 16,
+                height: 12,
+                text: this.getPermissionText()
+            });
+
+            contentY += 60;
+
+            // Tab-specific content
+            if (this.currentTab === 0) {
+                widgets = widgets.concat(this.createOverviewWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 1) {
+                widgets = widgets.concat(this.createSettingsWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 2) {
+                widgets = widgets.concat(this.createStatisticsWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 3) {
+                widgets = widgets.concat(this.createDebugWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 4) {
+                widgets = widgets.concat(this.createPopulationWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 5) {
+                widgets = widgets.concat(this.createHistoryWidgets(contentY, pad, innerWidth));
+            } else if (this.currentTab === 6) {
+                widgets = widgets.concat(this.createMoodWidgets(contentY, pad, innerWidth));
+            }
+
+            this.mainWindow = ui.openWindow({
+                classification: this.windowId,
+                title: 'Guest Personality & Behavior Expander v1.0',
+                x: Math.floor((ui.width - windowWidth) / 2),
+                y: Math.floor((ui.height - windowHeight) / 2),
+                width: windowWidth,
+                height: windowHeight,
+                widgets: widgets,
+                onClose: function() {
+                    self.mainWindow = null;
+                }
+            });
+
+            this.startStatisticsUpdate();
+        },
+
+        createOverviewWidgets: function(startY, pad, innerWidth) {
+            var widgets = [];
+            var y = startY;
+            var halfWidth = Math.floor((innerWidth - 10) / 2);
+
+            // System Status Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_status',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 70,
+                text: 'System Status'
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_enabled',
+                x: pad + 8,
+                y: y + 18,
+                width: halfWidth,
+                height: 15,
+                text: 'System Enabled',
+                isChecked: CONFIG.enabled,
+                onChange: function(checked) {
+                    SettingsManager.set('enabled', checked);
+                    if (checked) {
+                        PersonalityProcessor.initialize();
+                    }
+                }
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_frame',
+                x: pad + halfWidth + 18,
+                y: y + 18,
+                width: halfWidth,
+                height: 12,
+                text: 'Frame: 0.00ms'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_tracked',
+                x: pad + 8,
+                y: y + 36,
+                width: halfWidth,
+                height: 12,
+                text: 'Tracked Guests: 0'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_groups',
+                x: pad + halfWidth + 18,
+                y: y + 36,
+                width: halfWidth,
+                height: 12,
+                text: 'Active Groups: 0'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_processing',
+                x: pad + 8,
+                y: y + 52,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Processing Rate: 0 guests/tick'
+            });
+
+            y += 78;
+
+            // Quick Settings Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_quick',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 90,
+                text: 'Quick Settings'
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_mood',
+                x: pad + 8,
+                y: y + 18,
+                width: halfWidth,
+                height: 15,
+                text: 'Mood System',
+                isChecked: true,
+                onChange: function(checked) { }
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_social',
+                x: pad + halfWidth + 18,
+                y: y + 18,
+                width: halfWidth,
+                height: 15,
+                text: 'Social Behavior',
+                isChecked: CONFIG.socialBehaviorEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('socialBehaviorEnabled', checked);
+                }
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_weather',
+                x: pad + 8,
+                y: y + 36,
+                width: halfWidth,
+                height: 15,
+                text: 'Weather Reactions',
+                isChecked: CONFIG.weatherReactionsEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('weatherReactionsEnabled', checked);
+                }
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_rides',
+                x: pad + halfWidth + 18,
+                y: y + 36,
+                width: halfWidth,
+                height: 15,
+                text: 'Ride Preferences',
+                isChecked: CONFIG.ridePreferencesEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('ridePreferencesEnabled', checked);
+                }
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_shopping',
+                x: pad + 8,
+                y: y + 54,
+                width: halfWidth,
+                height: 15,
+                text: 'Shopping Behavior',
+                isChecked: CONFIG.shoppingBehaviorEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('shoppingBehaviorEnabled', checked);
+                }
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_memory',
+                x: pad + halfWidth + 18,
+                y: y + 54,
+                width: halfWidth,
+                height: 15,
+                text: 'Memory System',
+                isChecked: CONFIG.memorySystemEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('memorySystemEnabled', checked);
+                }
+            });
+
+            y += 98;
+
+            // Average Traits Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_traits',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 140,
+                text: 'Average Guest Traits'
+            });
+
+            var traitLabels = [
+                'Thrill Seeker', 'Social', 'Patient', 'Frugal',
+                'Hungry', 'Adventurous', 'Nervous', 'Energetic',
+                'Romantic', 'Foodie', 'Collector', 'Photographer'
+            ];
+
+            var traitY = y + 18;
+            var col1X = pad + 8;
+            var col2X = pad + halfWidth + 18;
+
+            for (var i = 0; i < traitLabels.length; i++) {
+                var traitX = (i % 2 === 0) ? col1X : col2X;
+                var traitRow = Math.floor(i / 2);
+
+                widgets.push({
+                    type: 'label',
+                    name: 'lbl_trait_' + i,
+                    x: traitX,
+                    y: traitY + (traitRow * 18),
+                    width: halfWidth - 8,
+                    height: 12,
+                    text: traitLabels[i] + ': ---'
+                });
+            }
+
+            y += 148;
+
+            // Action Buttons
+            widgets.push({
+                type: 'button',
+                name: 'btn_reset',
+                x: pad,
+                y: y,
+                width: Math.floor(innerWidth / 3) - 5,
+                height: 20,
+                text: 'Reset Stats',
+                onClick: function() {
+                    PersonalityProcessor.resetStatistics();
+                }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_clear',
+                x: pad + Math.floor(innerWidth / 3),
+                y: y,
+                width: Math.floor(innerWidth / 3) - 5,
+                height: 20,
+                text: 'Clear Data',
+                onClick: function() {
+                    PersonalityStore.clear();
+                    PersonalityProcessor.resetStatistics();
+                }
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_reinit',
+                x: pad + Math.floor(innerWidth / 3) * 2,
+                y: y,
+                width: Math.floor(innerWidth / 3) - 5,
+                height: 20,
+                text: 'Reinitialize',
+                onClick: function() {
+                    PersonalityProcessor.initialize();
+                }
+            });
+
+            return widgets;
+        },
+
+        createSettingsWidgets: function(startY, pad, innerWidth) {
+            var widgets = [];
+            var self = this;
+            var y = startY;
+            var halfWidth = Math.floor((innerWidth - 10) / 2);
+
+            // Performance Settings Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_perf',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 90,
+                text: 'Performance Settings'
+            });
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_adaptive',
+                x: pad + 8,
+                y: y + 18,
+                width: innerWidth - 16,
+                height: 15,
+                text: 'Adaptive Performance (auto-adjust processing rate)',
+                isChecked: CONFIG.adaptivePerformance,
+                onChange: function(checked) {
+                    SettingsManager.set('adaptivePerformance', checked);
+                    self.updateProfileDropdown();
+                }
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_budget',
+                x: pad + 8,
+                y: y + 38,
+                width: 140,
+                height: 12,
+                text: 'Frame Budget (ms):'
+            });
+
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_budget',
+                x: pad + 150,
+                y: y + 36,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('frameBudgetMs'),
+                onIncrement: function() {
+                    self.stepSetting('spn_budget', 'frameBudgetMs', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_budget', 'frameBudgetMs', -1);
+                }
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_interval',
+                x: pad + 8,
+                y: y + 58,
+                width: 140,
+                height: 12,
+                text: 'Update Interval:'
+            });
+
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_interval',
+                x: pad + 150,
+                y: y + 56,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('updateInterval'),
+                onIncrement: function() {
+                    self.stepSetting('spn_interval', 'updateInterval', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_interval', 'updateInterval', -1);
+                }
+            });
+
+            y += 98;
+
+            // Personality Settings Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_personality',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 70,
+                text: 'Personality Settings'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_variation',
+                x: pad + 8,
+                y: y + 18,
+                width: 140,
+                height: 12,
+                text: 'Trait Variation:'
+            });
+
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_variation',
+                x: pad + 150,
+                y: y + 16,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('personalityVariation'),
+                onIncrement: function() {
+                    self.stepSetting('spn_variation', 'personalityVariation', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_variation', 'personalityVariation', -1);
+                }
+            });
 
-            while (processed < CONFIG.maxGuestsPerTick && !PerformanceMonitor.isOverBudget()) {
-                var guest = guests[this.guestIndex % guestCount];
-                this.guestIndex = (this.guestIndex + 1) % guestCount;
+            widgets.push({
+                type: 'label',
+                name: 'lbl_mood_strength',
+                x: pad + 8,
+                y: y + 38,
+                width: 140,
+                height: 12,
+                text: 'Mood Influence:'
+            });
 
-                if (guest && guest.type === 'guest' && guest.id !== null) {
-                    try {
-                        this.processGuest(guest);
-                        processed++;
-                        this.statistics.guestsProcessed++;
-                    } catch (e) {
-                        if (CONFIG.debugMode) {
-                            console.log('[PersonalityExpander] Error processing guest: ' + e);
-                        }
-                    }
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_mood_strength',
+                x: pad + 150,
+                y: y + 36,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('moodInfluenceStrength'),
+                onIncrement: function() {
+                    self.stepSetting('spn_mood_strength', 'moodInfluenceStrength', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_mood_strength', 'moodInfluenceStrength', -1);
                 }
+            });
 
-                processed++;
-            }
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_needs',
+                x: pad + 270,
+                y: y + 16,
+                width: innerWidth - 278,
+                height: 15,
+                text: 'Needs Simulation',
+                isChecked: CONFIG.needsSimulationEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('needsSimulationEnabled', checked);
+                    self.updateProfileDropdown();
+                }
+            });
 
-            var frameTime = PerformanceMonitor.endFrame();
-            this.statistics.lastFrameTime = frameTime;
-            this.statistics.avgFrameTime = PerformanceMonitor.getAverageFrameTime();
-            PerformanceMonitor.adjustProcessingRate();
-        },
+            widgets.push({
+                type: 'label',
+                name: 'lbl_needs_strength',
+                x: pad + 270,
+                y: y + 38,
+                width: 100,
+                height: 12,
+                text: 'Needs Strength:'
+            });
 
-        processGuest: function(guest) {
-            var guestId = guest.id;
-            if (guestId === null) return;
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_needs_strength',
+                x: pad + 372,
+                y: y + 36,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('needsSimulationStrength'),
+                onIncrement: function() {
+                    self.stepSetting('spn_needs_strength', 'needsSimulationStrength', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_needs_strength', 'needsSimulationStrength', -1);
+                }
+            });
 
-            if (!PersonalityStore.hasGuestData(guestId)) {
-                PersonalityStore.getGuestData(guestId);
-                this.statistics.personalitiesCreated++;
-            }
+            y += 78;
 
-            MoodSystem.updateMood(guestId, guest);
-            BehaviorSystem.updateBehavior(guestId, guest);
+            // Social Settings Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_social_settings',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 70,
+                text: 'Social Settings'
+            });
 
-            var data = PersonalityStore.getGuestData(guestId);
-            if (data) {
-                data.memory.timeInPark = date.ticksElapsed - data.createdTick;
-            }
-        },
+            widgets.push({
+                type: 'label',
+                name: 'lbl_social_radius',
+                x: pad + 8,
+                y: y + 18,
+                width: 140,
+                height: 12,
+                text: 'Social Radius:'
+            });
 
-        processMoodDecay: function() {
-            for (var guestId in PersonalityStore.guests) {
-                if (PersonalityStore.guests.hasOwnProperty(guestId)) {
-                    var data = PersonalityStore.guests[guestId];
-                    
-                    if (data.mood.intensity !== 128) {
-                        var decay = data.mood.intensity > 128 ? -1 : 1;
-                        data.mood.intensity = Math.max(0, Math.min(255, data.mood.intensity + decay));
-                    }
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_social_radius',
+                x: pad + 150,
+                y: y + 16,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('socialInfluenceRadius'),
+                onIncrement: function() {
+                    self.stepSetting('spn_social_radius', 'socialInfluenceRadius', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_social_radius', 'socialInfluenceRadius', -1);
                 }
-            }
-        },
+            });
 
-        getStatistics: function() {
-            var storeStats = PersonalityStore.getStats();
-            return {
-                guestsProcessed: this.statistics.guestsProcessed,
-                personalitiesCreated: this.statistics.personalitiesCreated,
-                trackedGuests: storeStats.totalGuests,
-                activeGroups: storeStats.totalGroups,
-                avgFrameTime: this.statistics.avgFrameTime.toFixed(2),
-                lastFrameTime: this.statistics.lastFrameTime.toFixed(2),
-                ticksProcessed: this.statistics.ticksProcessed,
-                averageTraits: storeStats.averageTraits
-            };
-        }
-    };
+            widgets.push({
+                type: 'label',
+                name: 'lbl_group_chance',
+                x: pad + 8,
+                y: y + 38,
+                width: 140,
+                height: 12,
+                text: 'Group Formation:'
+            });
 
-    // ===========================================
-    // UI MANAGER
-    // ===========================================
-    var UIManager = {
-        mainWindow: null,
-        detailWindow: null,
-        windowId: 'guest-personality-expander-v1',
-        detailWindowId: 'guest-personality-detail-v1',
-        selectedGuestId: null,
-        currentTab: 0,
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_group_chance',
+                x: pad + 150,
+                y: y + 36,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('groupFormationChance'),
+                onIncrement: function() {
+                    self.stepSetting('spn_group_chance', 'groupFormationChance', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_group_chance', 'groupFormationChance', -1);
+                }
+            });
 
-        openWindow: function() {
-            this.closeWindow();
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_departure',
+                x: pad + 270,
+                y: y + 16,
+                width: innerWidth - 278,
+                height: 15,
+                text: 'Departure Model',
+                isChecked: CONFIG.departureEnabled,
+                onChange: function(checked) {
+                    SettingsManager.set('departureEnabled', checked);
+                    self.updateProfileDropdown();
+                }
+            });
 
-            var self = this;
-            var windowWidth = 450;
-            var windowHeight = 500;
+            widgets.push({
+                type: 'label',
+                name: 'lbl_departure_threshold',
+                x: pad + 270,
+                y: y + 38,
+                width: 100,
+                height: 12,
+                text: 'Leave Threshold:'
+            });
 
-            var pad = 10;
-            var innerWidth = windowWidth - (pad * 2);
-            var tabY = 18;
-            var tabHeight = 14;
-            var tabWidth = 100;
-            var tabSpacing = 5;
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_departure_threshold',
+                x: pad + 372,
+                y: y + 36,
+                width: 100,
+                height: 15,
+                text: self.formatSetting('departureThreshold'),
+                onIncrement: function() {
+                    self.stepSetting('spn_departure_threshold', 'departureThreshold', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_departure_threshold', 'departureThreshold', -1);
+                }
+            });
 
-            var widgets = [];
+            y += 78;
 
-            // Tab buttons - using proper spacing
+            // Mood Thresholds Group
             widgets.push({
-                type: 'button',
-                name: 'btn_tab_main',
+                type: 'groupbox',
+                name: 'grp_thresholds',
                 x: pad,
-                y: tabY,
-                width: tabWidth,
-                height: tabHeight,
-                text: 'Overview',
-                isPressed: this.currentTab === 0,
-                onClick: function() { self.switchTab(0); }
+                y: y,
+                width: innerWidth,
+                height: 90,
+                text: 'Mood Thresholds'
             });
 
             widgets.push({
-                type: 'button',
-                name: 'btn_tab_settings',
-                x: pad + tabWidth + tabSpacing,
-                y: tabY,
-                width: tabWidth,
-                height: tabHeight,
-                text: 'Settings',
-                isPressed: this.currentTab === 1,
-                onClick: function() { self.switchTab(1); }
+                type: 'label',
+                name: 'lbl_happy_thresh',
+                x: pad + 8,
+                y: y + 18,
+                width: 100,
+                height: 12,
+                text: 'Happy:'
             });
 
             widgets.push({
-                type: 'button',
-                name: 'btn_tab_stats',
-                x: pad + (tabWidth + tabSpacing) * 2,
-                y: tabY,
-                width: tabWidth,
-                height: tabHeight,
-                text: 'Statistics',
-                isPressed: this.currentTab === 2,
-                onClick: function() { self.switchTab(2); }
+                type: 'spinner',
+                name: 'spn_happy_thresh',
+                x: pad + 110,
+                y: y + 16,
+                width: 80,
+                height: 15,
+                text: self.formatSetting('happyMoodThreshold'),
+                onIncrement: function() {
+                    self.stepSetting('spn_happy_thresh', 'happyMoodThreshold', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_happy_thresh', 'happyMoodThreshold', -1);
+                }
             });
 
             widgets.push({
-                type: 'button',
-                name: 'btn_tab_debug',
-                x: pad + (tabWidth + tabSpacing) * 3,
-                y: tabY,
-                width: tabWidth,
-                height: tabHeight,
-                text: 'Debug',
-                isPressed: this.currentTab === 3,
-                onClick: function() { self.switchTab(3); }
+                type: 'label',
+                name: 'lbl_neutral_thresh',
+                x: pad + 8,
+                y: y + 38,
+                width: 100,
+                height: 12,
+                text: 'Neutral:'
             });
 
-            // Content starts after tabs
-            var contentY = tabY + tabHeight + 8;
-
-            // Network Status Group (always visible)
             widgets.push({
-                type: 'groupbox',
-                name: 'grp_network',
-                x: pad,
-                y: contentY,
-                width: innerWidth,
-                height: 52,
-                text: 'Network Status'
+                type: 'spinner',
+                name: 'spn_neutral_thresh',
+                x: pad + 110,
+                y: y + 36,
+                width: 80,
+                height: 15,
+                text: self.formatSetting('neutralMoodThreshold'),
+                onIncrement: function() {
+                    self.stepSetting('spn_neutral_thresh', 'neutralMoodThreshold', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_neutral_thresh', 'neutralMoodThreshold', -1);
+                }
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_netmode',
+                name: 'lbl_sad_thresh',
                 x: pad + 8,
-                y: contentY + 16,
-                width: innerWidth - 16,
+                y: y + 58,
+                width: 100,
                 height: 12,
-                text: 'Mode: ' + NetworkHelper.getModeString()
+                text: 'Sad:'
             });
 
+            widgets.push({
+                type: 'spinner',
+                name: 'spn_sad_thresh',
+                x: pad + 110,
+                y: y + 56,
+                width: 80,
+                height: 15,
+                text: self.formatSetting('sadMoodThreshold'),
+                onIncrement: function() {
+                    self.stepSetting('spn_sad_thresh', 'sadMoodThreshold', 1);
+                },
+                onDecrement: function() {
+                    self.stepSetting('spn_sad_thresh', 'sadMoodThreshold', -1);
+                }
+            });
+
+            y += 98;
+
+            var profiles = SettingsManager.getProfiles();
+            var profileNames = ['Custom'];
+            for (var i = 0; i < profiles.length; i++) {
+                profileNames.push(profiles[i].name);
+            }
+
             widgets.push({
                 type: 'label',
-                name: 'lbl_netperm',
+                name: 'lbl_profile',
                 x: pad + 8,
-                y: contentY + 30,
-                width: innerWidth - 16,
+                y: y + 3,
+                width: 50,
                 height: 12,
-                text: 'Permissions: ' + (NetworkHelper.canModifyGameState() ? 'Full Control' : 'Read-Only')
+                text: 'Profile:'
             });
 
-            contentY += 60;
+            widgets.push({
+                type: 'dropdown',
+                name: 'dd_profile',
+                x: pad + 60,
+                y: y + 1,
+                width: innerWidth - 200,
+                height: 14,
+                items: profileNames,
+                selectedIndex: SettingsManager.getActiveProfileIndex() + 1,
+                onChange: function(index) {
+                    if (index === 0) return;
+                    var wasEnabled = CONFIG.enabled;
+                    SettingsManager.applyProfile(profiles[index - 1].settings);
+                    if (CONFIG.enabled && !wasEnabled) {
+                        PersonalityProcessor.initialize();
+                    }
+                    self.openWindow();
+                }
+            });
 
-            // Tab-specific content
-            if (this.currentTab === 0) {
-                widgets = widgets.concat(this.createOverviewWidgets(contentY, pad, innerWidth));
-            } else if (this.currentTab === 1) {
-                widgets = widgets.concat(this.createSettingsWidgets(contentY, pad, innerWidth));
-            } else if (this.currentTab === 2) {
-                widgets = widgets.concat(this.createStatisticsWidgets(contentY, pad, innerWidth));
-            } else if (this.currentTab === 3) {
-                widgets = widgets.concat(this.createDebugWidgets(contentY, pad, innerWidth));
-            }
+            widgets.push({
+                type: 'button',
+                name: 'btn_profile_io',
+                x: pad + innerWidth - 130,
+                y: y,
+                width: 130,
+                height: 18,
+                text: 'Import / Export...',
+                onClick: function() {
+                    self.openProfileWindow();
+                }
+            });
 
-            this.mainWindow = ui.openWindow({
-                classification: this.windowId,
-                title: 'Guest Personality & Behavior Expander v1.0',
-                x: Math.floor((ui.width - windowWidth) / 2),
-                y: Math.floor((ui.height - windowHeight) / 2),
-                width: windowWidth,
-                height: windowHeight,
-                widgets: widgets,
-                onClose: function() {
-                    self.mainWindow = null;
+            y += 26;
+
+            widgets.push({
+                type: 'checkbox',
+                name: 'chk_park_settings',
+                x: pad + 8,
+                y: y + 3,
+                width: innerWidth - 146,
+                height: 15,
+                text: 'Separate settings for this park',
+                isChecked: SettingsManager.hasParkOverrides(),
+                onChange: function(checked) {
+                    SettingsManager.setParkOverrides(checked);
+                    self.openWindow();
                 }
             });
 
-            this.startStatisticsUpdate();
+            widgets.push({
+                type: 'button',
+                name: 'btn_reset_settings',
+                x: pad + innerWidth - 130,
+                y: y,
+                width: 130,
+                height: 20,
+                text: 'Reset to Defaults',
+                onClick: function() {
+                    var wasEnabled = CONFIG.enabled;
+                    SettingsManager.resetToDefaults();
+                    if (CONFIG.enabled && !wasEnabled) {
+                        PersonalityProcessor.initialize();
+                    }
+                    self.openWindow();
+                }
+            });
+
+            return widgets;
         },
 
-        createOverviewWidgets: function(startY, pad, innerWidth) {
+        createStatisticsWidgets: function(startY, pad, innerWidth) {
             var widgets = [];
             var y = startY;
-            var halfWidth = Math.floor((innerWidth - 10) / 2);
 
-            // System Status Group
+            // Processing Statistics Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_status',
+                name: 'grp_proc_stats',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 70,
-                text: 'System Status'
+                height: 122,
+                text: 'Processing Statistics'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_enabled',
+                type: 'label',
+                name: 'lbl_stat_processed',
                 x: pad + 8,
                 y: y + 18,
-                width: halfWidth,
-                height: 15,
-                text: 'System Enabled',
-                isChecked: CONFIG.enabled,
-                onChange: function(checked) {
-                    CONFIG.enabled = checked;
-                    if (checked) {
-                        PersonalityProcessor.initialize();
-                    }
-                }
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Guests Processed: 0'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_frame',
-                x: pad + halfWidth + 18,
-                y: y + 18,
-                width: halfWidth,
+                name: 'lbl_stat_created',
+                x: pad + 8,
+                y: y + 34,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Frame: 0.00ms'
+                text: 'Personalities Created: 0'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_tracked',
+                name: 'lbl_stat_ticks',
                 x: pad + 8,
-                y: y + 36,
-                width: halfWidth,
+                y: y + 50,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Tracked Guests: 0'
+                text: 'Ticks Processed: 0'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_groups',
-                x: pad + halfWidth + 18,
-                y: y + 36,
-                width: halfWidth,
+                name: 'lbl_stat_rate',
+                x: pad + 8,
+                y: y + 66,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Active Groups: 0'
+                text: 'Current Rate: 0 guests/tick'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_processing',
+                name: 'lbl_stat_timing',
                 x: pad + 8,
-                y: y + 52,
+                y: y + 82,
                 width: innerWidth - 16,
                 height: 12,
-                text: 'Processing Rate: 0 guests/tick'
+                text: 'Per guest: --- | Per pass: ---'
             });
 
-            y += 78;
+            widgets.push({
+                type: 'label',
+                name: 'lbl_stat_timer',
+                x: pad + 8,
+                y: y + 98,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Timer: ---'
+            });
 
-            // Quick Settings Group
+            y += 130;
+
+            // Guest Population Statistics Group
+            var halfWidth = Math.floor((innerWidth - 10) / 2);
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_quick',
+                name: 'grp_pop_stats',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 90,
-                text: 'Quick Settings'
+                height: 70,
+                text: 'Guest Population'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_mood',
+                type: 'label',
+                name: 'lbl_pop_total',
                 x: pad + 8,
                 y: y + 18,
                 width: halfWidth,
-                height: 15,
-                text: 'Mood System',
-                isChecked: true,
-                onChange: function(checked) { }
-            });
-
-            widgets.push({
-                type: 'checkbox',
-                name: 'chk_social',
-                x: pad + halfWidth + 18,
-                y: y + 18,
-                width: halfWidth,
-                height: 15,
-                text: 'Social Behavior',
-                isChecked: CONFIG.socialBehaviorEnabled,
-                onChange: function(checked) {
-                    CONFIG.socialBehaviorEnabled = checked;
-                }
+                height: 12,
+                text: 'Total Guests in Park: 0'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_weather',
+                type: 'label',
+                name: 'lbl_pop_tracked',
                 x: pad + 8,
-                y: y + 36,
+                y: y + 34,
                 width: halfWidth,
-                height: 15,
-                text: 'Weather Reactions',
-                isChecked: CONFIG.weatherReactionsEnabled,
-                onChange: function(checked) {
-                    CONFIG.weatherReactionsEnabled = checked;
-                }
+                height: 12,
+                text: 'Tracked with Personality: 0'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_rides',
+                type: 'label',
+                name: 'lbl_pop_departures',
                 x: pad + halfWidth + 18,
-                y: y + 36,
+                y: y + 18,
                 width: halfWidth,
-                height: 15,
-                text: 'Ride Preferences',
-                isChecked: CONFIG.ridePreferencesEnabled,
-                onChange: function(checked) {
-                    CONFIG.ridePreferencesEnabled = checked;
-                }
+                height: 12,
+                text: 'Sent Home: 0'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_shopping',
-                x: pad + 8,
-                y: y + 54,
+                type: 'label',
+                name: 'lbl_pop_reasons',
+                x: pad + halfWidth + 18,
+                y: y + 34,
                 width: halfWidth,
-                height: 15,
-                text: 'Shopping Behavior',
-                isChecked: CONFIG.shoppingBehaviorEnabled,
-                onChange: function(checked) {
-                    CONFIG.shoppingBehaviorEnabled = checked;
-                }
+                height: 12,
+                text: 'No departures yet'
             });
 
             widgets.push({
-                type: 'checkbox',
-                name: 'chk_memory',
-                x: pad + halfWidth + 18,
-                y: y + 54,
-                width: halfWidth,
-                height: 15,
-                text: 'Memory System',
-                isChecked: CONFIG.memorySystemEnabled,
-                onChange: function(checked) {
-                    CONFIG.memorySystemEnabled = checked;
-                }
+                type: 'label',
+                name: 'lbl_pop_groups',
+                x: pad + 8,
+                y: y + 50,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Active Social Groups: 0'
             });
 
-            y += 98;
+            y += 78;
 
-            // Average Traits Group
+            // Mood Distribution Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_traits',
+                name: 'grp_mood_stats',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 140,
-                text: 'Average Guest Traits'
+                height: 106,
+                text: 'Mood Distribution'
             });
 
-            var traitLabels = [
-                'Thrill Seeker', 'Social', 'Patient', 'Frugal',
-                'Hungry', 'Adventurous', 'Nervous', 'Energetic',
-                'Romantic', 'Foodie', 'Collector', 'Photographer'
+            var moodLabels = [
+                'Ecstatic', 'Happy', 'Content', 'Neutral',
+                'Bored', 'Annoyed', 'Sad', 'Angry',
+                'Scared', 'Excited', 'Tired', 'Sick'
             ];
 
-            var traitY = y + 18;
-            var col1X = pad + 8;
-            var col2X = pad + halfWidth + 18;
+            var thirdWidth = Math.floor((innerWidth - 10) / 3);
+            var moodY = y + 18;
 
-            for (var i = 0; i < traitLabels.length; i++) {
-                var traitX = (i % 2 === 0) ? col1X : col2X;
-                var traitRow = Math.floor(i / 2);
+            for (var i = 0; i < moodLabels.length; i++) {
+                var moodX = pad + 8 + (i % 3) * thirdWidth;
+                var moodRow = Math.floor(i / 3);
 
                 widgets.push({
                     type: 'label',
-                    name: 'lbl_trait_' + i,
-                    x: traitX,
-                    y: traitY + (traitRow * 18),
-                    width: halfWidth - 8,
+                    name: 'lbl_mood_stat_' + i,
+                    x: moodX,
+                    y: moodY + (moodRow * 20),
+                    width: thirdWidth - 8,
                     height: 12,
-                    text: traitLabels[i] + ': ---'
+                    text: moodLabels[i] + ': 0'
                 });
             }
 
-            y += 148;
+            y += 114;
 
-            // Action Buttons
+            // Park Appeal Group
             widgets.push({
-                type: 'button',
-                name: 'btn_reset',
+                type: 'groupbox',
+                name: 'grp_appeal_stats',
                 x: pad,
                 y: y,
-                width: Math.floor(innerWidth / 3) - 5,
-                height: 20,
-                text: 'Reset Stats',
-                onClick: function() {
-                    PersonalityProcessor.resetStatistics();
-                }
+                width: innerWidth,
+                height: 70,
+                text: 'Park Appeal (New Arrivals)'
             });
 
             widgets.push({
-                type: 'button',
-                name: 'btn_clear',
-                x: pad + Math.floor(innerWidth / 3),
-                y: y,
-                width: Math.floor(innerWidth / 3) - 5,
-                height: 20,
-                text: 'Clear Data',
-                onClick: function() {
-                    PersonalityStore.clear();
-                    PersonalityProcessor.resetStatistics();
-                }
+                type: 'label',
+                name: 'lbl_appeal_features',
+                x: pad + 8,
+                y: y + 18,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Coasters: 0 | Gentle Rides: 0 | Gardens: 0 | Food Stalls: 0'
             });
 
             widgets.push({
-                type: 'button',
-                name: 'btn_reinit',
-                x: pad + Math.floor(innerWidth / 3) * 2,
-                y: y,
-                width: Math.floor(innerWidth / 3) - 5,
-                height: 20,
-                text: 'Reinitialize',
-                onClick: function() {
-                    PersonalityProcessor.initialize();
-                }
+                type: 'label',
+                name: 'lbl_appeal_archetypes',
+                x: pad + 8,
+                y: y + 34,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Archetype Weighting: ---'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_appeal_traits',
+                x: pad + 8,
+                y: y + 50,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Trait Bias: ---'
             });
 
             return widgets;
         },
 
-        createSettingsWidgets: function(startY, pad, innerWidth) {
+        createDebugWidgets: function(startY, pad, innerWidth) {
             var widgets = [];
             var self = this;
             var y = startY;
-            var halfWidth = Math.floor((innerWidth - 10) / 2);
 
-            // Performance Settings Group
+            // Debug Options Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_perf',
+                name: 'grp_debug_opts',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 90,
-                text: 'Performance Settings'
+                height: 52,
+                text: 'Debug Options'
             });
 
             widgets.push({
                 type: 'checkbox',
-                name: 'chk_adaptive',
+                name: 'chk_debug',
                 x: pad + 8,
                 y: y + 18,
                 width: innerWidth - 16,
                 height: 15,
-                text: 'Adaptive Performance (auto-adjust processing rate)',
-                isChecked: CONFIG.adaptivePerformance,
+                text: 'Enable Debug Logging (console)',
+                isChecked: CONFIG.debugMode,
                 onChange: function(checked) {
-                    CONFIG.adaptivePerformance = checked;
+                    SettingsManager.set('debugMode', checked);
                 }
             });
 
+            y += 60;
+
+            // Guest Inspector Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_inspector',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 200,
+                text: 'Guest Inspector'
+            });
+
             widgets.push({
                 type: 'label',
-                name: 'lbl_budget',
+                name: 'lbl_inspect_hint',
                 x: pad + 8,
-                y: y + 38,
-                width: 140,
+                y: y + 18,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Frame Budget (ms):'
+                text: 'Enter Guest ID to inspect:'
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_budget',
-                x: pad + 150,
-                y: y + 36,
+                type: 'textbox',
+                name: 'txt_guest_id',
+                x: pad + 8,
+                y: y + 34,
                 width: 100,
                 height: 15,
-                text: CONFIG.frameBudgetMs.toFixed(1),
-                onIncrement: function() {
-                    CONFIG.frameBudgetMs = Math.min(10, CONFIG.frameBudgetMs + 0.5);
-                    self.updateSpinner('spn_budget', CONFIG.frameBudgetMs.toFixed(1));
-                },
-                onDecrement: function() {
-                    CONFIG.frameBudgetMs = Math.max(0.5, CONFIG.frameBudgetMs - 0.5);
-                    self.updateSpinner('spn_budget', CONFIG.frameBudgetMs.toFixed(1));
+                text: '',
+                onChange: function(text) {
+                    self.selectedGuestId = parseInt(text) || null;
                 }
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_interval',
-                x: pad + 8,
-                y: y + 58,
-                width: 140,
-                height: 12,
-                text: 'Update Interval:'
+                type: 'button',
+                name: 'btn_inspect',
+                x: pad + 116,
+                y: y + 34,
+                width: 80,
+                height: 15,
+                text: 'Inspect',
+                onClick: function() {
+                    self.inspectGuest();
+                }
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_interval',
-                x: pad + 150,
-                y: y + 56,
-                width: 100,
+                type: 'button',
+                name: 'btn_pick_guest',
+                x: pad + 204,
+                y: y + 34,
+                width: 90,
                 height: 15,
-                text: String(CONFIG.updateInterval),
-                onIncrement: function() {
-                    CONFIG.updateInterval = Math.min(50, CONFIG.updateInterval + 2);
-                    self.updateSpinner('spn_interval', CONFIG.updateInterval);
-                },
-                onDecrement: function() {
-                    CONFIG.updateInterval = Math.max(2, CONFIG.updateInterval - 2);
-                    self.updateSpinner('spn_interval', CONFIG.updateInterval);
+                text: 'Pick on Map',
+                onClick: function() {
+                    self.activateGuestPicker();
                 }
             });
 
-            y += 98;
+            widgets.push({
+                type: 'button',
+                name: 'btn_inspect_details',
+                x: pad + 302,
+                y: y + 34,
+                width: 90,
+                height: 15,
+                text: 'Details...',
+                onClick: function() {
+                    if (self.selectedGuestId !== null) {
+                        self.openDetailWindow(self.selectedGuestId);
+                    }
+                }
+            });
 
-            // Personality Settings Group
             widgets.push({
-                type: 'groupbox',
-                name: 'grp_personality',
-                x: pad,
-                y: y,
-                width: innerWidth,
-                height: 70,
-                text: 'Personality Settings'
+                type: 'label',
+                name: 'lbl_inspect_name',
+                x: pad + 8,
+                y: y + 56,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Name: ---'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_variation',
+                name: 'lbl_inspect_mood',
                 x: pad + 8,
-                y: y + 18,
-                width: 140,
+                y: y + 72,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Trait Variation:'
+                text: 'Mood: ---'
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_variation',
-                x: pad + 150,
-                y: y + 16,
-                width: 100,
-                height: 15,
-                text: (CONFIG.personalityVariation * 100).toFixed(0) + '%',
-                onIncrement: function() {
-                    CONFIG.personalityVariation = Math.min(1.0, CONFIG.personalityVariation + 0.1);
-                    self.updateSpinner('spn_variation', (CONFIG.personalityVariation * 100).toFixed(0) + '%');
-                },
-                onDecrement: function() {
-                    CONFIG.personalityVariation = Math.max(0, CONFIG.personalityVariation - 0.1);
-                    self.updateSpinner('spn_variation', (CONFIG.personalityVariation * 100).toFixed(0) + '%');
-                }
+                type: 'label',
+                name: 'lbl_inspect_behavior',
+                x: pad + 8,
+                y: y + 88,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Behavior: ---'
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_mood_strength',
+                name: 'lbl_inspect_traits',
                 x: pad + 8,
-                y: y + 38,
-                width: 140,
+                y: y + 104,
+                width: innerWidth - 16,
                 height: 12,
-                text: 'Mood Influence:'
+                text: 'Top Traits: ---'
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_mood_strength',
-                x: pad + 150,
-                y: y + 36,
-                width: 100,
-                height: 15,
-                text: (CONFIG.moodInfluenceStrength * 100).toFixed(0) + '%',
-                onIncrement: function() {
-                    CONFIG.moodInfluenceStrength = Math.min(1.0, CONFIG.moodInfluenceStrength + 0.1);
-                    self.updateSpinner('spn_mood_strength', (CONFIG.moodInfluenceStrength * 100).toFixed(0) + '%');
-                },
-                onDecrement: function() {
-                    CONFIG.moodInfluenceStrength = Math.max(0, CONFIG.moodInfluenceStrength - 0.1);
-                    self.updateSpinner('spn_mood_strength', (CONFIG.moodInfluenceStrength * 100).toFixed(0) + '%');
-                }
+                type: 'label',
+                name: 'lbl_inspect_group',
+                x: pad + 8,
+                y: y + 120,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Group: None'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_inspect_memory',
+                x: pad + 8,
+                y: y + 136,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Rides Ridden: 0 | Spent: $0'
+            });
+
+            widgets.push({
+                type: 'label',
+                name: 'lbl_inspect_time',
+                x: pad + 8,
+                y: y + 152,
+                width: innerWidth - 16,
+                height: 12,
+                text: 'Time in Park: 0 ticks'
             });
 
-            y += 78;
+            y += 208;
 
-            // Social Settings Group
+            // Debug Actions Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_social_settings',
+                name: 'grp_debug_actions',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 70,
-                text: 'Social Settings'
+                height: 94,
+                text: 'Debug Actions'
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_social_radius',
+                type: 'button',
+                name: 'btn_log_stats',
                 x: pad + 8,
                 y: y + 18,
-                width: 140,
-                height: 12,
-                text: 'Social Radius:'
+                width: Math.floor(innerWidth / 2) - 12,
+                height: 18,
+                text: 'Log All Stats',
+                onClick: function() {
+                    var stats = PersonalityProcessor.getStatistics();
+                    console.log('[PersonalityExpander] Statistics:');
+                    for (var key in stats) {
+                        if (stats.hasOwnProperty(key)) {
+                            console.log('  ' + key + ': ' + JSON.stringify(stats[key]));
+                        }
+                    }
+                }
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_social_radius',
-                x: pad + 150,
-                y: y + 16,
-                width: 100,
-                height: 15,
-                text: String(CONFIG.socialInfluenceRadius),
-                onIncrement: function() {
-                    CONFIG.socialInfluenceRadius = Math.min(20, CONFIG.socialInfluenceRadius + 1);
-                    self.updateSpinner('spn_social_radius', CONFIG.socialInfluenceRadius);
-                },
-                onDecrement: function() {
-                    CONFIG.socialInfluenceRadius = Math.max(1, CONFIG.socialInfluenceRadius - 1);
-                    self.updateSpinner('spn_social_radius', CONFIG.socialInfluenceRadius);
+                type: 'button',
+                name: 'btn_force_cleanup',
+                x: pad + Math.floor(innerWidth / 2) + 4,
+                y: y + 18,
+                width: Math.floor(innerWidth / 2) - 12,
+                height: 18,
+                text: 'Force Cleanup',
+                onClick: function() {
+                    PersonalityStore.cleanupOldData();
+                    console.log('[PersonalityExpander] Cleanup complete');
                 }
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_group_chance',
+                type: 'button',
+                name: 'btn_randomize_all',
                 x: pad + 8,
-                y: y + 38,
-                width: 140,
-                height: 12,
-                text: 'Group Formation:'
+                y: y + 42,
+                width: Math.floor(innerWidth / 2) - 12,
+                height: 18,
+                text: 'Randomize All Personalities',
+                onClick: function() {
+                    PersonalityStore.clear();
+                    console.log('[PersonalityExpander] All personalities cleared and will regenerate');
+                }
             });
 
             widgets.push({
-                type: 'spinner',
-                name: 'spn_group_chance',
-                x: pad + 150,
-                y: y + 36,
-                width: 100,
-                height: 15,
-                text: (CONFIG.groupFormationChance * 100).toFixed(0) + '%',
-                onIncrement: function() {
-                    CONFIG.groupFormationChance = Math.min(1.0, CONFIG.groupFormationChance + 0.05);
-                    self.updateSpinner('spn_group_chance', (CONFIG.groupFormationChance * 100).toFixed(0) + '%');
-                },
-                onDecrement: function() {
-                    CONFIG.groupFormationChance = Math.max(0, CONFIG.groupFormationChance - 0.05);
-                    self.updateSpinner('spn_group_chance', (CONFIG.groupFormationChance * 100).toFixed(0) + '%');
+                type: 'button',
+                name: 'btn_export_data',
+                x: pad + Math.floor(innerWidth / 2) + 4,
+                y: y + 42,
+                width: Math.floor(innerWidth / 2) - 12,
+                height: 18,
+                text: 'Export Data...',
+                onClick: function() {
+                    self.openExportWindow();
                 }
             });
 
-            y += 78;
+            widgets.push({
+                type: 'button',
+                name: 'btn_crowding',
+                x: pad + 8,
+                y: y + 66,
+                width: innerWidth - 16,
+                height: 18,
+                text: 'Congestion Hotspots...',
+                onClick: function() {
+                    self.openCrowdingWindow();
+                }
+            });
+
+            return widgets;
+        },
+
+        createHistoryWidgets: function(startY, pad, innerWidth) {
+            var widgets = [];
+            var self = this;
+            var y = startY;
+            var series = StatisticsHistory.getSeries();
+            var seriesNames = [];
+            for (var i = 0; i < series.length; i++) {
+                seriesNames.push(series[i].name);
+            }
 
-            // Mood Thresholds Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_thresholds',
+                name: 'grp_history',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 90,
-                text: 'Mood Thresholds'
+                height: 330,
+                text: 'History (last ' + CONFIG.statisticsRetentionTicks + ' ticks)'
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_happy_thresh',
+                type: 'dropdown',
+                name: 'dd_history_series',
                 x: pad + 8,
-                y: y + 18,
-                width: 100,
-                height: 12,
-                text: 'Happy:'
-            });
-
-            widgets.push({
-                type: 'spinner',
-                name: 'spn_happy_thresh',
-                x: pad + 110,
                 y: y + 16,
-                width: 80,
-                height: 15,
-                text: String(CONFIG.happyMoodThreshold),
-                onIncrement: function() {
-                    CONFIG.happyMoodThreshold = Math.min(255, CONFIG.happyMoodThreshold + 10);
-                    self.updateSpinner('spn_happy_thresh', CONFIG.happyMoodThreshold);
-                },
-                onDecrement: function() {
-                    CONFIG.happyMoodThreshold = Math.max(CONFIG.neutralMoodThreshold + 10, CONFIG.happyMoodThreshold - 10);
-                    self.updateSpinner('spn_happy_thresh', CONFIG.happyMoodThreshold);
+                width: 200,
+                height: 14,
+                items: seriesNames,
+                selectedIndex: Math.min(this.historySeries, seriesNames.length - 1),
+                onChange: function(index) {
+                    self.historySeries = index;
+                    self.updateHistoryLabel();
                 }
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_neutral_thresh',
-                x: pad + 8,
-                y: y + 38,
-                width: 100,
+                name: 'lbl_history_info',
+                x: pad + 216,
+                y: y + 18,
+                width: innerWidth - 224,
                 height: 12,
-                text: 'Neutral:'
-            });
-
-            widgets.push({
-                type: 'spinner',
-                name: 'spn_neutral_thresh',
-                x: pad + 110,
-                y: y + 36,
-                width: 80,
-                height: 15,
-                text: String(CONFIG.neutralMoodThreshold),
-                onIncrement: function() {
-                    CONFIG.neutralMoodThreshold = Math.min(CONFIG.happyMoodThreshold - 10, CONFIG.neutralMoodThreshold + 10);
-                    self.updateSpinner('spn_neutral_thresh', CONFIG.neutralMoodThreshold);
-                },
-                onDecrement: function() {
-                    CONFIG.neutralMoodThreshold = Math.max(CONFIG.sadMoodThreshold + 10, CONFIG.neutralMoodThreshold - 10);
-                    self.updateSpinner('spn_neutral_thresh', CONFIG.neutralMoodThreshold);
-                }
+                text: ''
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_sad_thresh',
+                type: 'custom',
+                name: 'cst_history_chart',
                 x: pad + 8,
-                y: y + 58,
-                width: 100,
-                height: 12,
-                text: 'Sad:'
-            });
-
-            widgets.push({
-                type: 'spinner',
-                name: 'spn_sad_thresh',
-                x: pad + 110,
-                y: y + 56,
-                width: 80,
-                height: 15,
-                text: String(CONFIG.sadMoodThreshold),
-                onIncrement: function() {
-                    CONFIG.sadMoodThreshold = Math.min(CONFIG.neutralMoodThreshold - 10, CONFIG.sadMoodThreshold + 10);
-                    self.updateSpinner('spn_sad_thresh', CONFIG.sadMoodThreshold);
-                },
-                onDecrement: function() {
-                    CONFIG.sadMoodThreshold = Math.max(0, CONFIG.sadMoodThreshold - 10);
-                    self.updateSpinner('spn_sad_thresh', CONFIG.sadMoodThreshold);
+                y: y + 36,
+                width: innerWidth - 16,
+                height: 288,
+                onDraw: function(g) {
+                    self.drawHistoryChart(g);
                 }
             });
 
             return widgets;
         },
 
-        createStatisticsWidgets: function(startY, pad, innerWidth) {
+        createMoodWidgets: function(startY, pad, innerWidth) {
             var widgets = [];
+            var self = this;
             var y = startY;
+            var columns = [8, 100, 148, 204, 298, 346, 402];
+            var widths = [88, 44, 52, 90, 44, 52, 52];
+            var needRules = CONFIG.moodNeedRules;
+            var bands = CONFIG.moodBands;
+
+            var moodNames = [];
+            for (var m = 0; m < MOOD_CHART_COLOURS.length; m++) {
+                moodNames.push(MOOD_CHART_COLOURS[m].label);
+            }
 
-            // Processing Statistics Group
+            var pushHeaders = function(prefix, headers, rowY) {
+                for (var h = 0; h < headers.length; h++) {
+                    if (!headers[h]) continue;
+                    widgets.push({
+                        type: 'label',
+                        name: 'lbl_' + prefix + '_header_' + h,
+                        x: pad + columns[h],
+                        y: rowY,
+                        width: widths[h],
+                        height: 12,
+                        text: headers[h]
+                    });
+                }
+            };
+
+            // Need Overrides Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_proc_stats',
+                name: 'grp_mood_needs',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 90,
-                text: 'Processing Statistics'
+                height: 34 + needRules.length * 18,
+                text: 'Need Overrides (checked before happiness, lowest priority first)'
+            });
+
+            pushHeaders('need', ['Trigger', 'Test', 'Threshold', 'Mood', 'Priority', 'Base', 'Per Point'], y + 16);
+
+            for (var i = 0; i < needRules.length; i++) {
+                widgets = widgets.concat(this.createNeedRuleRow(i, needRules[i], y + 30 + i * 18, pad, columns, widths, moodNames));
+            }
+
+            y += 42 + needRules.length * 18;
+
+            // Happiness Bands Group
+            widgets.push({
+                type: 'groupbox',
+                name: 'grp_mood_bands',
+                x: pad,
+                y: y,
+                width: innerWidth,
+                height: 34 + bands.length * 18,
+                text: 'Happiness Bands (first band with happiness above its threshold wins)'
             });
 
+            pushHeaders('band', ['Mood', 'Above', 'Offset', 'Happiness >', 'Priority', 'Base', 'Per Point'], y + 16);
+
+            for (var j = 0; j < bands.length; j++) {
+                widgets = widgets.concat(this.createBandRow(j, bands[j], y + 30 + j * 18, pad, columns, widths, moodNames));
+            }
+
+            y += 42 + bands.length * 18;
+
             widgets.push({
                 type: 'label',
-                name: 'lbl_stat_processed',
+                name: 'lbl_mood_status',
                 x: pad + 8,
-                y: y + 18,
-                width: innerWidth - 16,
+                y: y + 4,
+                width: innerWidth - 150,
                 height: 12,
-                text: 'Guests Processed: 0'
+                text: this.moodStatus || 'Edits re-evaluate all tracked guests immediately'
+            });
+
+            widgets.push({
+                type: 'button',
+                name: 'btn_mood_reset',
+                x: pad + innerWidth - 130,
+                y: y,
+                width: 130,
+                height: 18,
+                text: 'Reset Mood Table',
+                onClick: function() {
+                    self.setMoodStatus(MoodMapping.resetTables());
+                }
             });
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_stat_created',
-                x: pad + 8,
-                y: y + 34,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Personalities Created: 0'
-            });
+            return widgets;
+        },
+
+        createNeedRuleRow: function(index, rule, rowY, pad, columns, widths, moodNames) {
+            var self = this;
+            var edit = function(field, value) {
+                self.setMoodStatus(MoodMapping.updateEntry('moodNeedRules', index, field, value));
+            };
+            var name = rule.stat.charAt(0).toUpperCase() + rule.stat.substring(1);
+
+            return [
+                {
+                    type: 'checkbox',
+                    name: 'chk_need_' + index,
+                    x: pad + columns[0],
+                    y: rowY,
+                    width: widths[0],
+                    height: 15,
+                    text: name,
+                    isChecked: rule.enabled,
+                    onChange: function(checked) { edit('enabled', checked); }
+                },
+                {
+                    type: 'button',
+                    name: 'btn_need_compare_' + index,
+                    x: pad + columns[1],
+                    y: rowY,
+                    width: widths[1],
+                    height: 14,
+                    text: rule.compare === 'above' ? 'above' : 'below',
+                    onClick: function() { edit('compare', rule.compare === 'above' ? 'below' : 'above'); }
+                },
+                this.createMoodSpinner('spn_need_threshold_' + index, pad + columns[2], rowY, widths[2],
+                    String(rule.threshold), function(direction) { edit('threshold', rule.threshold + direction * 5); }),
+                {
+                    type: 'dropdown',
+                    name: 'dd_need_mood_' + index,
+                    x: pad + columns[3],
+                    y: rowY,
+                    width: widths[3],
+                    height: 14,
+                    items: moodNames,
+                    selectedIndex: this.getMoodChartIndex(rule.mood),
+                    onChange: function(selected) { edit('mood', MOOD_CHART_COLOURS[selected].mood); }
+                },
+                this.createMoodSpinner('spn_need_priority_' + index, pad + columns[4], rowY, widths[4],
+                    String(rule.priority), function(direction) { edit('priority', rule.priority + direction); }),
+                this.createMoodSpinner('spn_need_base_' + index, pad + columns[5], rowY, widths[5],
+                    String(rule.base), function(direction) { edit('base', rule.base + direction * 5); }),
+                this.createMoodSpinner('spn_need_scale_' + index, pad + columns[6], rowY, widths[6],
+                    rule.scale.toFixed(1), function(direction) { edit('scale', rule.scale + direction * 0.1); })
+            ];
+        },
+
+        createBandRow: function(index, band, rowY, pad, columns, widths, moodNames) {
+            var self = this;
+            var edit = function(field, value) {
+                self.setMoodStatus(MoodMapping.updateEntry('moodBands', index, field, value));
+            };
+            var threshold = MoodMapping.getBandThreshold(band);
+            var reference = band.threshold === null ? 'Always' :
+                (typeof band.threshold === 'number' ? 'Fixed' : band.threshold.charAt(0).toUpperCase() + band.threshold.substring(1));
+
+            // Fixed thresholds edit the number itself, named thresholds edit the offset
+            var adjustText = band.threshold === null ? '-' :
+                (typeof band.threshold === 'number' ? String(band.threshold) : (band.offset >= 0 ? '+' : '') + band.offset);
+            var adjust = function(direction) {
+                if (band.threshold === null) return;
+                if (typeof band.threshold === 'number') {
+                    edit('threshold', band.threshold + direction * 5);
+                } else {
+                    edit('offset', band.offset + direction * 5);
+                }
+            };
+
+            return [
+                {
+                    type: 'dropdown',
+                    name: 'dd_band_mood_' + index,
+                    x: pad + columns[0],
+                    y: rowY,
+                    width: widths[0],
+                    height: 14,
+                    items: moodNames,
+                    selectedIndex: this.getMoodChartIndex(band.mood),
+                    onChange: function(selected) { edit('mood', MOOD_CHART_COLOURS[selected].mood); }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_band_reference_' + index,
+                    x: pad + columns[1],
+                    y: rowY + 2,
+                    width: widths[1],
+                    height: 12,
+                    text: reference
+                },
+                this.createMoodSpinner('spn_band_offset_' + index, pad + columns[2], rowY, widths[2], adjustText, adjust),
+                {
+                    type: 'label',
+                    name: 'lbl_band_threshold_' + index,
+                    x: pad + columns[3],
+                    y: rowY + 2,
+                    width: widths[3],
+                    height: 12,
+                    text: threshold === null ? 'any' : String(threshold)
+                },
+                this.createMoodSpinner('spn_band_priority_' + index, pad + columns[4], rowY, widths[4],
+                    String(band.priority), function(direction) { edit('priority', band.priority + direction); }),
+                this.createMoodSpinner('spn_band_base_' + index, pad + columns[5], rowY, widths[5],
+                    String(band.base), function(direction) { edit('base', band.base + direction * 5); }),
+                this.createMoodSpinner('spn_band_scale_' + index, pad + columns[6], rowY, widths[6],
+                    band.scale.toFixed(1), function(direction) { edit('scale', band.scale + direction * 0.1); })
+            ];
+        },
+
+        createMoodSpinner: function(name, x, y, width, text, onStep) {
+            return {
+                type: 'spinner',
+                name: name,
+                x: x,
+                y: y,
+                width: width,
+                height: 14,
+                text: text,
+                onIncrement: function() { onStep(1); },
+                onDecrement: function() { onStep(-1); }
+            };
+        },
+
+        getMoodChartIndex: function(mood) {
+            for (var i = 0; i < MOOD_CHART_COLOURS.length; i++) {
+                if (MOOD_CHART_COLOURS[i].mood === mood) return i;
+            }
+            return 0;
+        },
+
+        showMoodReevaluated: function(total, changed) {
+            this.moodStatus = 'Re-evaluated ' + total + ' guests, ' + changed + ' changed mood';
+            this.updateLabel('lbl_mood_status', this.moodStatus);
+        },
+
+        // A pass that finished within the first chunk has already set its result
+        setMoodStatus: function(total) {
+            if (MoodSystem.reevaluation) {
+                this.moodStatus = 'Re-evaluating ' + total + ' guests...';
+            }
+            if (this.mainWindow && this.currentTab === 6) {
+                this.openWindow();
+            }
+        },
+
+        updateHistoryLabel: function() {
+            var samples = StatisticsHistory.getSamples();
+            var text = 'Samples: ' + samples.length + '/' + StatisticsHistory.capacity +
+                ' (every ' + StatisticsHistory.getSampleInterval() + ' ticks)';
+
+            var series = StatisticsHistory.getSeries()[this.historySeries];
+            if (samples.length > 0) {
+                var latest = samples[samples.length - 1];
+                text += series && !series.stacked ?
+                    ' | Now: ' + StatisticsHistory.getValue(latest, series) :
+                    ' | Latest: tick ' + latest.tick;
+            }
+
+            this.updateLabel('lbl_history_info', text);
+        },
+
+        drawHistoryChart: function(g) {
+            var series = StatisticsHistory.getSeries()[this.historySeries];
+            var samples = StatisticsHistory.getSamples();
+            var legendHeight = series && series.stacked ? 30 : 0;
+            var left = 30;
+            var top = 4;
+            var plotWidth = g.width - left - 4;
+            var plotHeight = g.height - top - 16 - legendHeight;
+            var bottom = top + plotHeight;
+
+            g.stroke = 10;
+            g.fill = 10;
+            g.rect(left, top, plotWidth, plotHeight);
+
+            g.colour = 1;
+            if (!series || samples.length < 2) {
+                g.text('Collecting samples...', left + 8, top + 8);
+                return;
+            }
+
+            var i, x0, x1;
+            if (series.stacked) {
+                for (i = 0; i < samples.length; i++) {
+                    x0 = left + Math.floor(i * plotWidth / samples.length);
+                    x1 = left + Math.floor((i + 1) * plotWidth / samples.length);
+
+                    var total = 0;
+                    var m;
+                    for (m = 0; m < MOOD_CHART_COLOURS.length; m++) {
+                        total += samples[i].moods[MOOD_CHART_COLOURS[m].mood] || 0;
+                    }
+                    if (total === 0) continue;
+
+                    var stackY = bottom;
+                    for (m = 0; m < MOOD_CHART_COLOURS.length; m++) {
+                        var count = samples[i].moods[MOOD_CHART_COLOURS[m].mood] || 0;
+                        var bandHeight = Math.round(count / total * plotHeight);
+                        if (bandHeight <= 0) continue;
+                        bandHeight = Math.min(bandHeight, stackY - top);
+                        g.stroke = MOOD_CHART_COLOURS[m].colour;
+                        g.fill = MOOD_CHART_COLOURS[m].colour;
+                        g.rect(x0, stackY - bandHeight, Math.max(1, x1 - x0), bandHeight);
+                        stackY -= bandHeight;
+                    }
+                }
+
+                g.colour = 1;
+                g.text('100%', 0, top);
+                g.text('0%', 0, bottom - 10);
+                this.drawHistoryLegend(g, bottom + 16);
+            } else {
+                var minValue = 0;
+                var maxValue = series.max || 0;
+                if (!series.max) {
+                    for (i = 0; i < samples.length; i++) {
+                        maxValue = Math.max(maxValue, StatisticsHistory.getValue(samples[i], series));
+                    }
+                    maxValue = maxValue > 0 ? maxValue * 1.1 : 1;
+                }
+
+                g.stroke = 102;
+                var lastX = -1;
+                var lastY = -1;
+                for (i = 0; i < samples.length; i++) {
+                    var value = StatisticsHistory.getValue(samples[i], series);
+                    var pointX = left + Math.round(i * (plotWidth - 1) / (samples.length - 1));
+                    var pointY = bottom - 1 - Math.round((value - minValue) / (maxValue - minValue) * (plotHeight - 2));
+                    if (lastX >= 0) {
+                        g.line(lastX, lastY, pointX, pointY);
+                    }
+                    lastX = pointX;
+                    lastY = pointY;
+                }
+
+                g.colour = 1;
+                g.text(String(Math.round(maxValue * 10) / 10), 0, top);
+                g.text(String(minValue), 0, bottom - 10);
+            }
+
+            var span = samples[samples.length - 1].tick - samples[0].tick;
+            g.colour = 1;
+            g.text('-' + span + ' ticks', left, bottom + 3);
+            g.text('now', left + plotWidth - 20, bottom + 3);
+        },
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_stat_ticks',
-                x: pad + 8,
-                y: y + 50,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Ticks Processed: 0'
-            });
+        drawHistoryLegend: function(g, y) {
+            var perRow = Math.ceil(MOOD_CHART_COLOURS.length / 2);
+            var columnWidth = Math.floor(g.width / perRow);
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_stat_rate',
-                x: pad + 8,
-                y: y + 66,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Current Rate: 0 guests/tick'
-            });
+            for (var i = 0; i < MOOD_CHART_COLOURS.length; i++) {
+                var x = (i % perRow) * columnWidth;
+                var rowY = y + Math.floor(i / perRow) * 14;
 
-            y += 98;
+                g.stroke = MOOD_CHART_COLOURS[i].colour;
+                g.fill = MOOD_CHART_COLOURS[i].colour;
+                g.rect(x, rowY + 2, 8, 8);
 
-            // Guest Population Statistics Group
+                g.colour = 1;
+                g.text(MOOD_CHART_COLOURS[i].label, x + 11, rowY);
+            }
+        },
+
+        createPopulationWidgets: function(startY, pad, innerWidth) {
+            var widgets = [];
+            var self = this;
+            var y = startY;
+            var archetypeIds = Object.keys(GUEST_ARCHETYPES);
+
+            // Archetype Mix Group
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_pop_stats',
+                name: 'grp_archetypes',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 70,
-                text: 'Guest Population'
+                height: archetypeIds.length * 20 + 40,
+                text: 'Archetype Mix (saved with this park)'
             });
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_pop_total',
-                x: pad + 8,
-                y: y + 18,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Total Guests in Park: 0'
-            });
+            var headers = [
+                { text: 'Archetype', x: 8 },
+                { text: 'Weight', x: 160 },
+                { text: 'Share', x: 260 },
+                { text: 'Tracked', x: 340 }
+            ];
+            for (var h = 0; h < headers.length; h++) {
+                widgets.push({
+                    type: 'label',
+                    name: 'lbl_archetype_header_' + h,
+                    x: pad + headers[h].x,
+                    y: y + 16,
+                    width: 90,
+                    height: 12,
+                    text: headers[h].text
+                });
+            }
+
+            for (var i = 0; i < archetypeIds.length; i++) {
+                widgets = widgets.concat(this.createArchetypeRow(archetypeIds[i], i, y + 32 + i * 20, pad));
+            }
+
+            y += archetypeIds.length * 20 + 48;
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_pop_tracked',
-                x: pad + 8,
-                y: y + 34,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Tracked with Personality: 0'
+                type: 'button',
+                name: 'btn_archetype_reset',
+                x: pad,
+                y: y,
+                width: Math.floor(innerWidth / 2) - 5,
+                height: 20,
+                text: 'Reset Mix to Defaults',
+                onClick: function() {
+                    ArchetypeSystem.resetMix();
+                    self.openWindow();
+                }
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_pop_groups',
-                x: pad + 8,
-                y: y + 50,
-                width: innerWidth - 16,
+                name: 'lbl_archetype_hint',
+                x: pad + Math.floor(innerWidth / 2) + 5,
+                y: y + 4,
+                width: Math.floor(innerWidth / 2) - 5,
                 height: 12,
-                text: 'Active Social Groups: 0'
+                text: 'Applies to newly generated guests'
             });
 
-            y += 78;
+            y += 28;
 
-            // Mood Distribution Group
+            // Trait Correlations Group
+            var pairs = CONFIG.traitCorrelations.slice(0, 8);
             widgets.push({
                 type: 'groupbox',
-                name: 'grp_mood_stats',
+                name: 'grp_correlations',
                 x: pad,
                 y: y,
                 width: innerWidth,
-                height: 130,
-                text: 'Mood Distribution'
+                height: Math.max(1, pairs.length) * 18 + 36,
+                text: 'Trait Correlations (configured / observed)'
             });
 
-            var moodLabels = [
-                'Ecstatic', 'Happy', 'Content', 'Neutral',
-                'Bored', 'Annoyed', 'Sad', 'Angry',
-                'Scared', 'Excited', 'Tired', 'Sick'
-            ];
+            for (var c = 0; c < pairs.length; c++) {
+                widgets = widgets.concat(this.createCorrelationRow(pairs[c], c, y + 16 + c * 18, pad));
+            }
 
-            var halfWidth = Math.floor((innerWidth - 10) / 2);
-            var moodY = y + 18;
+            return widgets;
+        },
 
-            for (var i = 0; i < moodLabels.length; i++) {
-                var moodX = (i % 2 === 0) ? pad + 8 : pad + halfWidth + 8;
-                var moodRow = Math.floor(i / 2);
+        createCorrelationRow: function(pair, index, y, pad) {
+            var self = this;
+            var spinnerName = 'spn_correlation_' + index;
 
-                widgets.push({
+            return [
+                {
                     type: 'label',
-                    name: 'lbl_mood_stat_' + i,
-                    x: moodX,
-                    y: moodY + (moodRow * 18),
-                    width: halfWidth - 8,
+                    name: 'lbl_correlation_name_' + index,
+                    x: pad + 8,
+                    y: y + 2,
+                    width: 200,
                     height: 12,
-                    text: moodLabels[i] + ': 0'
-                });
-            }
-
-            return widgets;
+                    text: TRAIT_DISPLAY_NAMES[pair[0]] + ' / ' + TRAIT_DISPLAY_NAMES[pair[1]]
+                },
+                {
+                    type: 'spinner',
+                    name: spinnerName,
+                    x: pad + 210,
+                    y: y,
+                    width: 80,
+                    height: 15,
+                    text: pair[2].toFixed(1),
+                    onIncrement: function() {
+                        TraitCorrelationModel.setCorrelation(pair[0], pair[1], pair[2] + 0.1);
+                        self.updateSpinner(spinnerName, pair[2].toFixed(1));
+                    },
+                    onDecrement: function() {
+                        TraitCorrelationModel.setCorrelation(pair[0], pair[1], pair[2] - 0.1);
+                        self.updateSpinner(spinnerName, pair[2].toFixed(1));
+                    }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_correlation_observed_' + index,
+                    x: pad + 300,
+                    y: y + 2,
+                    width: 140,
+                    height: 12,
+                    text: 'Observed: ---'
+                }
+            ];
         },
 
-        createDebugWidgets: function(startY, pad, innerWidth) {
-            var widgets = [];
+        createArchetypeRow: function(archetypeId, index, y, pad) {
             var self = this;
-            var y = startY;
-
-            // Debug Options Group
-            widgets.push({
-                type: 'groupbox',
-                name: 'grp_debug_opts',
-                x: pad,
-                y: y,
-                width: innerWidth,
-                height: 52,
-                text: 'Debug Options'
-            });
+            var spinnerName = 'spn_archetype_' + index;
 
-            widgets.push({
-                type: 'checkbox',
-                name: 'chk_debug',
-                x: pad + 8,
-                y: y + 18,
-                width: innerWidth - 16,
-                height: 15,
-                text: 'Enable Debug Logging (console)',
-                isChecked: CONFIG.debugMode,
-                onChange: function(checked) {
-                    CONFIG.debugMode = checked;
+            return [
+                {
+                    type: 'label',
+                    name: 'lbl_archetype_name_' + index,
+                    x: pad + 8,
+                    y: y + 2,
+                    width: 150,
+                    height: 12,
+                    text: GUEST_ARCHETYPES[archetypeId].name
+                },
+                {
+                    type: 'spinner',
+                    name: spinnerName,
+                    x: pad + 160,
+                    y: y,
+                    width: 80,
+                    height: 15,
+                    text: String(ArchetypeSystem.getWeight(archetypeId)),
+                    onIncrement: function() {
+                        ArchetypeSystem.setWeight(archetypeId, ArchetypeSystem.getWeight(archetypeId) + 1);
+                        self.updateSpinner(spinnerName, ArchetypeSystem.getWeight(archetypeId));
+                        self.updateStatisticsDisplay();
+                    },
+                    onDecrement: function() {
+                        ArchetypeSystem.setWeight(archetypeId, ArchetypeSystem.getWeight(archetypeId) - 1);
+                        self.updateSpinner(spinnerName, ArchetypeSystem.getWeight(archetypeId));
+                        self.updateStatisticsDisplay();
+                    }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_archetype_share_' + index,
+                    x: pad + 260,
+                    y: y + 2,
+                    width: 70,
+                    height: 12,
+                    text: '0%'
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_archetype_count_' + index,
+                    x: pad + 340,
+                    y: y + 2,
+                    width: 100,
+                    height: 12,
+                    text: '0'
                 }
-            });
+            ];
+        },
 
-            y += 60;
+        inspectGuest: function() {
+            if (!this.mainWindow) return;
+            if (this.selectedGuestId === null) return;
 
-            // Guest Inspector Group
-            widgets.push({
-                type: 'groupbox',
-                name: 'grp_inspector',
-                x: pad,
-                y: y,
-                width: innerWidth,
-                height: 200,
-                text: 'Guest Inspector'
-            });
+            try {
+                var guest = map.getEntity(this.selectedGuestId);
+                if (!guest || guest.type !== 'guest') {
+                    this.updateLabel('lbl_inspect_name', 'Name: Guest not found');
+                    return;
+                }
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_hint',
-                x: pad + 8,
-                y: y + 18,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Enter Guest ID to inspect:'
-            });
+                var data = NetworkHelper.canModifyGameState() ?
+                    PersonalityStore.getGuestData(this.selectedGuestId) :
+                    PersonalityStore.guests[this.selectedGuestId];
+                if (!data) {
+                    this.updateLabel('lbl_inspect_name', 'Name: No personality data');
+                    return;
+                }
 
-            widgets.push({
-                type: 'textbox',
-                name: 'txt_guest_id',
-                x: pad + 8,
-                y: y + 34,
-                width: 100,
-                height: 15,
-                text: '',
-                onChange: function(text) {
-                    self.selectedGuestId = parseInt(text) || null;
+                this.updateLabel('lbl_inspect_name', 'Name: ' + guest.name);
+                this.updateLabel('lbl_inspect_mood', 'Mood: ' + data.mood.current + ' (intensity: ' + data.mood.intensity + ')');
+                this.updateLabel('lbl_inspect_behavior', 'Behavior: ' + data.behavior.current);
+
+                var traitList = [];
+                for (var trait in data.traits) {
+                    if (data.traits.hasOwnProperty(trait)) {
+                        traitList.push({ name: trait, value: data.traits[trait] });
+                    }
                 }
-            });
+                traitList.sort(function(a, b) { return b.value - a.value; });
+                var topTraits = traitList.slice(0, 3).map(function(t) { return t.name + ':' + t.value; }).join(', ');
+                this.updateLabel('lbl_inspect_traits', 'Top Traits: ' + topTraits);
 
-            widgets.push({
-                type: 'button',
-                name: 'btn_inspect',
-                x: pad + 116,
-                y: y + 34,
-                width: 80,
-                height: 15,
-                text: 'Inspect',
-                onClick: function() {
-                    self.inspectGuest();
+                var groupInfo = data.social.groupId ? ('ID ' + data.social.groupId + (data.social.isLeader ? ' (Leader)' : '')) : 'None';
+                this.updateLabel('lbl_inspect_group', 'Group: ' + groupInfo);
+
+                var ridesCount = Object.keys(data.memory.ridesRidden).length;
+                var favourite = data.memory.favoriteRide !== null ? this.getRideName(data.memory.favoriteRide) : 'None';
+                this.updateLabel('lbl_inspect_memory', 'Rides Ridden: ' + ridesCount + ' | Favourite: ' + favourite + ' | Spent: $' + (data.memory.totalSpent / 10).toFixed(2));
+                this.updateLabel('lbl_inspect_time', 'Time in Park: ' + data.memory.timeInPark + ' ticks');
+
+            } catch (e) {
+                this.updateLabel('lbl_inspect_name', 'Error: ' + e);
+            }
+        },
+
+        activateGuestPicker: function() {
+            var self = this;
+            try {
+                ui.activateTool({
+                    id: this.pickerToolId,
+                    cursor: 'cross_hair',
+                    filter: ['entity'],
+                    onDown: function(e) {
+                        if (e.entityId === undefined || e.entityId === null) return;
+
+                        var entity = map.getEntity(e.entityId);
+                        if (!entity || entity.type !== 'guest') return;
+
+                        self.selectedGuestId = entity.id;
+                        self.openDetailWindow(entity.id);
+                        if (ui.tool) {
+                            ui.tool.cancel();
+                        }
+                    }
+                });
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error activating guest picker: ' + e);
                 }
-            });
+            }
+        },
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_name',
-                x: pad + 8,
-                y: y + 56,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Name: ---'
-            });
+        openDetailWindow: function(guestId) {
+            this.closeDetailWindow();
 
-            widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_mood',
-                x: pad + 8,
-                y: y + 72,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Mood: ---'
-            });
+            var self = this;
+            var windowWidth = 300;
+            var windowHeight = 440;
+            var pad = 8;
+            var innerWidth = windowWidth - (pad * 2);
+            var traitKeys = Object.keys(TRAIT_DISPLAY_NAMES);
+
+            this.detailGuestId = guestId;
+
+            var widgets = [];
+            var labelNames = ['name', 'mood', 'behavior', 'group', 'members'];
+            for (var i = 0; i < labelNames.length; i++) {
+                widgets.push({
+                    type: 'label',
+                    name: 'lbl_detail_' + labelNames[i],
+                    x: pad,
+                    y: 20 + i * 14,
+                    width: innerWidth,
+                    height: 12,
+                    text: ''
+                });
+            }
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_behavior',
-                x: pad + 8,
-                y: y + 88,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Behavior: ---'
+                type: 'groupbox',
+                name: 'grp_detail_traits',
+                x: pad,
+                y: 92,
+                width: innerWidth,
+                height: traitKeys.length * 12 + 22,
+                text: 'Traits'
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_traits',
-                x: pad + 8,
-                y: y + 104,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Top Traits: ---'
+                type: 'custom',
+                name: 'cst_detail_traits',
+                x: pad + 6,
+                y: 108,
+                width: innerWidth - 12,
+                height: traitKeys.length * 12,
+                onDraw: function(g) {
+                    self.drawTraitBars(g, traitKeys);
+                }
             });
 
+            var listY = 92 + traitKeys.length * 12 + 28;
+
             widgets.push({
                 type: 'label',
-                name: 'lbl_inspect_group',
-                x: pad + 8,
-                y: y + 120,
-                width: innerWidth - 16,
+                name: 'lbl_detail_rides',
+                x: pad,
+                y: listY,
+                width: innerWidth,
                 height: 12,
-                text: 'Group: None'
+                text: 'Ride Memory'
             });
 
             widgets.push({
-                type: 'label',
-                name: 'lbl_inspect_memory',
-                x: pad + 8,
-                y: y + 136,
-                width: innerWidth - 16,
-                height: 12,
-                text: 'Rides Ridden: 0 | Spent: $0'
+                type: 'listview',
+                name: 'lst_detail_rides',
+                x: pad,
+                y: listY + 14,
+                width: innerWidth,
+                height: 70,
+                scrollbars: 'vertical',
+                isStriped: true,
+                showColumnHeaders: true,
+                columns: [
+                    { header: 'Ride', width: 150 },
+                    { header: 'Rides', width: 50 },
+                    { header: 'Rating', width: 60 }
+                ],
+                items: []
             });
 
             widgets.push({
                 type: 'label',
-                name: 'lbl_inspect_time',
-                x: pad + 8,
-                y: y + 152,
-                width: innerWidth - 16,
+                name: 'lbl_detail_purchases',
+                x: pad,
+                y: listY + 90,
+                width: innerWidth,
                 height: 12,
-                text: 'Time in Park: 0 ticks'
+                text: 'Purchases'
             });
 
-            y += 208;
-
-            // Debug Actions Group
             widgets.push({
-                type: 'groupbox',
-                name: 'grp_debug_actions',
+                type: 'listview',
+                name: 'lst_detail_purchases',
                 x: pad,
-                y: y,
+                y: listY + 104,
                 width: innerWidth,
-                height: 70,
-                text: 'Debug Actions'
+                height: 60,
+                scrollbars: 'vertical',
+                isStriped: true,
+                showColumnHeaders: true,
+                columns: [
+                    { header: 'Item', width: 120 },
+                    { header: 'Price', width: 60 },
+                    { header: 'Tick', width: 80 }
+                ],
+                items: []
             });
 
             widgets.push({
                 type: 'button',
-                name: 'btn_log_stats',
-                x: pad + 8,
-                y: y + 18,
-                width: Math.floor(innerWidth / 2) - 12,
-                height: 18,
-                text: 'Log All Stats',
+                name: 'btn_detail_locate',
+                x: pad,
+                y: windowHeight - 24,
+                width: Math.floor(innerWidth / 2) - 4,
+                height: 16,
+                text: 'Locate',
                 onClick: function() {
-                    var stats = PersonalityProcessor.getStatistics();
-                    console.log('[PersonalityExpander] Statistics:');
-                    for (var key in stats) {
-                        if (stats.hasOwnProperty(key)) {
-                            console.log('  ' + key + ': ' + JSON.stringify(stats[key]));
-                        }
-                    }
+                    self.locateGuest(self.detailGuestId);
                 }
             });
 
             widgets.push({
                 type: 'button',
-                name: 'btn_force_cleanup',
+                name: 'btn_detail_pick',
                 x: pad + Math.floor(innerWidth / 2) + 4,
-                y: y + 18,
-                width: Math.floor(innerWidth / 2) - 12,
-                height: 18,
-                text: 'Force Cleanup',
+                y: windowHeight - 24,
+                width: Math.floor(innerWidth / 2) - 4,
+                height: 16,
+                text: 'Pick Another',
                 onClick: function() {
-                    PersonalityStore.cleanupOldData();
-                    console.log('[PersonalityExpander] Cleanup complete');
+                    self.activateGuestPicker();
                 }
             });
 
-            widgets.push({
-                type: 'button',
-                name: 'btn_randomize_all',
-                x: pad + 8,
-                y: y + 42,
-                width: innerWidth - 16,
-                height: 18,
-                text: 'Randomize All Guest Personalities',
-                onClick: function() {
-                    PersonalityStore.clear();
-                    console.log('[PersonalityExpander] All personalities cleared and will regenerate');
+            this.detailWindow = ui.openWindow({
+                classification: this.detailWindowId,
+                title: 'Guest Personality',
+                width: windowWidth,
+                height: windowHeight,
+                widgets: widgets,
+                onClose: function() {
+                    self.detailWindow = null;
+                    self.detailGuestId = null;
+                    if (self.detailInterval !== null) {
+                        context.clearInterval(self.detailInterval);
+                        self.detailInterval = null;
+                    }
                 }
             });
 
-            return widgets;
+            this.updateDetailWindow();
+            this.detailInterval = context.setInterval(function() {
+                self.updateDetailWindow();
+            }, 500);
         },
 
-        inspectGuest: function() {
-            if (!this.mainWindow) return;
-            if (this.selectedGuestId === null) return;
+        openCrowdingWindow: function() {
+            this.closeCrowdingWindow();
+
+            var self = this;
+            var windowWidth = 380;
+            var windowHeight = 260;
+            var pad = 8;
+            var innerWidth = windowWidth - (pad * 2);
+
+            var widgets = [
+                {
+                    type: 'label',
+                    name: 'lbl_crowding_summary',
+                    x: pad,
+                    y: 20,
+                    width: innerWidth,
+                    height: 12,
+                    text: ''
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_crowding_reactions',
+                    x: pad,
+                    y: 34,
+                    width: innerWidth,
+                    height: 12,
+                    text: ''
+                },
+                {
+                    type: 'listview',
+                    name: 'lst_crowding_hotspots',
+                    x: pad,
+                    y: 50,
+                    width: innerWidth,
+                    height: windowHeight - 76,
+                    scrollbars: 'vertical',
+                    isStriped: true,
+                    showColumnHeaders: true,
+                    canSelect: true,
+                    columns: [
+                        { header: '#', width: 24 },
+                        { header: 'Location', width: 90 },
+                        { header: 'Guests (3x3)', width: 90 },
+                        { header: 'Crowded For', width: 90 },
+                        { header: 'Status', width: 60 }
+                    ],
+                    items: [],
+                    onClick: function(item) {
+                        var hotspot = self.crowdingHotspots[item];
+                        if (hotspot && ui.mainViewport) {
+                            ui.mainViewport.scrollTo({ x: hotspot.tileX * 32 + 16, y: hotspot.tileY * 32 + 16 });
+                        }
+                    }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_crowding_hint',
+                    x: pad,
+                    y: windowHeight - 20,
+                    width: innerWidth,
+                    height: 12,
+                    text: 'Click a row to move the view to that area.'
+                }
+            ];
+
+            this.crowdingWindow = ui.openWindow({
+                classification: this.crowdingWindowId,
+                title: 'Congestion Hotspots',
+                width: windowWidth,
+                height: windowHeight,
+                widgets: widgets,
+                onClose: function() {
+                    self.crowdingWindow = null;
+                    if (self.crowdingInterval !== null) {
+                        context.clearInterval(self.crowdingInterval);
+                        self.crowdingInterval = null;
+                    }
+                }
+            });
+
+            this.updateCrowdingWindow();
+            this.crowdingInterval = context.setInterval(function() {
+                self.updateCrowdingWindow();
+            }, 1000);
+        },
+
+        closeCrowdingWindow: function() {
+            if (this.crowdingWindow) {
+                this.crowdingWindow.close();
+                this.crowdingWindow = null;
+            }
+        },
+
+        updateCrowdingWindow: function() {
+            if (!this.crowdingWindow) return;
+
+            var summary = CrowdingMap.getSummary();
+            this.crowdingWindow.findWidget('lbl_crowding_summary').text = 'Tiles Tracked: ' + summary.trackedTiles +
+                ' | Crowded: ' + summary.hotTiles + ' | Chronic: ' + summary.chronicTiles;
+            this.crowdingWindow.findWidget('lbl_crowding_reactions').text = 'Sought Crowds: ' + summary.sought +
+                ' | Avoided: ' + summary.avoided + ' | Annoyed: ' + summary.annoyed;
+
+            this.crowdingHotspots = CrowdingMap.getHotspots(15);
+            var items = [];
+            for (var i = 0; i < this.crowdingHotspots.length; i++) {
+                var hotspot = this.crowdingHotspots[i];
+                items.push([
+                    String(i + 1),
+                    hotspot.tileX + ', ' + hotspot.tileY,
+                    hotspot.area.toFixed(1),
+                    hotspot.hotTicks + ' ticks',
+                    hotspot.chronic ? 'Chronic' : (hotspot.hotTicks > 0 ? 'Crowded' : 'Busy')
+                ]);
+            }
+            this.crowdingWindow.findWidget('lst_crowding_hotspots').items = items;
+        },
+
+        openExportWindow: function() {
+            this.closeExportWindow();
+
+            var self = this;
+            var windowWidth = 460;
+            var windowHeight = 320;
+            var pad = 8;
+            var innerWidth = windowWidth - (pad * 2);
+            var halfWidth = Math.floor(innerWidth / 2) - 4;
+            var exported = DataExporter.exportAll();
+
+            var widgets = [
+                {
+                    type: 'button',
+                    name: 'btn_export_json',
+                    x: pad,
+                    y: 20,
+                    width: halfWidth,
+                    height: 14,
+                    text: 'JSON',
+                    isPressed: this.exportFormat === 'json',
+                    onClick: function() { self.switchExportFormat('json'); }
+                },
+                {
+                    type: 'button',
+                    name: 'btn_export_csv',
+                    x: pad + halfWidth + 8,
+                    y: 20,
+                    width: halfWidth,
+                    height: 14,
+                    text: 'CSV (per guest)',
+                    isPressed: this.exportFormat === 'csv',
+                    onClick: function() { self.switchExportFormat('csv'); }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_export_summary',
+                    x: pad,
+                    y: 40,
+                    width: innerWidth,
+                    height: 12,
+                    text: ''
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_export_hint',
+                    x: pad,
+                    y: 54,
+                    width: innerWidth,
+                    height: 12,
+                    text: 'Click the field below and press Ctrl+C to copy. Also saved to plugin.store.json.'
+                },
+                {
+                    type: 'textbox',
+                    name: 'txt_export',
+                    x: pad,
+                    y: 70,
+                    width: innerWidth,
+                    height: 14,
+                    text: '',
+                    maxLength: Math.max(exported.json.length, exported.csv.length) + 1
+                },
+                {
+                    type: 'listview',
+                    name: 'lst_export_preview',
+                    x: pad,
+                    y: 90,
+                    width: innerWidth,
+                    height: windowHeight - 122,
+                    scrollbars: 'both',
+                    isStriped: true,
+                    showColumnHeaders: false,
+                    items: []
+                },
+                {
+                    type: 'button',
+                    name: 'btn_export_refresh',
+                    x: pad,
+                    y: windowHeight - 24,
+                    width: halfWidth,
+                    height: 16,
+                    text: 'Export Again',
+                    onClick: function() {
+                        DataExporter.exportAll();
+                        self.updateExportWindow();
+                    }
+                },
+                {
+                    type: 'button',
+                    name: 'btn_export_log',
+                    x: pad + halfWidth + 8,
+                    y: windowHeight - 24,
+                    width: halfWidth,
+                    height: 16,
+                    text: 'Print to Console',
+                    onClick: function() {
+                        console.log(self.getExportText());
+                    }
+                }
+            ];
+
+            this.exportWindow = ui.openWindow({
+                classification: this.exportWindowId,
+                title: 'Export Personality Data',
+                width: windowWidth,
+                height: windowHeight,
+                widgets: widgets,
+                onClose: function() {
+                    self.exportWindow = null;
+                }
+            });
+
+            this.updateExportWindow();
+        },
+
+        openProfileWindow: function() {
+            this.closeProfileWindow();
+
+            var self = this;
+            var windowWidth = 420;
+            var windowHeight = 132;
+            var pad = 8;
+            var innerWidth = windowWidth - (pad * 2);
+            var thirdWidth = Math.floor((innerWidth - 16) / 3);
+
+            this.profileText = SettingsManager.exportProfile();
+
+            var widgets = [
+                {
+                    type: 'label',
+                    name: 'lbl_profile_hint',
+                    x: pad,
+                    y: 20,
+                    width: innerWidth,
+                    height: 12,
+                    text: 'Copy the current settings below, or paste a profile and click Import.'
+                },
+                {
+                    type: 'textbox',
+                    name: 'txt_profile',
+                    x: pad,
+                    y: 36,
+                    width: innerWidth,
+                    height: 14,
+                    text: this.profileText,
+                    maxLength: 16000,
+                    onChange: function(text) {
+                        self.profileText = text;
+                    }
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_profile_status',
+                    x: pad,
+                    y: 56,
+                    width: innerWidth,
+                    height: 12,
+                    text: this.profileText.length + ' characters'
+                },
+                {
+                    type: 'label',
+                    name: 'lbl_profile_status2',
+                    x: pad,
+                    y: 70,
+                    width: innerWidth,
+                    height: 12,
+                    text: ''
+                },
+                {
+                    type: 'button',
+                    name: 'btn_profile_export',
+                    x: pad,
+                    y: windowHeight - 24,
+                    width: thirdWidth,
+                    height: 16,
+                    text: 'Export Current',
+                    onClick: function() {
+                        self.profileText = SettingsManager.exportProfile();
+                        self.profileWindow.findWidget('txt_profile').text = self.profileText;
+                        self.setProfileStatus(self.profileText.length + ' characters', '');
+                    }
+                },
+                {
+                    type: 'button',
+                    name: 'btn_profile_import',
+                    x: pad + thirdWidth + 8,
+                    y: windowHeight - 24,
+                    width: thirdWidth,
+                    height: 16,
+                    text: 'Import',
+                    onClick: function() {
+                        self.importProfileText();
+                    }
+                },
+                {
+                    type: 'button',
+                    name: 'btn_profile_log',
+                    x: pad + (thirdWidth + 8) * 2,
+                    y: windowHeight - 24,
+                    width: thirdWidth,
+                    height: 16,
+                    text: 'Print to Console',
+                    onClick: function() {
+                        console.log(self.profileText);
+                    }
+                }
+            ];
+
+            this.profileWindow = ui.openWindow({
+                classification: this.profileWindowId,
+                title: 'Settings Profile',
+                width: windowWidth,
+                height: windowHeight,
+                widgets: widgets,
+                onClose: function() {
+                    self.profileWindow = null;
+                }
+            });
+        },
 
+        closeProfileWindow: function() {
+            if (this.profileWindow) {
+                this.profileWindow.close();
+                this.profileWindow = null;
+            }
+        },
+
+        setProfileStatus: function(line1, line2) {
+            if (!this.profileWindow) return;
+            this.profileWindow.findWidget('lbl_profile_status').text = line1;
+            this.profileWindow.findWidget('lbl_profile_status2').text = line2;
+        },
+
+        importProfileText: function() {
+            var wasEnabled = CONFIG.enabled;
+            var report = SettingsManager.importProfile(this.profileText || '');
+
+            if (report.error) {
+                this.setProfileStatus('Import failed', report.error);
+                return;
+            }
+
+            if (CONFIG.enabled && !wasEnabled) {
+                PersonalityProcessor.initialize();
+            }
+
+            var problems = [];
+            if (report.invalid.length > 0) problems.push('invalid: ' + report.invalid.join(', '));
+            if (report.ignored.length > 0) problems.push('unknown: ' + report.ignored.join(', '));
+
+            this.setProfileStatus('Imported ' + report.applied + ' settings' +
+                (report.savedAs ? ' as profile "' + report.savedAs + '"' : ''),
+                problems.length > 0 ? 'Skipped ' + problems.join('; ') : '');
+
+            if (this.mainWindow && this.currentTab === 1) {
+                this.openWindow();
+            }
+        },
+
+        closeExportWindow: function() {
+            if (this.exportWindow) {
+                this.exportWindow.close();
+                this.exportWindow = null;
+            }
+        },
+
+        switchExportFormat: function(format) {
+            this.exportFormat = format;
+            if (this.exportWindow) {
+                this.exportWindow.findWidget('btn_export_json').isPressed = format === 'json';
+                this.exportWindow.findWidget('btn_export_csv').isPressed = format === 'csv';
+            }
+            this.updateExportWindow();
+        },
+
+        getExportText: function() {
+            var exported = DataExporter.lastExport;
+            if (!exported) return '';
+            return this.exportFormat === 'csv' ? exported.csv : exported.json;
+        },
+
+        updateExportWindow: function() {
+            if (!this.exportWindow || !DataExporter.lastExport) return;
+
+            var exported = DataExporter.lastExport;
+            var text = this.getExportText();
+            var textbox = this.exportWindow.findWidget('txt_export');
+            textbox.maxLength = Math.max(textbox.maxLength || 0, text.length + 1);
+            textbox.text = text;
+
+            this.exportWindow.findWidget('lbl_export_summary').text = exported.guestCount + ' guests at tick ' +
+                exported.exportedTick + ' | ' + text.length + ' characters | key: ' + DataExporter.storageKey;
+
+            var preview = this.exportFormat === 'csv' ?
+                text.split('\n') :
+                JSON.stringify(JSON.parse(text), null, 2).split('\n');
+            this.exportWindow.findWidget('lst_export_preview').items = preview.slice(0, 500);
+        },
+
+        closeDetailWindow: function() {
+            if (this.detailWindow) {
+                this.detailWindow.close();
+                this.detailWindow = null;
+            }
+        },
+
+        updateDetailLabel: function(name, text) {
+            if (this.detailWindow) {
+                var widget = this.detailWindow.findWidget(name);
+                if (widget) {
+                    widget.text = text;
+                }
+            }
+        },
+
+        updateDetailWindow: function() {
+            if (!this.detailWindow || this.detailGuestId === null) return;
+
+            var guest = null;
             try {
-                var guest = map.getEntity(this.selectedGuestId);
-                if (!guest || guest.type !== 'guest') {
-                    this.updateLabel('lbl_inspect_name', 'Name: Guest not found');
-                    return;
+                guest = map.getEntity(this.detailGuestId);
+            } catch (e) {}
+
+            if (!guest || guest.type !== 'guest') {
+                this.updateDetailLabel('lbl_detail_name', 'Guest #' + this.detailGuestId + ' has left the park');
+                return;
+            }
+
+            this.detailWindow.title = 'Guest Personality: ' + guest.name;
+            this.updateDetailLabel('lbl_detail_name', 'Name: ' + guest.name + ' (#' + guest.id + ')');
+
+            if (!PersonalityStore.hasGuestData(guest.id)) {
+                this.updateDetailLabel('lbl_detail_mood', 'No personality data');
+                return;
+            }
+
+            var data = PersonalityStore.guests[guest.id];
+            this.updateDetailLabel('lbl_detail_mood', 'Mood: ' + data.mood.current + ' ' +
+                MoodSystem.getMoodEmoji(data.mood.current) + ' (intensity: ' + Math.round(data.mood.intensity) + ')');
+            var staleness = GuestScheduler.getStaleness(guest.id);
+            this.updateDetailLabel('lbl_detail_behavior', 'Behavior: ' + data.behavior.current +
+                ' | Time in Park: ' + data.memory.timeInPark + ' ticks' +
+                (staleness !== null ? ' | Updated ' + staleness + ' ticks ago' : ''));
+
+            var groupText = 'Group: None';
+            var membersText = '';
+            if (data.social.groupId && PersonalityStore.groups[data.social.groupId]) {
+                groupText = 'Group: ID ' + data.social.groupId + (data.social.isLeader ? ' (Leader)' : '');
+                var members = PersonalityStore.getGroupMembers(data.social.groupId);
+                var memberNames = [];
+                for (var i = 0; i < members.length; i++) {
+                    if (members[i] === guest.id) continue;
+                    var member = null;
+                    try {
+                        member = map.getEntity(members[i]);
+                    } catch (e) {}
+                    memberNames.push(member ? member.name : '#' + members[i]);
+                }
+                membersText = 'With: ' + memberNames.join(', ');
+            }
+            this.updateDetailLabel('lbl_detail_group', groupText);
+            this.updateDetailLabel('lbl_detail_members', membersText);
+
+            var rideItems = [];
+            for (var rideId in data.memory.ridesRidden) {
+                if (data.memory.ridesRidden.hasOwnProperty(rideId)) {
+                    var rideMemory = data.memory.ridesRidden[rideId];
+                    var avg = rideMemory.totalSatisfaction / rideMemory.timesRidden;
+                    var name = this.getRideName(parseInt(rideId, 10));
+                    if (data.memory.favoriteRide === parseInt(rideId, 10)) name += ' (fav)';
+                    if (data.memory.worstExperience === parseInt(rideId, 10)) name += ' (worst)';
+                    rideItems.push([name, String(rideMemory.timesRidden), Math.round(avg * 100) + '%']);
                 }
+            }
+
+            var purchaseItems = [];
+            for (var j = data.memory.itemsBought.length - 1; j >= 0; j--) {
+                var purchase = data.memory.itemsBought[j];
+                purchaseItems.push([purchase.item, '$' + (purchase.price / 10).toFixed(2), String(purchase.tick)]);
+            }
+
+            var rideList = this.detailWindow.findWidget('lst_detail_rides');
+            if (rideList) rideList.items = rideItems;
+
+            var purchaseList = this.detailWindow.findWidget('lst_detail_purchases');
+            if (purchaseList) purchaseList.items = purchaseItems;
+
+            this.updateDetailLabel('lbl_detail_purchases', 'Purchases (Total Spent: $' + (data.memory.totalSpent / 10).toFixed(2) + ')');
+        },
+
+        drawTraitBars: function(g, traitKeys) {
+            if (this.detailGuestId === null || !PersonalityStore.hasGuestData(this.detailGuestId)) return;
 
-                var data = PersonalityStore.getGuestData(this.selectedGuestId);
-                if (!data) {
-                    this.updateLabel('lbl_inspect_name', 'Name: No personality data');
-                    return;
-                }
+            var traits = PersonalityStore.guests[this.detailGuestId].traits;
+            var labelWidth = 90;
+            var barWidth = g.width - labelWidth - 30;
 
-                this.updateLabel('lbl_inspect_name', 'Name: ' + guest.name);
-                this.updateLabel('lbl_inspect_mood', 'Mood: ' + data.mood.current + ' (intensity: ' + data.mood.intensity + ')');
-                this.updateLabel('lbl_inspect_behavior', 'Behavior: ' + data.behavior.current);
+            for (var i = 0; i < traitKeys.length; i++) {
+                var value = traits[traitKeys[i]] || 0;
+                var y = i * 12;
 
-                var traitList = [];
-                for (var trait in data.traits) {
-                    if (data.traits.hasOwnProperty(trait)) {
-                        traitList.push({ name: trait, value: data.traits[trait] });
-                    }
-                }
-                traitList.sort(function(a, b) { return b.value - a.value; });
-                var topTraits = traitList.slice(0, 3).map(function(t) { return t.name + ':' + t.value; }).join(', ');
-                this.updateLabel('lbl_inspect_traits', 'Top Traits: ' + topTraits);
+                g.colour = 1;
+                g.text(TRAIT_DISPLAY_NAMES[traitKeys[i]], 0, y);
 
-                var groupInfo = data.social.groupId ? ('ID ' + data.social.groupId + (data.social.isLeader ? ' (Leader)' : '')) : 'None';
-                this.updateLabel('lbl_inspect_group', 'Group: ' + groupInfo);
+                g.stroke = 10;
+                g.fill = 10;
+                g.rect(labelWidth, y + 2, barWidth, 8);
 
-                var ridesCount = Object.keys(data.memory.ridesRidden).length;
-                this.updateLabel('lbl_inspect_memory', 'Rides Ridden: ' + ridesCount + ' | Spent: $' + (data.memory.totalSpent / 10).toFixed(2));
-                this.updateLabel('lbl_inspect_time', 'Time in Park: ' + data.memory.timeInPark + ' ticks');
+                g.fill = value > 170 ? 102 : (value < 85 ? 171 : 54);
+                g.rect(labelWidth, y + 2, Math.max(1, Math.round(barWidth * value / 255)), 8);
 
+                g.text(String(value), labelWidth + barWidth + 4, y);
+            }
+        },
+
+        locateGuest: function(guestId) {
+            if (guestId === null) return;
+            try {
+                var guest = map.getEntity(guestId);
+                if (guest && ui.mainViewport) {
+                    ui.mainViewport.scrollTo({ x: guest.x, y: guest.y, z: guest.z });
+                }
             } catch (e) {
-                this.updateLabel('lbl_inspect_name', 'Error: ' + e);
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Error locating guest: ' + e);
+                }
             }
         },
 
+        getRideName: function(rideId) {
+            try {
+                var ride = map.getRide(rideId);
+                if (ride) return ride.name;
+            } catch (e) {}
+            return 'Ride #' + rideId;
+        },
+
         switchTab: function(tabIndex) {
             this.currentTab = tabIndex;
             this.openWindow();
@@ -2521,6 +8449,27 @@
             }
         },
 
+        formatSetting: function(key) {
+            var rule = SETTINGS_SCHEMA[key];
+            if (rule.percent) return (CONFIG[key] * 100).toFixed(0) + '%';
+            if (!rule.integer) return CONFIG[key].toFixed(1);
+            return String(CONFIG[key]);
+        },
+
+        stepSetting: function(spinnerName, key, direction) {
+            SettingsManager.step(key, direction);
+            this.updateSpinner(spinnerName, this.formatSetting(key));
+            this.updateProfileDropdown();
+        },
+
+        updateProfileDropdown: function() {
+            if (!this.mainWindow) return;
+            var dropdown = this.mainWindow.findWidget('dd_profile');
+            if (dropdown) {
+                dropdown.selectedIndex = SettingsManager.getActiveProfileIndex() + 1;
+            }
+        },
+
         updateSpinner: function(name, value) {
             if (this.mainWindow) {
                 var widget = this.mainWindow.findWidget(name);
@@ -2539,19 +8488,30 @@
             }, 500);
         },
 
+        getPermissionText: function() {
+            var text = 'Permissions: ' + (NetworkHelper.canModifyGameState() ? 'Full Control' : 'Read-Only');
+            if (!NetworkHelper.isMultiplayer()) return text;
+
+            var sync = SyncManager.getStats();
+            if (NetworkHelper.isServer()) {
+                return text + ' | Sent ' + sync.opsSent + ' updates in ' + sync.actionsSent + ' actions';
+            }
+            return text + ' | Received ' + sync.opsApplied + ' updates';
+        },
+
         updateStatisticsDisplay: function() {
             if (!this.mainWindow) return;
 
             var stats = PersonalityProcessor.getStatistics();
 
             this.updateLabel('lbl_netmode', 'Mode: ' + NetworkHelper.getModeString());
-            this.updateLabel('lbl_netperm', 'Permissions: ' + (NetworkHelper.canModifyGameState() ? 'Full Control' : 'Read-Only'));
+            this.updateLabel('lbl_netperm', this.getPermissionText());
 
             if (this.currentTab === 0) {
                 this.updateLabel('lbl_frame', 'Frame: ' + stats.lastFrameTime + 'ms (Avg: ' + stats.avgFrameTime + 'ms)');
                 this.updateLabel('lbl_tracked', 'Tracked Guests: ' + stats.trackedGuests);
                 this.updateLabel('lbl_groups', 'Active Groups: ' + stats.activeGroups);
-                this.updateLabel('lbl_processing', 'Processing Rate: ' + CONFIG.maxGuestsPerTick + ' guests/tick');
+                this.updateLabel('lbl_processing', 'Processing Rate: ' + stats.guestsPerUpdate + ' guests/tick');
 
                 var traitNames = [
                     'thrillSeeker', 'social', 'patient', 'frugal',
@@ -2569,10 +8529,26 @@
                     this.updateLabel('lbl_trait_' + i, traitLabels[i] + ': ' + avgValue);
                 }
             } else if (this.currentTab === 2) {
-                this.updateLabel('lbl_stat_processed', 'Guests Processed: ' + stats.guestsProcessed);
+                this.updateLabel('lbl_stat_processed', 'Guests Processed: ' + stats.guestsProcessed +
+                    ' | Staleness: avg ' + stats.staleness.average + ' / max ' + stats.staleness.max + ' ticks' +
+                    (stats.staleness.overBound > 0 ? ' (' + stats.staleness.overBound + ' overdue)' : '') +
+                    ' | Priority: ' + stats.staleness.pendingPriority);
                 this.updateLabel('lbl_stat_created', 'Personalities Created: ' + stats.personalitiesCreated);
-                this.updateLabel('lbl_stat_ticks', 'Ticks Processed: ' + stats.ticksProcessed);
-                this.updateLabel('lbl_stat_rate', 'Current Rate: ' + CONFIG.maxGuestsPerTick + ' guests/tick');
+                this.updateLabel('lbl_stat_ticks', 'Ticks Processed: ' + stats.ticksProcessed + ' | Rides Recorded: ' + stats.ridesRecorded);
+                this.updateLabel('lbl_stat_rate', 'Current Rate: ' + stats.guestsPerUpdate + ' guests/tick' +
+                    (CONFIG.adaptivePerformance ? ' (adaptive, configured ' + CONFIG.maxGuestsPerTick + ')' : '') +
+                    ' | Queues Abandoned: ' + stats.queuesAbandoned);
+
+                var timings = stats.subsystemTimings;
+                var formatTiming = function(name) {
+                    return timings.hasOwnProperty(name) ? timings[name].toFixed(3) + 'ms' : '---';
+                };
+                this.updateLabel('lbl_stat_timing', 'Per guest: Mood ' + formatTiming('mood') +
+                    ', Behavior ' + formatTiming('behavior') + ' | Per pass: Social ' + formatTiming('social') +
+                    ', Rides ' + formatTiming('rides') + ', Cleanup ' + formatTiming('cleanup'));
+                this.updateLabel('lbl_stat_timer', 'Timer: ' + (stats.highResolutionTimer ? 'high resolution' : 'amortized estimate') +
+                    ' | Guest Cost: ' + stats.guestCostMs.toFixed(3) + 'ms | Frame: ' + stats.lastFrameTime +
+                    'ms (Avg: ' + stats.avgFrameTime + 'ms)');
 
                 var totalGuests = 0;
                 try {
@@ -2581,7 +8557,10 @@
 
                 this.updateLabel('lbl_pop_total', 'Total Guests in Park: ' + totalGuests);
                 this.updateLabel('lbl_pop_tracked', 'Tracked with Personality: ' + stats.trackedGuests);
-                this.updateLabel('lbl_pop_groups', 'Active Social Groups: ' + stats.activeGroups);
+                this.updateLabel('lbl_pop_groups', 'Active Social Groups: ' + stats.activeGroups + ' | Mood Contagions: ' + stats.contagionEvents);
+                this.updateLabel('lbl_pop_departures', 'Sent Home: ' + stats.departures.total +
+                    (stats.departures.lastReason ? ' (last: ' + DEPARTURE_REASONS[stats.departures.lastReason] + ')' : ''));
+                this.updateLabel('lbl_pop_reasons', this.getDepartureReasonText(stats.departures));
 
                 var moodCounts = this.calculateMoodDistribution();
                 var moodKeys = [
@@ -2599,7 +8578,69 @@
                     var count = moodCounts[moodKeys[j]] || 0;
                     this.updateLabel('lbl_mood_stat_' + j, moodLabels[j] + ': ' + count);
                 }
+
+                this.updateParkAppealLabels(stats.parkAppeal);
+            } else if (this.currentTab === 4) {
+                var archetypeIds = Object.keys(GUEST_ARCHETYPES);
+                for (var k = 0; k < archetypeIds.length; k++) {
+                    var share = ArchetypeSystem.getShare(archetypeIds[k]);
+                    var tracked = stats.archetypeCounts[archetypeIds[k]] || 0;
+                    this.updateLabel('lbl_archetype_share_' + k, Math.round(share * 100) + '%');
+                    this.updateLabel('lbl_archetype_count_' + k, String(tracked));
+                }
+
+                for (var c = 0; c < Math.min(8, stats.traitCorrelations.length); c++) {
+                    var observed = stats.trackedGuests > 1 ? stats.traitCorrelations[c].observed.toFixed(2) : '---';
+                    this.updateLabel('lbl_correlation_observed_' + c, 'Observed: ' + observed);
+                }
+            } else if (this.currentTab === 5) {
+                this.updateHistoryLabel();
+            }
+        },
+
+        updateParkAppealLabels: function(appeal) {
+            var featureParts = [];
+            for (var feature in PARK_FEATURE_APPEAL) {
+                if (PARK_FEATURE_APPEAL.hasOwnProperty(feature)) {
+                    var count = (feature === 'gardens' && !appeal.gardensSurveyed) ? '...' : appeal.counts[feature];
+                    featureParts.push(PARK_FEATURE_APPEAL[feature].name + ': ' + count);
+                }
+            }
+            this.updateLabel('lbl_appeal_features', featureParts.join(' | '));
+
+            if (!appeal.enabled) {
+                this.updateLabel('lbl_appeal_archetypes', 'Archetype Weighting: disabled');
+                this.updateLabel('lbl_appeal_traits', 'Trait Bias: disabled');
+                return;
+            }
+
+            var weighted = [];
+            for (var id in appeal.archetypeMultipliers) {
+                if (appeal.archetypeMultipliers.hasOwnProperty(id) && Math.abs(appeal.archetypeMultipliers[id] - 1) >= 0.05) {
+                    weighted.push(id);
+                }
+            }
+            weighted.sort(function(a, b) {
+                return Math.abs(appeal.archetypeMultipliers[b] - 1) - Math.abs(appeal.archetypeMultipliers[a] - 1);
+            });
+
+            var archetypeParts = [];
+            for (var w = 0; w < Math.min(4, weighted.length); w++) {
+                archetypeParts.push(GUEST_ARCHETYPES[weighted[w]].name + ' x' + appeal.archetypeMultipliers[weighted[w]].toFixed(1));
+            }
+            this.updateLabel('lbl_appeal_archetypes', 'Archetype Weighting: ' + (archetypeParts.length > 0 ? archetypeParts.join(', ') : 'none'));
+
+            var traitParts = [];
+            for (var trait in appeal.traitBias) {
+                if (appeal.traitBias.hasOwnProperty(trait)) {
+                    var shift = Math.round(appeal.traitBias[trait]);
+                    if (shift !== 0) {
+                        traitParts.push(TRAIT_DISPLAY_NAMES[trait] + ' ' + (shift > 0 ? '+' : '') + shift);
+                    }
+                }
             }
+            this.updateLabel('lbl_appeal_traits', 'Trait Bias: ' + (traitParts.length > 0 ? traitParts.join(', ') : 'none') +
+                ' | Arrivals Influenced: ' + appeal.guestsInfluenced);
         },
 
         calculateMoodDistribution: function() {
@@ -2614,6 +8655,27 @@
             }
             
             return counts;
+        },
+
+        getDepartureReasonText: function(departures) {
+            if (departures.total === 0) return 'No departures yet';
+
+            // The three most common reasons, to fit the half-width label
+            var reasons = [];
+            for (var reason in departures.reasons) {
+                if (departures.reasons.hasOwnProperty(reason) && departures.reasons[reason] > 0) {
+                    reasons.push(reason);
+                }
+            }
+            reasons.sort(function(a, b) {
+                return departures.reasons[b] - departures.reasons[a];
+            });
+
+            var parts = [];
+            for (var i = 0; i < Math.min(3, reasons.length); i++) {
+                parts.push(DEPARTURE_REASONS[reasons[i]] + ' ' + departures.reasons[reasons[i]]);
+            }
+            return parts.join(', ');
         }
     };
 
@@ -2647,8 +8709,327 @@
                 if (data.mood.current === MOOD_STATES.SAD || data.mood.current === MOOD_STATES.ANGRY) {
                     data.mood.current = MOOD_STATES.NEUTRAL;
                     data.mood.intensity = 128;
+                    SyncManager.markDirty(guestId, 'mood');
+                }
+            }
+        }
+    };
+
+    // ===========================================
+    // MULTIPLAYER SYNC
+    // ===========================================
+    // The server is authoritative: structural changes are queued in order,
+    // per-guest mood/behavior/memory changes are coalesced, and both are
+    // flushed through the sync action every syncInterval ticks.
+    var SyncManager = {
+        actionName: 'personality-expander-sync',
+        outbox: [],
+        dirty: {},
+        tickCounter: 0,
+        snapshotId: 0,
+        pendingSnapshot: null,
+        snapshotPlayers: [],
+        lastSnapshotTick: null,
+        stats: {
+            actionsSent: 0,
+            opsSent: 0,
+            snapshotsSent: 0,
+            opsApplied: 0
+        },
+
+        isBroadcasting: function() {
+            return NetworkHelper.isMultiplayer() && NetworkHelper.isServer();
+        },
+
+        reset: function() {
+            this.outbox = [];
+            this.dirty = {};
+            this.tickCounter = 0;
+            this.pendingSnapshot = null;
+            this.snapshotPlayers = [];
+            this.lastSnapshotTick = null;
+        },
+
+        queue: function(op) {
+            if (!this.isBroadcasting()) return;
+            this.outbox.push(op);
+        },
+
+        queueCreate: function(personality) {
+            if (!this.isBroadcasting()) return;
+
+            var traits = {};
+            for (var trait in personality.traits) {
+                if (personality.traits.hasOwnProperty(trait)) {
+                    traits[trait] = personality.traits[trait];
+                }
+            }
+
+            this.outbox.push({
+                action: 'personality-create',
+                guestId: personality.id,
+                archetype: personality.archetype,
+                traits: traits,
+                createdTick: personality.createdTick
+            });
+        },
+
+        markDirty: function(guestId, section) {
+            if (!this.isBroadcasting()) return;
+            if (!this.dirty[guestId]) {
+                this.dirty[guestId] = {};
+            }
+            this.dirty[guestId][section] = true;
+        },
+
+        // Memory is sent per field (and per ride for ridesRidden) rather than as a whole
+        markMemoryDirty: function(guestId, fields, rideId) {
+            if (!this.isBroadcasting()) return;
+            if (!this.dirty[guestId]) {
+                this.dirty[guestId] = {};
+            }
+
+            var memory = this.dirty[guestId].memory;
+            if (!memory) {
+                memory = { fields: {}, rides: {} };
+                this.dirty[guestId].memory = memory;
+            }
+            for (var i = 0; i < fields.length; i++) {
+                memory.fields[fields[i]] = true;
+            }
+            if (rideId !== undefined) {
+                memory.rides[rideId] = true;
+            }
+        },
+
+        // Joins within syncSnapshotCooldown ticks of the last snapshot share the next one
+        requestSnapshot: function(playerId) {
+            if (!this.isBroadcasting()) return;
+            if (this.snapshotPlayers.indexOf(playerId) === -1) {
+                this.snapshotPlayers.push(playerId);
+            }
+        },
+
+        update: function() {
+            if (!this.isBroadcasting()) return;
+
+            this.tickCounter++;
+
+            if (this.snapshotPlayers.length > 0 &&
+                (this.lastSnapshotTick === null || date.ticksElapsed - this.lastSnapshotTick >= CONFIG.syncSnapshotCooldown)) {
+                this.tickCounter = 0;
+                this.flush();
+                this.sendSnapshot();
+                return;
+            }
+
+            if (this.tickCounter < CONFIG.syncInterval) return;
+            this.tickCounter = 0;
+
+            this.flush();
+        },
+
+        buildSectionOps: function() {
+            var ops = [];
+
+            for (var guestId in this.dirty) {
+                if (!this.dirty.hasOwnProperty(guestId)) continue;
+
+                var data = PersonalityStore.guests[guestId];
+                if (!data) continue;
+
+                var sections = this.dirty[guestId];
+                var id = parseInt(guestId, 10);
+
+                if (sections.mood) {
+                    ops.push({
+                        action: 'mood-update',
+                        guestId: id,
+                        mood: data.mood.current,
+                        intensity: data.mood.intensity,
+                        source: data.mood.source
+                    });
                 }
+
+                if (sections.behavior) {
+                    ops.push({
+                        action: 'behavior-update',
+                        guestId: id,
+                        behavior: data.behavior.current,
+                        target: data.behavior.target,
+                        startTick: data.behavior.startTick
+                    });
+                }
+
+                if (sections.memory) {
+                    ops.push(this.buildMemoryOp(id, data.memory, sections.memory));
+                }
+            }
+
+            this.dirty = {};
+            return ops;
+        },
+
+        buildMemoryOp: function(guestId, memory, changed) {
+            var fields = {};
+            for (var field in changed.fields) {
+                if (changed.fields.hasOwnProperty(field)) {
+                    fields[field] = memory[field];
+                }
+            }
+
+            var rides = {};
+            for (var rideId in changed.rides) {
+                if (changed.rides.hasOwnProperty(rideId) && memory.ridesRidden[rideId]) {
+                    rides[rideId] = memory.ridesRidden[rideId];
+                }
+            }
+
+            return {
+                action: 'memory-update',
+                guestId: guestId,
+                timeInPark: memory.timeInPark,
+                fields: fields,
+                rides: rides
+            };
+        },
+
+        flush: function() {
+            var ops = this.outbox.concat(this.buildSectionOps());
+            this.outbox = [];
+            if (ops.length === 0) return;
+
+            var chunkSize = Math.max(1, CONFIG.syncMaxOpsPerAction);
+            for (var i = 0; i < ops.length; i += chunkSize) {
+                this.send({
+                    action: 'batch',
+                    ops: ops.slice(i, i + chunkSize)
+                });
+            }
+
+            this.stats.opsSent += ops.length;
+        },
+
+        send: function(payload) {
+            try {
+                context.executeAction(this.actionName, payload);
+                this.stats.actionsSent++;
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Sync send failed: ' + e);
+                }
+            }
+        },
+
+        // Game actions reach every client, so the snapshot names the players it is for
+        // and everyone else ignores it; pending deltas are flushed beforehand by update()
+        sendSnapshot: function() {
+            if (!this.isBroadcasting()) return;
+
+            var players = this.snapshotPlayers;
+            this.snapshotPlayers = [];
+            this.lastSnapshotTick = date.ticksElapsed;
+            this.snapshotId++;
+
+            var ids = Object.keys(PersonalityStore.guests);
+            var chunkSize = Math.max(1, CONFIG.syncSnapshotChunkSize);
+            var total = Math.max(1, Math.ceil(ids.length / chunkSize));
+
+            for (var part = 0; part < total; part++) {
+                var guests = {};
+                var chunk = ids.slice(part * chunkSize, (part + 1) * chunkSize);
+                for (var i = 0; i < chunk.length; i++) {
+                    guests[chunk[i]] = this.getSnapshotRecord(PersonalityStore.guests[chunk[i]]);
+                }
+
+                var payload = {
+                    action: 'snapshot',
+                    snapshotId: this.snapshotId,
+                    players: players,
+                    part: part,
+                    total: total,
+                    guests: guests
+                };
+
+                if (part === 0) {
+                    payload.groups = PersonalityStore.groups;
+                    payload.nextGroupId = PersonalityStore.nextGroupId;
+                }
+
+                this.send(payload);
+            }
+
+            this.stats.snapshotsSent++;
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Sent snapshot of ' + ids.length + ' personalities in ' + total +
+                    ' part(s) for player(s) ' + players.join(', '));
+            }
+        },
+
+        getSnapshotRecord: function(data) {
+            var record = {};
+            for (var section in data) {
+                // Shopping state only matters to the server's purchase tracking
+                if (data.hasOwnProperty(section) && section !== 'shopping') {
+                    record[section] = data[section];
+                }
+            }
+            return record;
+        },
+
+        receiveSnapshotPart: function(args) {
+            if (args.players && args.players.indexOf(NetworkHelper.getCurrentPlayerId()) === -1) return;
+
+            var pending = this.pendingSnapshot;
+            if (!pending || pending.snapshotId !== args.snapshotId || args.part === 0) {
+                pending = {
+                    snapshotId: args.snapshotId,
+                    total: args.total,
+                    received: 0,
+                    guests: {},
+                    groups: {},
+                    nextGroupId: 1
+                };
+                this.pendingSnapshot = pending;
+            }
+
+            if (args.part === 0) {
+                pending.groups = args.groups || {};
+                pending.nextGroupId = args.nextGroupId || 1;
+            }
+
+            var guests = args.guests || {};
+            for (var guestId in guests) {
+                if (guests.hasOwnProperty(guestId)) {
+                    pending.guests[guestId] = guests[guestId];
+                }
+            }
+            pending.received++;
+
+            if (pending.received < pending.total) return;
+
+            this.pendingSnapshot = null;
+            var restored = PersonalityStore.deserialize({
+                guests: pending.guests,
+                groups: pending.groups,
+                nextGroupId: pending.nextGroupId
+            });
+
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Applied snapshot with ' + restored + ' personalities');
             }
+        },
+
+        getStats: function() {
+            return {
+                actionsSent: this.stats.actionsSent,
+                opsSent: this.stats.opsSent,
+                snapshotsSent: this.stats.snapshotsSent,
+                opsApplied: this.stats.opsApplied,
+                pendingOps: this.outbox.length + Object.keys(this.dirty).length,
+                pendingSnapshotPlayers: this.snapshotPlayers.length
+            };
         }
     };
 
@@ -2659,22 +9040,38 @@
         register: function() {
             try {
                 context.registerAction(
-                    'personality-expander-sync',
-                    function(args) {
+                    SyncManager.actionName,
+                    function(e) {
+                        return GameActions.queryFromHost(e, 'Personality sync rejected',
+                            'Only the server can send personality updates');
+                    },
+                    function(e) {
+                        var args = GameActions.getArgs(e);
+
+                        // The server already holds the state it broadcast
+                        if (!NetworkHelper.canModifyGameState()) {
+                            GameActions.apply(args);
+                        }
                         return {
                             error: 0,
-                            errorTitle: null,
-                            errorMessage: null,
                             cost: 0
                         };
+                    }
+                );
+
+                context.registerAction(
+                    ShoppingSystem.cancelActionName,
+                    function(e) {
+                        return GameActions.queryFromHost(e, 'Purchase cancellation rejected',
+                            'Only the server can cancel guest purchases');
                     },
-                    function(args) {
-                        if (args.action === 'mood-update') {
-                            GameActions.executeMoodUpdate(args);
-                        } else if (args.action === 'group-create') {
-                            GameActions.executeGroupCreate(args);
-                        } else if (args.action === 'group-add') {
-                            GameActions.executeGroupAdd(args);
+                    function(e) {
+                        try {
+                            ShoppingSystem.applyCancellation(GameActions.getArgs(e));
+                        } catch (ex) {
+                            if (CONFIG.debugMode) {
+                                console.log('[PersonalityExpander] Purchase cancellation failed: ' + ex);
+                            }
                         }
                         return {
                             error: 0,
@@ -2693,22 +9090,142 @@
             }
         },
 
+        // Only the host may publish personality state or change guests through these actions
+        queryFromHost: function(e, errorTitle, errorMessage) {
+            var player = (e && e.args) ? e.player : undefined;
+            if (NetworkHelper.isServer() && NetworkHelper.isMultiplayer() &&
+                typeof player === 'number' && player > 0) {
+                return {
+                    error: 1,
+                    errorTitle: errorTitle,
+                    errorMessage: errorMessage,
+                    cost: 0
+                };
+            }
+            return {
+                error: 0,
+                errorTitle: null,
+                errorMessage: null,
+                cost: 0
+            };
+        },
+
+        getArgs: function(e) {
+            // Newer API versions wrap the payload in GameActionEventArgs
+            if (e && e.args && typeof e.args.action === 'string') {
+                return e.args;
+            }
+            return e || {};
+        },
+
+        apply: function(args) {
+            try {
+                if (args.action === 'batch') {
+                    var ops = args.ops || [];
+                    for (var i = 0; i < ops.length; i++) {
+                        this.applyOp(ops[i]);
+                    }
+                } else if (args.action === 'snapshot') {
+                    SyncManager.receiveSnapshotPart(args);
+                } else {
+                    this.applyOp(args);
+                }
+            } catch (e) {
+                if (CONFIG.debugMode) {
+                    console.log('[PersonalityExpander] Sync apply error: ' + e);
+                }
+            }
+        },
+
+        applyOp: function(args) {
+            if (!args) return;
+
+            if (args.action === 'personality-create') {
+                this.executePersonalityCreate(args);
+            } else if (args.action === 'personality-remove') {
+                PersonalityStore.removeGuestData(args.guestId);
+            } else if (args.action === 'mood-update') {
+                this.executeMoodUpdate(args);
+            } else if (args.action === 'behavior-update') {
+                this.executeBehaviorUpdate(args);
+            } else if (args.action === 'memory-update') {
+                this.executeMemoryUpdate(args);
+            } else if (args.action === 'group-create') {
+                this.executeGroupCreate(args);
+            } else if (args.action === 'group-add') {
+                this.executeGroupAdd(args);
+            } else if (args.action === 'group-remove') {
+                PersonalityStore.removeFromGroup(args.guestId);
+            } else {
+                return;
+            }
+
+            SyncManager.stats.opsApplied++;
+        },
+
+        executePersonalityCreate: function(args) {
+            var record = PersonalityStore.restoreGuestRecord(args.guestId, {
+                archetype: args.archetype,
+                traits: args.traits,
+                createdTick: args.createdTick
+            });
+            if (record) {
+                PersonalityStore.guests[args.guestId] = record;
+            }
+        },
+
         executeMoodUpdate: function(args) {
             var guestId = args.guestId;
             var newMood = args.mood;
             var intensity = args.intensity;
 
             if (PersonalityStore.hasGuestData(guestId)) {
-                var data = PersonalityStore.getGuestData(guestId);
+                var data = PersonalityStore.guests[guestId];
+                if (newMood !== data.mood.current) {
+                    MoodSystem.recordHistory(data, { current: newMood, intensity: intensity, source: args.source });
+                }
                 data.mood.current = newMood;
                 data.mood.intensity = intensity;
+                data.mood.source = args.source || data.mood.source;
                 data.mood.lastChange = date.ticksElapsed;
             }
         },
 
+        executeBehaviorUpdate: function(args) {
+            if (PersonalityStore.hasGuestData(args.guestId)) {
+                var behavior = PersonalityStore.guests[args.guestId].behavior;
+                behavior.current = args.behavior;
+                behavior.target = args.target || null;
+                behavior.startTick = args.startTick;
+            }
+        },
+
+        executeMemoryUpdate: function(args) {
+            if (!PersonalityStore.hasGuestData(args.guestId)) return;
+
+            var memory = PersonalityStore.guests[args.guestId].memory;
+            var fields = args.fields || {};
+            for (var field in fields) {
+                if (fields.hasOwnProperty(field)) {
+                    memory[field] = fields[field];
+                }
+            }
+
+            var rides = args.rides || {};
+            for (var rideId in rides) {
+                if (rides.hasOwnProperty(rideId)) {
+                    memory.ridesRidden[rideId] = rides[rideId];
+                }
+            }
+
+            if (typeof args.timeInPark === 'number') {
+                memory.timeInPark = args.timeInPark;
+            }
+        },
+
         executeGroupCreate: function(args) {
             var leaderId = args.leaderId;
-            PersonalityStore.createGroup(leaderId);
+            PersonalityStore.createGroup(leaderId, args.groupId);
         },
 
         executeGroupAdd: function(args) {
@@ -2722,7 +9239,11 @@
     // MAIN ENTRY POINT
     // ===========================================
     function main() {
+        SettingsManager.load();
         PersonalityProcessor.initialize();
+        TraitCorrelationModel.load();
+        ArchetypeSystem.loadMix();
+        PersistenceManager.load();
         CompatibilityLayer.checkCompatibility();
         GameActions.register();
 
@@ -2730,6 +9251,14 @@
             ui.registerMenuItem('Guest Personality Expander', function() {
                 UIManager.toggleWindow();
             });
+
+            ui.registerMenuItem('Inspect Guest Personality', function() {
+                UIManager.activateGuestPicker();
+            });
+
+            ui.registerMenuItem('Export Guest Personality Data', function() {
+                UIManager.openExportWindow();
+            });
         }
 
         context.subscribe('interval.tick', function() {
@@ -2754,16 +9283,34 @@
 
         context.subscribe('map.change', function() {
             PersonalityStore.clear();
+            DepartureModel.reset();
             PersonalityProcessor.initialize();
             if (CONFIG.debugMode) {
                 console.log('[PersonalityExpander] Map changed, data reset');
             }
         });
 
+        try {
+            context.subscribe('map.changed', function() {
+                SettingsManager.load();
+                ArchetypeSystem.loadMix();
+                PersistenceManager.load();
+            });
+
+            context.subscribe('map.save', function() {
+                PersistenceManager.save();
+            });
+        } catch (e) {
+            if (CONFIG.debugMode) {
+                console.log('[PersonalityExpander] Save/load hooks unavailable: ' + e);
+            }
+        }
+
         context.subscribe('network.join', function(e) {
             if (CONFIG.debugMode) {
                 console.log('[PersonalityExpander] Player joined: ' + e.player);
             }
+            SyncManager.requestSnapshot(e.player);
         });
 
         context.subscribe('network.leave', function(e) {